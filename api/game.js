@@ -0,0 +1,10 @@
+// Vercel entry point: the polling endpoint of the game server (server/statelessAdapter.js).
+// Serverless functions don't share memory, so rooms live in Redis - see VERCEL_DEPLOYMENT.md.
+const { createStatelessHandler } = require('../server/statelessAdapter');
+const { createExternalRoomStore } = require('../server/externalRoomStore');
+
+if (!process.env.KV_REST_API_URL && !process.env.UPSTASH_REDIS_REST_URL) {
+  console.warn('No Redis configured: rooms only last as long as this function instance');
+}
+
+module.exports = createStatelessHandler({ store: createExternalRoomStore() });
@@ -1,57 +1,65 @@
-import { 
-    GAME_CONFIG, 
-    TIMING, 
-    CARD_SUITS, 
-    CARD_RANKS, 
-    GAME_PHASES, 
+import {
+    GAME_CONFIG,
+    TIMING,
+    PHASE_TIMEOUTS,
+    GAME_PHASES,
     AI_CONFIG,
-    ERROR_MESSAGES 
+    ACTION_TYPES
 } from './constants.js';
 import { EventManager } from './EventManager.js';
+import * as botStrategiesModule from '../shared/botStrategies.js';
+import * as rulesModule from '../shared/rules.js';
 
+// Shared with the server: a CommonJS export under Node, a global in the browser
+const BotStrategies = botStrategiesModule.default || globalThis.ToepenBotStrategies;
+const Rules = rulesModule.default || globalThis.ToepenRules;
+
+// Offline game: the shared rules decide everything, this class owns the timers,
+// runs the bots and turns rules events into engine events for the UI.
 export class GameEngine extends EventManager {
     constructor() {
         super();
+        this.state = null;
         this.players = [];
         this.currentPlayer = 0;
         this.round = 1;
         this.stakes = GAME_CONFIG.INITIAL_STAKES;
-        this.deck = [];
         this.currentTrick = [];
         this.tricksPlayed = 0;
         this.gamePhase = GAME_PHASES.SETUP;
         this.playersInRound = [];
-        this.tricksTaken = [];
         this.leadSuit = null;
         this.roundTrickWins = [];
-        this.isHost = false;
-        this.lobbyCode = '';
-        this.lobbyPlayers = [];
         this.playerStakesOnEntry = [];
-        this.laundryPhaseComplete = false;
-        this.firstCardPlayed = false;
         this.lastToeper = -1;
-        this.isProcessing = false;
-        this.pendingBlindToepResponse = false;
-        this.isBlindToepDecision = false;
         this.toepResponses = null;
         this.blindToepResponses = null;
-        this.activityLog = [];
         this.eliminatedPlayers = [];
-        this.awaitingInspection = false;
-        this.pendingLaundry = null;
+        this.isHost = false;
+        this.lobbyCode = '';
+        this.lobbyPlayers = [];
+        this.isProcessing = false;
+        this.botStrategy = AI_CONFIG.DEFAULT_STRATEGY;
+        this.botMemory = [];
+        this.phaseTimer = null;
+        this.botTimer = null;
+    }
+
+    // Choose the strategy the bots play with (see shared/botStrategies.js)
+    setBotStrategy(name) {
+        this.botStrategy = BotStrategies.hasStrategy(name) ? name : AI_CONFIG.DEFAULT_STRATEGY;
     }
 
-    // Initialize game with players
-    initializeGame(playerNames, isMultiplayer = false) {
+    // Initialize game with players (seat 0 is the local player, the rest are bots).
+    // Pass a seed to get the same deals again; without one a random seed is picked.
+    initializeGame(playerNames, isMultiplayer = false, seed = undefined) {
         try {
             this.validatePlayerCount(playerNames.length);
-            this.players = this.createPlayers(playerNames);
-            this.playersInRound = Array.from({ length: this.players.length }, (_, i) => i);
-            this.roundTrickWins = new Array(this.players.length).fill(0);
-            this.playerStakesOnEntry = new Array(this.players.length).fill(GAME_CONFIG.INITIAL_STAKES);
-            this.gamePhase = GAME_PHASES.SETUP;
-            
+            this.stopTimers();
+            this.eliminatedPlayers = [];
+            this.botMemory = playerNames.map(() => ({}));
+            this.setState(Rules.createGameState(this.createPlayers(playerNames), seed));
+
             this.emit('gameInitialized', { players: this.players });
             return true;
         } catch (error) {
@@ -67,496 +75,326 @@ export class GameEngine extends EventManager {
         }
     }
 
-    // Create player objects
+    // Seats for the rules engine
     createPlayers(playerNames) {
         return playerNames.map((name, index) => ({
+            id: `seat-${index}`,
             name: name || `Player ${index + 1}`,
-            points: 0,
-            hand: [],
-            isBot: index > 0,
-            isEliminated: false,
-            tricksWon: 0
+            isBot: index > 0
         }));
     }
 
-    // Start a new round
+    // Deal the first round; later rounds start on the rules' own timeout
     startRound() {
-        try {
-            this.validateGameState();
-            this.initializeRound();
-            this.createAndDealCards();
-            this.setupLaundryPhase();
-            
-            this.emit('roundStarted', {
-                round: this.round,
-                players: this.players,
-                gamePhase: this.gamePhase
-            });
-        } catch (error) {
-            this.emit('error', { message: error.message });
-        }
+        return this.dispatch({ type: 'startRound' });
+    }
+
+    // Handle card play
+    playCard(playerIndex, cardIndex) {
+        return this.dispatch({ type: ACTION_TYPES.PLAY_CARD, playerIndex, cardIndex });
     }
 
-    // Validate game state before starting round
-    validateGameState() {
-        if (this.players.length < GAME_CONFIG.MIN_PLAYERS) {
-            throw new Error('Not enough players to start round');
+    // Handle toep (raise stakes)
+    toep(playerIndex) {
+        if (this.stakes >= GAME_CONFIG.MAX_STAKES) {
+            this.emit('error', { message: 'Stakes are already at maximum', playerIndex });
+            return false;
         }
+        return this.dispatch({ type: ACTION_TYPES.TOEP, playerIndex });
     }
 
-    // Initialize round state
-    initializeRound() {
-        this.currentTrick = [];
-        this.tricksPlayed = 0;
-        this.leadSuit = null;
-        this.roundTrickWins = new Array(this.players.length).fill(0);
-        this.playersInRound = this.players
-            .map((_, index) => index)
-            .filter(index => !this.players[index].isEliminated);
-        this.playerStakesOnEntry = new Array(this.players.length).fill(this.stakes);
-        this.lastToeper = -1;
-        this.isProcessing = false;
-        this.firstCardPlayed = false;
-        this.laundryPhaseComplete = false;
-        this.pendingBlindToepResponse = false;
+    // Answer a toep or blind toep with 'accept' or 'fold'
+    respondToToep(playerIndex, response) {
+        const type = response === 'fold' ? ACTION_TYPES.FOLD_TO_TOEP : ACTION_TYPES.ACCEPT_TOEP;
+        return this.dispatch({ type, playerIndex });
     }
 
-    // Create and shuffle deck, deal cards
-    createAndDealCards() {
-        this.deck = this.createDeck();
-        this.shuffleDeck();
-        this.dealCards();
+    // Answer Armoede with 'accept' or 'fold'
+    respondToArmoede(playerIndex, response) {
+        const type = response === 'fold' ? ACTION_TYPES.FOLD_TO_ARMOEDE : ACTION_TYPES.ACCEPT_ARMOEDE;
+        return this.dispatch({ type, playerIndex });
     }
 
-    // Create deck with proper card hierarchy
-    createDeck() {
-        const deck = [];
-        CARD_SUITS.forEach(suit => {
-            CARD_RANKS.forEach(rank => {
-                deck.push({
-                    suit: suit,
-                    rank: rank.symbol,
-                    value: rank.value,
-                    color: (suit === '♥' || suit === '♦') ? 'red' : 'black'
-                });
-            });
-        });
-        return deck;
+    // Handle player folding out of the round
+    handlePlayerFold(playerIndex) {
+        return this.dispatch({ type: ACTION_TYPES.FOLD, playerIndex });
     }
 
-    // Shuffle deck using Fisher-Yates algorithm
-    shuffleDeck() {
-        for (let i = this.deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
-        }
+    // Claim laundry to swap the hand for four new cards
+    submitLaundry(playerIndex, laundryType) {
+        return this.dispatch({ type: ACTION_TYPES.SUBMIT_LAUNDRY, playerIndex, laundryType });
     }
 
-    // Deal cards to all players
-    dealCards() {
-        this.players.forEach(player => {
-            player.hand = [];
-            for (let i = 0; i < GAME_CONFIG.CARDS_PER_PLAYER; i++) {
-                if (this.deck.length > 0) {
-                    player.hand.push(this.deck.pop());
-                }
-            }
-        });
+    // Inspect the pending laundry claim
+    inspectLaundry(playerIndex) {
+        return this.dispatch({ type: ACTION_TYPES.INSPECT_LAUNDRY, playerIndex });
     }
 
-    // Setup laundry phase
-    setupLaundryPhase() {
-        if (this.deck.length >= GAME_CONFIG.CARDS_PER_PLAYER) {
-            this.gamePhase = GAME_PHASES.LAUNDRY;
-            setTimeout(() => {
-                if (this.gamePhase === GAME_PHASES.LAUNDRY && !this.awaitingInspection) {
-                    this.endLaundryPhase();
-                }
-            }, TIMING.LAUNDRY_TIMEOUT);
-        } else {
-            this.gamePhase = GAME_PHASES.PLAYING;
-        }
+    // Say there is no (more) laundry to claim this round
+    passLaundry(playerIndex) {
+        return this.dispatch({ type: ACTION_TYPES.PASS_LAUNDRY, playerIndex });
     }
 
-    // End laundry phase and start playing
-    endLaundryPhase() {
-        this.gamePhase = GAME_PHASES.PLAYING;
-        this.laundryPhaseComplete = true;
-        this.emit('laundryPhaseEnded');
+    // Call blind toep for the next round
+    callBlindToep(playerIndex) {
+        return this.dispatch({ type: ACTION_TYPES.BLIND_TOEP, playerIndex });
     }
 
-    // Handle card play
-    playCard(playerIndex, cardIndex) {
-        try {
-            this.validateCardPlay(playerIndex, cardIndex);
-            
-            const card = this.players[playerIndex].hand[cardIndex];
-            this.validateCardLegality(card);
-            
-            // Execute the play
-            this.executeCardPlay(playerIndex, cardIndex, card);
-            
-            return true;
-        } catch (error) {
-            this.emit('error', { message: error.message, playerIndex });
+    // Run an action through the shared rules and publish what happened
+    dispatch(action) {
+        const previous = this.state;
+        const result = Rules.applyAction(previous, action);
+
+        if (result.error) {
+            this.emit('error', { message: result.error, code: result.errorCode, playerIndex: action.playerIndex });
             return false;
         }
+
+        this.commit(result, previous);
+        return true;
     }
 
-    // Validate card play preconditions
-    validateCardPlay(playerIndex, cardIndex) {
-        if (this.gamePhase !== GAME_PHASES.PLAYING) {
-            throw new Error(ERROR_MESSAGES.GAME_PHASE_ERROR);
-        }
-        if (this.currentPlayer !== playerIndex) {
-            throw new Error(ERROR_MESSAGES.NOT_YOUR_TURN);
-        }
-        if (!this.playersInRound.includes(playerIndex)) {
-            throw new Error('Player is not in the current round');
-        }
-        if (this.isProcessing) {
-            throw new Error('Game is processing, please wait');
-        }
-        if (cardIndex < 0 || cardIndex >= this.players[playerIndex].hand.length) {
-            throw new Error('Invalid card index');
-        }
+    // Take over an accepted rules result and react to its events
+    commit(result, previous) {
+        this.setState(result.state);
+        result.events.forEach(event => this.handleRulesEvent(event, previous));
+        this.schedulePhaseTimeout();
+        this.scheduleBotTurn();
     }
 
-    // Validate card follows game rules
-    validateCardLegality(card) {
-        if (!this.isValidPlay(card)) {
-            throw new Error(ERROR_MESSAGES.INVALID_CARD_PLAY);
-        }
+    // Mirror the rules state onto the engine, where the UI reads it
+    setState(state) {
+        this.state = state;
+        Object.assign(this, state);
+        this.isProcessing = Rules.isTrickComplete(state);
     }
 
-    // Execute the card play
-    executeCardPlay(playerIndex, cardIndex, card) {
-        // Mark first card played
-        if (!this.firstCardPlayed) {
-            this.firstCardPlayed = true;
-        }
+    // Translate a rules event into the engine events the UI listens to
+    handleRulesEvent(event, previous) {
+        switch (event.type) {
+            case 'newRound':
+            case 'armoede':
+                this.emit('roundStarted', {
+                    round: this.round,
+                    players: this.players,
+                    gamePhase: this.gamePhase
+                });
+                break;
+
+            case 'playCard':
+                this.emit('cardPlayed', {
+                    playerIndex: event.playerIndex,
+                    card: event.card,
+                    currentTrick: this.currentTrick,
+                    leadSuit: this.leadSuit
+                });
+                if (!this.isProcessing) {
+                    this.emit('playerChanged', { currentPlayer: this.currentPlayer });
+                }
+                break;
 
-        // Remove card from hand and add to trick
-        this.players[playerIndex].hand.splice(cardIndex, 1);
-        this.currentTrick.push({ card: card, player: playerIndex });
+            case 'trickComplete':
+                this.emit('trickWon', {
+                    winner: event.winner,
+                    winningCard: event.card,
+                    trick: previous.currentTrick
+                });
+                if (this.gamePhase === GAME_PHASES.PLAYING) {
+                    this.emit('nextTrick', { leader: this.currentPlayer });
+                }
+                break;
 
-        // Set lead suit if first card
-        if (this.currentTrick.length === 1) {
-            this.leadSuit = card.suit;
-        }
+            case 'toep':
+                this.emit('toepCalled', {
+                    playerIndex: event.playerIndex,
+                    newStakes: event.stakes,
+                    playersToRespond: this.getPlayersToRespond()
+                });
+                break;
+
+            case 'acceptToep':
+            case 'autoAcceptToep':
+            case 'forcedAcceptToep':
+                this.emit('toepResponse', { playerIndex: event.playerIndex, response: 'accept' });
+                break;
+
+            case 'foldToToep':
+                this.emit('toepResponse', { playerIndex: event.playerIndex, response: 'fold' });
+                break;
+
+            case 'toepResponsesComplete':
+                event.foldedPlayers.forEach(playerIndex => this.emitPlayerFolded(playerIndex, previous));
+                if (this.gamePhase === GAME_PHASES.PLAYING) {
+                    this.emit('toepResolved', {
+                        stakes: this.stakes,
+                        playersInRound: this.playersInRound
+                    });
+                }
+                break;
 
-        this.emit('cardPlayed', {
-            playerIndex,
-            card,
-            currentTrick: this.currentTrick,
-            leadSuit: this.leadSuit
-        });
+            case 'fold':
+            case 'foldToBlindToep':
+                this.emitPlayerFolded(event.playerIndex, previous);
+                break;
+
+            case 'laundryPhaseEnd':
+                this.emit('laundryPhaseEnded');
+                break;
+
+            case 'roundEnded':
+                this.handleRoundEnded(event, previous);
+                break;
 
-        // Check if trick is complete
-        if (this.currentTrick.length === this.playersInRound.length) {
-            this.isProcessing = true;
-            setTimeout(() => this.evaluateTrick(), TIMING.TRICK_EVALUATION_DELAY);
-        } else {
-            this.nextPlayer();
+            case 'gameEnded':
+            case 'vijfkruizenVictory':
+                this.endGame(event.winners);
+                break;
+
+            default:
+                // Armoede, laundry, blind toep and Boertoep events pass through as they are
+                this.emit(event.type, event);
         }
     }
 
-    // Check if card play is valid (suit following)
-    isValidPlay(card) {
-        if (this.currentTrick.length === 0) return true;
-        
-        const player = this.players[this.currentPlayer];
-        const hasSuit = player.hand.some(c => c.suit === this.leadSuit);
-        
-        return !hasSuit || card.suit === this.leadSuit;
+    // Players who still owe an answer to the current toep
+    getPlayersToRespond() {
+        if (!this.toepResponses) return [];
+        return this.playersInRound.filter(p => this.toepResponses[p] === null);
     }
 
-    // Move to next player in round
-    nextPlayer() {
-        do {
-            this.currentPlayer = (this.currentPlayer + 1) % this.players.length;
-        } while (!this.playersInRound.includes(this.currentPlayer));
-        
-        this.emit('playerChanged', { currentPlayer: this.currentPlayer });
+    emitPlayerFolded(playerIndex, previous) {
+        const penaltyPoints = this.players[playerIndex].points - previous.players[playerIndex].points;
+        this.emit('playerFolded', { playerIndex, penaltyPoints });
     }
 
-    // Evaluate completed trick
-    evaluateTrick() {
-        try {
-            const winner = this.findTrickWinner();
-            this.roundTrickWins[winner.player]++;
-            
-            this.emit('trickWon', {
-                winner: winner.player,
-                winningCard: winner.card,
-                trick: this.currentTrick
-            });
-
-            this.tricksPlayed++;
-            this.currentTrick = [];
-            this.leadSuit = null;
-
-            if (this.tricksPlayed === GAME_CONFIG.TRICKS_PER_ROUND) {
-                setTimeout(() => this.endRound(), TIMING.ROUND_END_DELAY);
-            } else {
-                this.currentPlayer = winner.player;
-                this.isProcessing = false;
-                this.emit('nextTrick', { leader: this.currentPlayer });
+    // Report the round result and anyone it knocked out
+    handleRoundEnded(event, previous) {
+        this.players.forEach((player, index) => {
+            player.isEliminated = player.points >= GAME_CONFIG.ELIMINATION_POINTS;
+            if (player.isEliminated && previous.players[index].points < GAME_CONFIG.ELIMINATION_POINTS) {
+                this.eliminatedPlayers.push(index);
+                this.emit('playerEliminated', { playerIndex: index, player });
             }
-        } catch (error) {
-            this.emit('error', { message: error.message });
-        }
-    }
+        });
 
-    // Find winner of current trick
-    findTrickWinner() {
-        let winner = this.currentTrick[0];
-        
-        this.currentTrick.forEach(play => {
-            if (play.card.suit === this.leadSuit && play.card.value > winner.card.value) {
-                winner = play;
-            }
+        this.emit('roundEnded', {
+            winners: event.winners,
+            round: event.round,
+            playerStates: this.players.map(p => ({
+                name: p.name,
+                points: p.points,
+                isEliminated: p.isEliminated
+            }))
         });
-        
-        return winner;
     }
 
-    // Handle toep (raise stakes)
-    toep(playerIndex) {
-        try {
-            this.validateToepAction(playerIndex);
-            
-            this.stakes += 1;
-            this.lastToeper = playerIndex;
-            this.gamePhase = GAME_PHASES.TOEP_RESPONSE;
-            this.playerStakesOnEntry[playerIndex] = this.stakes;
-            
-            this.initializeToepResponses(playerIndex);
-            
-            this.emit('toepCalled', {
-                playerIndex,
-                newStakes: this.stakes,
-                playersToRespond: this.getPlayersToRespond()
-            });
-
-            // Set timeout for auto-responses
-            setTimeout(() => {
-                if (this.gamePhase === GAME_PHASES.TOEP_RESPONSE) {
-                    this.handleAutoToepResponses();
-                }
-            }, TIMING.TOEP_RESPONSE_TIMEOUT);
+    // End the game
+    endGame(winners) {
+        this.stopTimers();
+        const winner = winners && winners.length > 0 ? this.players[winners[0]] : undefined;
 
-            return true;
-        } catch (error) {
-            this.emit('error', { message: error.message, playerIndex });
-            return false;
-        }
+        this.emit('gameEnded', {
+            winner,
+            finalScores: this.players.map(p => ({
+                name: p.name,
+                points: p.points,
+                isEliminated: p.points >= GAME_CONFIG.ELIMINATION_POINTS
+            }))
+        });
     }
 
-    // Validate toep action
-    validateToepAction(playerIndex) {
-        if (this.gamePhase !== GAME_PHASES.PLAYING) {
-            throw new Error('Cannot toep in current game phase');
-        }
-        if (this.currentPlayer !== playerIndex) {
-            throw new Error('Not your turn to toep');
-        }
-        if (this.lastToeper === playerIndex) {
-            throw new Error('You already toeped this round');
-        }
-        if (this.stakes >= GAME_CONFIG.MAX_STAKES) {
-            throw new Error('Stakes are already at maximum');
+    // Arm the timer for the next timed transition the rules are waiting on. There is
+    // no turn clock offline: nobody at the table is waiting on the player.
+    schedulePhaseTimeout() {
+        const next = Rules.getPendingTimeout(this.state);
+        const pending = next && next.kind !== 'turn' ? next : null;
+        if (this.phaseTimer && pending && this.phaseTimer.key === pending.key) return;
+
+        if (this.phaseTimer) {
+            clearTimeout(this.phaseTimer.timer);
+            this.phaseTimer = null;
         }
+        if (!pending) return;
+
+        this.phaseTimer = {
+            key: pending.key,
+            timer: setTimeout(() => {
+                this.phaseTimer = null;
+                this.dispatch(pending.action);
+            }, PHASE_TIMEOUTS[pending.kind])
+        };
     }
 
-    // Initialize toep response tracking
-    initializeToepResponses(toepPlayerIndex) {
-        this.toepResponses = new Array(this.players.length).fill(null);
-        this.toepResponses[toepPlayerIndex] = 'accept';
+    stopTimers() {
+        if (this.phaseTimer) {
+            clearTimeout(this.phaseTimer.timer);
+            this.phaseTimer = null;
+        }
+        clearTimeout(this.botTimer);
+        this.botTimer = null;
     }
 
-    // Get players who need to respond to toep
-    getPlayersToRespond() {
-        return this.playersInRound.filter(p => p !== this.lastToeper);
+    // Ask the bot strategy what a bot seat wants to do in the current phase
+    getBotAction(playerIndex) {
+        const view = BotStrategies.createPlayerView(this.state, playerIndex, {
+            getLaundryType: Rules.getLaundryType,
+            maxStakes: GAME_CONFIG.MAX_STAKES
+        });
+        return BotStrategies.getStrategy(this.botStrategy).decide(view);
     }
 
-    // Handle toep response
-    respondToToep(playerIndex, response) {
-        try {
-            this.validateToepResponse(playerIndex);
-            
-            this.toepResponses[playerIndex] = response;
-            
-            if (response === 'accept') {
-                this.playerStakesOnEntry[playerIndex] = this.stakes;
-            } else if (response === 'fold') {
-                this.handlePlayerFold(playerIndex);
-            }
+    // Give the bots a moment after every change, then let one of them act
+    scheduleBotTurn() {
+        clearTimeout(this.botTimer);
+        if (!this.state || this.gamePhase === GAME_PHASES.GAME_END) return;
 
-            this.emit('toepResponse', { playerIndex, response });
-            
-            this.checkAllToepResponses();
-            return true;
-        } catch (error) {
-            this.emit('error', { message: error.message, playerIndex });
-            return false;
-        }
+        this.botTimer = setTimeout(() => this.playBotTurn(), TIMING.AI_DECISION_DELAY);
     }
 
-    // Validate toep response
-    validateToepResponse(playerIndex) {
-        if (this.gamePhase !== GAME_PHASES.TOEP_RESPONSE) {
-            throw new Error('Not in toep response phase');
+    // Laundry claims, inspections and blind toep calls are optional, so each bot
+    // makes those choices once instead of re-rolling them on every change
+    getOneOffDecisionKey() {
+        if (this.gamePhase === GAME_PHASES.LAUNDRY) {
+            return this.awaitingInspection && this.pendingLaundry ?
+                `inspect:${this.round}:${this.deck.length}:${this.pendingLaundry.playerIndex}` :
+                `laundry:${this.round}`;
         }
-        if (!this.toepResponses || this.toepResponses[playerIndex] !== null) {
-            throw new Error('Invalid toep response state');
+        if (this.gamePhase === GAME_PHASES.ROUND_END) {
+            return `blindToep:${this.round}`;
         }
+        return null;
     }
 
-    // Handle player folding
-    handlePlayerFold(playerIndex) {
-        const penaltyPoints = this.playerStakesOnEntry[playerIndex];
-        this.players[playerIndex].points += penaltyPoints;
-        this.playersInRound = this.playersInRound.filter(p => p !== playerIndex);
-        
-        this.emit('playerFolded', { playerIndex, penaltyPoints });
-    }
+    // Let the first bot that has something to do make its move (one bot per tick)
+    playBotTurn() {
+        const oneOffKey = this.getOneOffDecisionKey();
 
-    // Check if all players have responded to toep
-    checkAllToepResponses() {
-        const playersToRespond = this.getPlayersToRespond();
-        const allResponded = playersToRespond.every(p => this.toepResponses[p] !== null);
-        
-        if (allResponded || this.playersInRound.length <= 1) {
-            this.resolveToepPhase();
-        }
-    }
+        for (let playerIndex = 0; playerIndex < this.players.length; playerIndex++) {
+            const memory = this.botMemory[playerIndex];
+            if (!this.players[playerIndex].isBot) continue;
+            if (oneOffKey && memory.lastOneOffDecision === oneOffKey) continue;
 
-    // Resolve toep phase and continue game
-    resolveToepPhase() {
-        this.gamePhase = GAME_PHASES.PLAYING;
-        this.toepResponses = null;
-        
-        if (this.playersInRound.length <= 1) {
-            setTimeout(() => this.endRound(), TIMING.ROUND_END_DELAY);
-        } else {
-            this.emit('toepResolved', { 
-                stakes: this.stakes,
-                playersInRound: this.playersInRound 
-            });
-        }
-    }
-
-    // Handle auto toep responses for AI players
-    handleAutoToepResponses() {
-        const playersToRespond = this.getPlayersToRespond();
-        playersToRespond.forEach(playerIndex => {
-            if (this.toepResponses[playerIndex] === null && this.players[playerIndex].isBot) {
-                const foldChance = this.stakes >= AI_CONFIG.HIGH_STAKES_THRESHOLD ? 
-                    AI_CONFIG.FOLD_PROBABILITY_HIGH_STAKES : AI_CONFIG.FOLD_PROBABILITY_BASE;
-                
-                const response = Math.random() < foldChance ? 'fold' : 'accept';
-                this.respondToToep(playerIndex, response);
+            const action = this.getBotAction(playerIndex);
+            if (oneOffKey) {
+                memory.lastOneOffDecision = oneOffKey;
             }
-        });
-    }
-
-    // End current round
-    endRound() {
-        try {
-            const winners = this.determineRoundWinners();
-            this.applyRoundPenalties(winners);
-            this.checkForEliminatedPlayers();
-            
-            this.emit('roundEnded', {
-                winners,
-                round: this.round,
-                playerStates: this.players.map(p => ({ 
-                    name: p.name, 
-                    points: p.points, 
-                    isEliminated: p.isEliminated 
-                }))
-            });
-
-            if (this.checkGameEnd()) {
-                this.endGame();
-            } else {
-                this.prepareNextRound();
+            if (!action) continue;
+
+            // A refused move (e.g. while a finished trick is still on the table) lets the next bot try
+            const previous = this.state;
+            const result = Rules.applyAction(previous, { ...action, playerIndex });
+            if (!result.error) {
+                this.commit(result, previous);
+                return;
             }
-        } catch (error) {
-            this.emit('error', { message: error.message });
         }
     }
 
-    // Determine round winners (most tricks)
-    determineRoundWinners() {
-        const maxTricks = Math.max(...this.playersInRound.map(p => this.roundTrickWins[p]));
-        return this.playersInRound.filter(p => this.roundTrickWins[p] === maxTricks);
-    }
-
-    // Apply penalty points to non-winners
-    applyRoundPenalties(winners) {
-        this.playersInRound.forEach(playerIndex => {
-            if (!winners.includes(playerIndex)) {
-                const penaltyPoints = this.playerStakesOnEntry[playerIndex];
-                this.players[playerIndex].points += penaltyPoints;
-            }
-        });
-    }
-
-    // Check for players who should be eliminated
-    checkForEliminatedPlayers() {
-        this.players.forEach((player, index) => {
-            if (player.points >= GAME_CONFIG.ELIMINATION_POINTS && !player.isEliminated) {
-                player.isEliminated = true;
-                this.eliminatedPlayers.push(index);
-                this.emit('playerEliminated', { playerIndex: index, player });
-            }
-        });
-    }
-
-    // Check if game should end
-    checkGameEnd() {
-        const activePlayers = this.players.filter(p => !p.isEliminated);
-        return activePlayers.length <= 1;
-    }
-
-    // End the game
-    endGame() {
-        this.gamePhase = GAME_PHASES.GAME_END;
-        const winner = this.players.find(p => !p.isEliminated);
-        
-        this.emit('gameEnded', { 
-            winner,
-            finalScores: this.players.map(p => ({
-                name: p.name,
-                points: p.points,
-                isEliminated: p.isEliminated
-            }))
-        });
-    }
-
-    // Prepare for next round
-    prepareNextRound() {
-        this.round++;
-        this.stakes = GAME_CONFIG.INITIAL_STAKES;
-        setTimeout(() => this.startRound(), TIMING.ROUND_END_DELAY);
-    }
-
     // Get current game state
     getGameState() {
         return {
-            players: this.players,
-            currentPlayer: this.currentPlayer,
-            round: this.round,
-            stakes: this.stakes,
-            currentTrick: this.currentTrick,
-            tricksPlayed: this.tricksPlayed,
-            gamePhase: this.gamePhase,
-            playersInRound: this.playersInRound,
-            leadSuit: this.leadSuit,
-            playerStakesOnEntry: this.playerStakesOnEntry,
+            ...this.state,
             isProcessing: this.isProcessing
         };
     }
-}
\ No newline at end of file
+}
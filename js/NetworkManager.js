@@ -2,9 +2,16 @@ import {
     SOCKET_EVENTS, 
     ACTION_TYPES, 
     ERROR_MESSAGES, 
-    VALIDATION 
+    VALIDATION,
+    SEAT_SESSION_STORAGE_KEY,
+    POLLING_ENDPOINT
 } from './constants.js';
 import { EventManager } from './EventManager.js';
+import * as pollingSocketModule from '../shared/pollingSocket.js';
+import * as roomCodesModule from '../shared/roomCodes.js';
+
+const PollingSocket = pollingSocketModule.default || globalThis.ToepenPollingSocket;
+const RoomCodes = roomCodesModule.default || globalThis.ToepenRoomCodes;
 
 export class NetworkManager extends EventManager {
     constructor() {
@@ -13,19 +20,20 @@ export class NetworkManager extends EventManager {
         this.isConnected = false;
         this.roomCode = null;
         this.playerIndex = -1;
+        this.stateVersion = 0; // version of the game state our moves are made on
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000;
     }
 
-    // Initialize socket connection
+    // Initialize socket connection. Without Socket.IO (serverless hosts), or with
+    // ?transport=polling in the URL, we poll the stateless endpoint instead.
     connect() {
         try {
-            if (typeof io === 'undefined') {
-                throw new Error('Socket.io not loaded');
-            }
+            const usePolling = typeof io === 'undefined' ||
+                new URLSearchParams(window.location.search).get('transport') === 'polling';
 
-            this.socket = io({
+            this.socket = usePolling ? PollingSocket.connect(POLLING_ENDPOINT) : io({
                 transports: ['websocket', 'polling'],
                 upgrade: true,
                 rememberUpgrade: true
@@ -47,6 +55,9 @@ export class NetworkManager extends EventManager {
             this.isConnected = true;
             this.reconnectAttempts = 0;
             this.emit('connected');
+            
+            // Every reconnect gets a new socket id - reclaim our seat if we had one
+            this.rejoinRoom();
         });
 
         this.socket.on('disconnect', (reason) => {
@@ -71,15 +82,32 @@ export class NetworkManager extends EventManager {
         this.socket.on(SOCKET_EVENTS.ROOM_CREATED, (data) => {
             this.roomCode = data.roomCode;
             this.playerIndex = data.playerIndex;
+            this.saveSeatSession(data.roomCode, data.sessionToken);
             this.emit('roomCreated', data);
         });
 
         this.socket.on(SOCKET_EVENTS.ROOM_JOINED, (data) => {
             this.roomCode = data.roomCode;
             this.playerIndex = data.playerIndex;
+            this.saveSeatSession(data.roomCode, data.sessionToken);
             this.emit('roomJoined', data);
         });
 
+        this.socket.on(SOCKET_EVENTS.ROOM_REJOINED, (data) => {
+            this.roomCode = data.roomCode;
+            this.playerIndex = data.playerIndex;
+            this.emit('roomRejoined', data);
+        });
+
+        this.socket.on(SOCKET_EVENTS.REJOIN_ERROR, (message) => {
+            this.clearSeatSession();
+            this.emit('rejoinFailed', { message });
+        });
+
+        this.socket.on(SOCKET_EVENTS.PLAYER_RECONNECTED, (data) => {
+            this.emit('playerReconnected', data);
+        });
+
         this.socket.on(SOCKET_EVENTS.GAME_STATE_UPDATE, (data) => {
             this.emit('gameStateUpdate', data);
         });
@@ -88,15 +116,73 @@ export class NetworkManager extends EventManager {
             this.emit('playerDisconnected', data);
         });
 
+        this.socket.on(SOCKET_EVENTS.BOT_STAND_IN, (data) => {
+            this.emit('botStandIn', data);
+        });
+
+        this.socket.on(SOCKET_EVENTS.ACTION_REJECTED, (data) => {
+            this.emit('actionRejected', data);
+        });
+
         this.socket.on(SOCKET_EVENTS.ERROR, (data) => {
             this.emit('serverError', data);
         });
 
-        // Handle custom events
-        this.socket.on('lobbyUpdate', (data) => {
+        // Room chat (see shared/chat.js)
+        this.socket.on(SOCKET_EVENTS.CHAT_MESSAGE, (message) => {
+            this.emit('chatMessage', message);
+        });
+
+        this.socket.on(SOCKET_EVENTS.CHAT_MUTED, (data) => {
+            this.emit('chatMuted', data);
+        });
+
+        this.socket.on(SOCKET_EVENTS.CHAT_ERROR, (message) => {
+            this.emit('chatError', { message });
+        });
+
+        this.socket.on(SOCKET_EVENTS.KICKED, (data) => {
+            this.roomCode = null;
+            this.clearSeatSession();
+            this.emit('kicked', data);
+        });
+
+        // The room was closed after a long time without anyone doing anything
+        this.socket.on(SOCKET_EVENTS.ROOM_EXPIRED, (data) => {
+            this.roomCode = null;
+            this.clearSeatSession();
+            this.emit('roomExpired', data);
+        });
+
+        // The room changed: someone left, or the host moderated it
+        this.socket.on(SOCKET_EVENTS.PLAYER_LEFT, (data) => {
+            this.updatePlayerIndex(data.players);
+            this.emit('playerLeft', data);
+        });
+
+        this.socket.on(SOCKET_EVENTS.LOBBY_UPDATE, (data) => {
+            this.updatePlayerIndex(data.players);
             this.emit('lobbyUpdate', data);
         });
 
+        // Public rooms and quick match (Socket.IO only, see server/matchmaking.js)
+        this.socket.on(SOCKET_EVENTS.ROOM_LIST, (data) => {
+            this.emit('roomList', data);
+        });
+
+        this.socket.on(SOCKET_EVENTS.QUICK_MATCH_STATUS, (status) => {
+            this.emit('quickMatchStatus', status);
+        });
+
+        this.socket.on(SOCKET_EVENTS.QUICK_MATCH_FOUND, (data) => {
+            this.emit('quickMatchFound', data);
+        });
+
+        // The room's series after each game and each vote to play again (see server/series.js)
+        this.socket.on(SOCKET_EVENTS.SERIES_UPDATED, (data) => {
+            this.emit('seriesUpdated', data);
+        });
+
         this.socket.on('gameStarted', (data) => {
             this.emit('gameStarted', data);
         });
@@ -142,7 +228,7 @@ export class NetworkManager extends EventManager {
     // Join a game room
     joinRoom(roomCode, playerName) {
         try {
-            this.validateRoomCode(roomCode);
+            const code = this.validateRoomCode(roomCode);
             this.validatePlayerName(playerName);
             
             if (!this.ensureConnection()) {
@@ -150,7 +236,7 @@ export class NetworkManager extends EventManager {
             }
 
             this.socket.emit(SOCKET_EVENTS.JOIN_ROOM, {
-                roomCode: roomCode.toUpperCase().trim(),
+                roomCode: code,
                 playerName: playerName.trim()
             });
 
@@ -161,6 +247,52 @@ export class NetworkManager extends EventManager {
         }
     }
 
+    // Reclaim a seat from a stored session (after a refresh or dropped connection)
+    rejoinRoom() {
+        const session = this.loadSeatSession();
+        if (!session || !this.socket) {
+            return false;
+        }
+
+        this.socket.emit(SOCKET_EVENTS.REJOIN_ROOM, session);
+        return true;
+    }
+
+    // Remember the seat session for this browser tab
+    saveSeatSession(roomCode, sessionToken) {
+        if (!roomCode || !sessionToken) return;
+        try {
+            sessionStorage.setItem(SEAT_SESSION_STORAGE_KEY, JSON.stringify({ roomCode, sessionToken }));
+        } catch (error) {
+            // Storage unavailable (private mode) - reconnection just won't survive a refresh
+        }
+    }
+
+    // Load the stored seat session, if any
+    loadSeatSession() {
+        try {
+            return JSON.parse(sessionStorage.getItem(SEAT_SESSION_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Forget the stored seat session
+    clearSeatSession() {
+        try {
+            sessionStorage.removeItem(SEAT_SESSION_STORAGE_KEY);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+
+    // Ask for the full game state when a patch no longer fits ours
+    requestResync() {
+        if (this.ensureConnection()) {
+            this.socket.emit(SOCKET_EVENTS.REQUEST_RESYNC);
+        }
+    }
+
     // Send game action
     sendGameAction(actionType, actionData = {}) {
         try {
@@ -172,10 +304,14 @@ export class NetworkManager extends EventManager {
                 throw new Error('Not in a room');
             }
 
+            // The id lets the server count a resent move only once; the version lets it
+            // refuse a move made on a table that has changed since
             const action = {
                 type: actionType,
                 playerIndex: this.playerIndex,
-                ...actionData
+                ...actionData,
+                actionId: this.createActionId(),
+                expectedVersion: this.stateVersion
             };
 
             this.socket.emit(SOCKET_EVENTS.GAME_ACTION, action);
@@ -221,19 +357,140 @@ export class NetworkManager extends EventManager {
         return this.sendGameAction(ACTION_TYPES.INSPECT_LAUNDRY);
     }
 
+    // No (more) laundry to claim this round
+    passLaundry() {
+        return this.sendGameAction(ACTION_TYPES.PASS_LAUNDRY);
+    }
+
     // Call blind toep
     blindToep() {
         return this.sendGameAction(ACTION_TYPES.BLIND_TOEP);
     }
 
-    // Add bot to lobby
-    addBot() {
+    // Say something in the room chat
+    sendChatMessage(text) {
+        if (!this.ensureConnection() || !this.roomCode) {
+            return false;
+        }
+
+        this.socket.emit(SOCKET_EVENTS.CHAT_MESSAGE, { text });
+        return true;
+    }
+
+    // Send one of the quick reactions by id
+    sendReaction(reaction) {
+        if (!this.ensureConnection() || !this.roomCode) {
+            return false;
+        }
+
+        this.socket.emit(SOCKET_EVENTS.CHAT_MESSAGE, { reaction });
+        return true;
+    }
+
+    // Our seat can move when the host reorders the seats before the game starts
+    updatePlayerIndex(players) {
+        const playerIndex = players.findIndex(player => this.socket && player.id === this.socket.id);
+        if (playerIndex !== -1) {
+            this.playerIndex = playerIndex;
+        }
+    }
+
+    // Host moderation (the server checks we are the host)
+    sendHostCommand(event, payload) {
+        if (!this.ensureConnection() || !this.roomCode) {
+            return false;
+        }
+
+        this.socket.emit(event, payload);
+        return true;
+    }
+
+    // Remove a player or spectator by name; a ban keeps them out of this room for good
+    kickFromRoom(name, ban = false) {
+        return this.sendHostCommand(SOCKET_EVENTS.KICK_FROM_ROOM, { name, ban });
+    }
+
+    transferHost(playerIndex) {
+        return this.sendHostCommand(SOCKET_EVENTS.TRANSFER_HOST, { playerIndex });
+    }
+
+    setRoomLocked(locked) {
+        return this.sendHostCommand(SOCKET_EVENTS.SET_ROOM_LOCKED, { locked });
+    }
+
+    // order: the current seat indices in their new order
+    reorderSeats(order) {
+        return this.sendHostCommand(SOCKET_EVENTS.REORDER_SEATS, { order });
+    }
+
+    // List the room under its title for anyone looking for a game; an empty title uses
+    // the host's name
+    setRoomVisibility(isPublic, title = '') {
+        return this.sendHostCommand(SOCKET_EVENTS.SET_ROOM_VISIBILITY, { isPublic, title });
+    }
+
+    // Get roomList events with the open public rooms until unwatchRoomList
+    watchRoomList() {
+        if (!this.ensureConnection()) {
+            return false;
+        }
+
+        this.socket.emit(SOCKET_EVENTS.WATCH_ROOM_LIST);
+        return true;
+    }
+
+    unwatchRoomList() {
+        if (this.socket) {
+            this.socket.emit(SOCKET_EVENTS.UNWATCH_ROOM_LIST);
+        }
+    }
+
+    // Wait for a quick match; the server seats us and starts the game when it finds one
+    joinQuickMatch(playerName) {
+        try {
+            this.validatePlayerName(playerName);
+
+            if (!this.ensureConnection() || this.roomCode) {
+                return false;
+            }
+
+            this.socket.emit(SOCKET_EVENTS.JOIN_QUICK_MATCH, { playerName: playerName.trim() });
+            return true;
+        } catch (error) {
+            this.emit('error', { message: error.message });
+            return false;
+        }
+    }
+
+    leaveQuickMatch() {
+        if (this.socket) {
+            this.socket.emit(SOCKET_EVENTS.LEAVE_QUICK_MATCH);
+        }
+    }
+
+    // How many games the room plays: 1, 3, 5 or 7 (best of), picked in the lobby
+    setSeriesLength(bestOf) {
+        return this.sendHostCommand(SOCKET_EVENTS.SET_SERIES_LENGTH, { bestOf });
+    }
+
+    // Vote to play the next game at the same seats once this one is over
+    playAgain() {
+        if (!this.ensureConnection() || !this.roomCode) {
+            return false;
+        }
+
+        this.socket.emit(SOCKET_EVENTS.PLAY_AGAIN);
+        return true;
+    }
+
+    // Add bot to lobby, playing with the given strategy (server default if empty)
+    addBot(strategy) {
         try {
             if (!this.ensureConnection() || !this.roomCode) {
                 return false;
             }
 
-            this.socket.emit('addBot');
+            this.socket.emit('addBot', { strategy });
             return true;
         } catch (error) {
             this.emit('error', { message: error.message });
@@ -260,10 +517,12 @@ export class NetworkManager extends EventManager {
     leaveRoom() {
         try {
             if (this.socket && this.roomCode) {
-                this.socket.emit('leaveRoom');
+                this.socket.emit(SOCKET_EVENTS.LEAVE_ROOM);
                 this.roomCode = null;
                 this.playerIndex = -1;
+                this.stateVersion = 0;
             }
+            this.clearSeatSession();
             return true;
         } catch (error) {
             this.emit('error', { message: error.message });
@@ -281,6 +540,7 @@ export class NetworkManager extends EventManager {
             this.isConnected = false;
             this.roomCode = null;
             this.playerIndex = -1;
+            this.stateVersion = 0;
             return true;
         } catch (error) {
             this.emit('error', { message: error.message });
@@ -289,18 +549,18 @@ export class NetworkManager extends EventManager {
     }
 
     // Validate room code
+    // Returns the code the way the server hands codes out (see shared/roomCodes.js)
     validateRoomCode(roomCode) {
         if (!roomCode || typeof roomCode !== 'string') {
             throw new Error(ERROR_MESSAGES.INVALID_ROOM_CODE);
         }
         
-        const trimmed = roomCode.trim().toUpperCase();
-        if (trimmed.length !== VALIDATION.ROOM_CODE_LENGTH || 
-            !VALIDATION.ROOM_CODE_PATTERN.test(trimmed)) {
+        const code = RoomCodes.normalizeRoomCode(roomCode);
+        if (!code) {
             throw new Error(ERROR_MESSAGES.INVALID_ROOM_CODE);
         }
         
-        return true;
+        return code;
     }
 
     // Validate player name
@@ -360,6 +620,16 @@ export class NetworkManager extends EventManager {
         return this.playerIndex;
     }
 
+    // Remember the version of the newest game state we have
+    setStateVersion(version) {
+        this.stateVersion = version;
+    }
+
+    // Unique enough per client: the server only compares ids from the same seat
+    createActionId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
     // Send heartbeat to maintain connection
     sendHeartbeat() {
         if (this.ensureConnection()) {
@@ -1,6 +1,7 @@
 import { GameEngine } from './GameEngine.js';
 import { UIManager } from './UIManager.js';
 import { NetworkManager } from './NetworkManager.js';
+import * as statePatchModule from '../shared/statePatch.js';
 import { 
     GAME_CONFIG, 
     GAME_PHASES, 
@@ -8,6 +9,9 @@ import {
     ERROR_MESSAGES 
 } from './constants.js';
 
+// Shared with the server: a CommonJS export under Node, a global in the browser
+const StatePatch = statePatchModule.default || globalThis.ToepenStatePatch;
+
 export class ToepenApp {
     constructor() {
         this.gameEngine = null;
@@ -15,6 +19,8 @@ export class ToepenApp {
         this.networkManager = null;
         this.isMultiplayer = false;
         this.gameMode = 'offline'; // offline, multiplayer
+        this.stateVersion = 0; // version of the newest server state we have
+        this.serverState = null; // the last full server state, which patches apply to
         
         this.init();
     }
@@ -55,8 +61,9 @@ export class ToepenApp {
         this.uiManager.on('fold', () => this.fold());
         this.uiManager.on('acceptToep', () => this.acceptToep());
         this.uiManager.on('foldToToep', () => this.foldToToep());
-        this.uiManager.on('submitVuileWas', () => this.submitLaundry('vuileWas'));
-        this.uiManager.on('submitWitteWas', () => this.submitLaundry('witteWas'));
+        this.uiManager.on('submitVuileWas', () => this.submitLaundry('vuile'));
+        this.uiManager.on('submitWitteWas', () => this.submitLaundry('witte'));
+        this.uiManager.on('passLaundry', () => this.passLaundry());
         this.uiManager.on('callBlindToep', () => this.callBlindToep());
         
         // Menu events
@@ -78,6 +85,7 @@ export class ToepenApp {
             this.isMultiplayer = false;
             
             this.gameEngine = new GameEngine();
+            this.gameEngine.setBotStrategy(formValues.botStrategy);
             this.setupGameEngineEvents();
             
             if (this.gameEngine.initializeGame(playerNames, false)) {
@@ -130,18 +138,89 @@ export class ToepenApp {
             this.handleRoomJoined(data);
         });
 
+        this.networkManager.on('roomRejoined', (data) => {
+            this.handleRoomRejoined(data);
+        });
+
+        this.networkManager.on('rejoinFailed', (data) => {
+            this.uiManager.addActivityMessage(`⚠️ Could not rejoin: ${data.message}`);
+        });
+
+        this.networkManager.on('playerDisconnected', (data) => {
+            const seconds = Math.round(data.gracePeriodMs / 1000);
+            this.uiManager.addActivityMessage(`📶 ${data.playerName} lost connection - seat held for ${seconds}s`);
+        });
+
+        this.networkManager.on('playerReconnected', (data) => {
+            this.uiManager.addActivityMessage(`🔌 ${data.playerName} reconnected`);
+        });
+
+        // A player kept running out of time: a bot plays for them until they make a move
+        this.networkManager.on('botStandIn', (data) => {
+            this.uiManager.addActivityMessage(data.active ?
+                `🤖 ${data.playerName} missed too many turns - a bot plays for them` :
+                `🙋 ${data.playerName} is back and plays again`);
+        });
+
         this.networkManager.on('lobbyUpdate', (data) => {
             this.handleLobbyUpdate(data);
         });
 
+        this.networkManager.on('playerLeft', (data) => {
+            this.uiManager.addActivityMessage(`📤 ${data.playerName} left`);
+            this.handleLobbyUpdate({ roomCode: this.networkManager.roomCode, players: data.players, host: data.newHost });
+        });
+
+        this.networkManager.on('quickMatchStatus', (status) => {
+            if (status.queued) {
+                this.uiManager.showToast(`Quick match: ${status.waiting} waiting`);
+            }
+        });
+
+        this.networkManager.on('quickMatchFound', () => {
+            this.uiManager.showSuccess('Table found - the game is starting!');
+        });
+
         this.networkManager.on('gameStarted', (data) => {
             this.handleGameStarted(data);
         });
 
+        this.networkManager.on('seriesUpdated', (data) => {
+            this.handleSeriesUpdated(data.series);
+        });
+
         this.networkManager.on('gameStateUpdate', (data) => {
             this.handleGameStateUpdate(data);
         });
 
+        // The server refused one of our moves - say why, in our own words where we have them
+        this.networkManager.on('actionRejected', (data) => {
+            this.uiManager.showError(ERROR_MESSAGES[data.code] || data.message);
+        });
+
+        // Room chat goes into the activity log, which escapes it
+        this.networkManager.on('chatMessage', (message) => {
+            this.uiManager.addActivityMessage(`💬 ${message.name}: ${message.text}`, 'chat');
+        });
+
+        this.networkManager.on('chatMuted', (data) => {
+            this.uiManager.addActivityMessage(data.muted ?
+                `🔇 ${data.name} was muted by the host` :
+                `🔊 ${data.name} can chat again`);
+        });
+
+        this.networkManager.on('chatError', (data) => {
+            this.uiManager.showError(data.message);
+        });
+
+        this.networkManager.on('kicked', (data) => {
+            this.uiManager.showError(data && data.banned ? 'The host banned you from the room' : 'The host removed you from the room');
+        });
+
+        this.networkManager.on('roomExpired', (data) => {
+            this.uiManager.showError(`Room ${data.roomCode} was closed after ${Math.round(data.idleMs / 60000)} minutes without activity`);
+        });
+
         this.networkManager.on('serverError', (data) => {
             this.uiManager.showError(data.message || 'Server error');
         });
@@ -199,10 +278,53 @@ export class ToepenApp {
         document.getElementById('lobbyPlayers').style.display = 'block';
     }
 
+    // Handle reclaiming our seat after a refresh or reconnect
+    handleRoomRejoined(data) {
+        this.isMultiplayer = true;
+        this.gameMode = 'multiplayer';
+        this.uiManager.addActivityMessage(`🔌 Rejoined lobby: ${data.roomCode}`);
+
+        if (data.gameState) {
+            if (!this.gameEngine) {
+                this.handleGameStarted(data);
+            } else {
+                this.syncGameState(data.gameState);
+            }
+            return;
+        }
+
+        this.uiManager.updateLobbyDisplay({
+            code: data.roomCode,
+            players: data.players,
+            isHost: data.isHost
+        });
+    }
+
     // Handle lobby update
+    // The room as it is now ({ roomCode, players, host, change }), after someone left or
+    // the host moderated it
     handleLobbyUpdate(data) {
-        this.uiManager.updateLobbyDisplay(data);
-        this.uiManager.addActivityMessage(`👥 Lobby updated: ${data.players.length} players`);
+        const socket = this.networkManager && this.networkManager.socket;
+        this.uiManager.updateLobbyDisplay({
+            code: data.roomCode,
+            players: data.players,
+            isHost: Boolean(socket) && data.host === socket.id
+        });
+
+        const change = data.change || {};
+        if (change.type === 'hostTransferred') {
+            this.uiManager.addActivityMessage(`👑 ${change.playerName} is now the host`);
+        } else if (change.type === 'roomLocked') {
+            this.uiManager.addActivityMessage(change.locked ? '🔒 The room is locked' : '🔓 The room is open again');
+        } else if (change.type === 'seatsReordered') {
+            this.uiManager.addActivityMessage('🔀 The seats were reordered');
+        } else if (change.type === 'playerKicked') {
+            this.uiManager.addActivityMessage(`🚪 ${change.playerName} was ${change.banned ? 'banned' : 'removed'} by the host`);
+        } else if (change.type === 'visibilityChanged') {
+            this.uiManager.addActivityMessage(change.isPublic ? `📣 The room is listed as "${change.title}"` : '🙈 The room is no longer listed');
+        } else if (change.type === 'seriesLengthChanged') {
+            this.uiManager.addActivityMessage(change.bestOf > 1 ? `🏆 The room plays best of ${change.bestOf}` : '🏆 The room plays a single game');
+        }
     }
 
     // Handle game started
@@ -213,6 +335,9 @@ export class ToepenApp {
         // Create game engine for multiplayer
         this.gameEngine = new GameEngine();
         this.setupGameEngineEvents();
+        this.stateVersion = 0;
+        this.serverState = null;
+        this.askedToPlayAgain = false;
         
         // Initialize with multiplayer data
         if (data.gameState) {
@@ -222,8 +347,20 @@ export class ToepenApp {
 
     // Handle game state update from server
     handleGameStateUpdate(data) {
-        if (this.gameEngine && data.gameState) {
-            this.syncGameState(data.gameState);
+        if (!this.gameEngine) return;
+        
+        // Overtaken by a newer update we already have
+        const version = data.gameState ? data.gameState.version : data.version;
+        if (version < this.stateVersion) return;
+        
+        const serverState = this.readServerState(data);
+        if (!serverState) {
+            // We missed an update somewhere - start again from a full state
+            this.networkManager.requestResync();
+            return;
+        }
+        if (!this.syncGameState(serverState)) {
+            return;
         }
         
         // Handle specific actions
@@ -232,9 +369,30 @@ export class ToepenApp {
         }
     }
 
-    // Sync game state from server
+    // The full state an update describes: its gameState, or its patch applied to the last
+    // state we got (null if the patch was made for a state we don't have)
+    readServerState(data) {
+        if (data.gameState) return data.gameState;
+        if (!this.serverState || data.baseVersion !== this.serverState.version) return null;
+        
+        try {
+            return StatePatch.applyPatch(this.serverState, data.patch);
+        } catch (error) {
+            console.warn('Could not apply game state patch:', error.message);
+            return null;
+        }
+    }
+
+    // Sync game state from server. An update older than the one we have (they can
+    // overtake each other around a reconnect) is dropped; returns whether it was applied.
     syncGameState(serverState) {
-        if (!this.gameEngine) return;
+        if (!this.gameEngine) return false;
+        if (serverState.version < this.stateVersion) return false;
+        
+        // Our next moves are made on this version, and the next patch applies to this state
+        this.stateVersion = serverState.version;
+        this.serverState = serverState;
+        this.networkManager.setStateVersion(serverState.version);
         
         // Update game engine state
         Object.assign(this.gameEngine, serverState);
@@ -244,6 +402,7 @@ export class ToepenApp {
         
         // Handle phase-specific updates
         this.handlePhaseSpecificUpdates(serverState);
+        return true;
     }
 
     // Handle phase-specific UI updates
@@ -262,10 +421,6 @@ export class ToepenApp {
                     this.showBlindToepDecision(gameState);
                 }
                 break;
-                
-            case GAME_PHASES.GAME_END:
-                this.handleGameEnd(gameState);
-                break;
         }
     }
 
@@ -355,7 +510,7 @@ export class ToepenApp {
         });
 
         this.gameEngine.on('error', (data) => {
-            this.uiManager.showError(data.message);
+            this.uiManager.showError(ERROR_MESSAGES[data.code] || data.message);
         });
     }
 
@@ -411,9 +566,17 @@ export class ToepenApp {
     submitLaundry(laundryType) {
         if (this.isMultiplayer) {
             this.networkManager.submitLaundry(laundryType);
-        } else {
-            // Handle offline laundry logic
-            this.uiManager.addActivityMessage(`🧺 You claimed ${laundryType}`);
+        } else if (this.gameEngine && this.gameEngine.submitLaundry(0, laundryType)) {
+            this.uiManager.addActivityMessage(`🧺 You claimed ${laundryType} was`);
+        }
+    }
+
+    // No laundry to claim - ready to play
+    passLaundry() {
+        if (this.isMultiplayer) {
+            this.networkManager.passLaundry();
+        } else if (this.gameEngine) {
+            this.gameEngine.passLaundry(0);
         }
     }
 
@@ -421,8 +584,7 @@ export class ToepenApp {
     callBlindToep() {
         if (this.isMultiplayer) {
             this.networkManager.blindToep();
-        } else {
-            // Handle offline blind toep logic
+        } else if (this.gameEngine && this.gameEngine.callBlindToep(0)) {
             this.uiManager.addActivityMessage('⚡ You called Blind Toep!');
         }
     }
@@ -457,7 +619,7 @@ export class ToepenApp {
     // Add bot to lobby
     addBot() {
         if (this.networkManager) {
-            this.networkManager.addBot();
+            this.networkManager.addBot(this.uiManager.getFormValues().lobbyBotStrategy);
         }
     }
 
@@ -485,6 +647,7 @@ export class ToepenApp {
     // Return to main menu
     returnToMainMenu() {
         if (this.networkManager) {
+            this.networkManager.leaveRoom();
             this.networkManager.cleanup();
             this.networkManager = null;
         }
@@ -501,6 +664,37 @@ export class ToepenApp {
         this.uiManager.addActivityMessage('🏠 Returned to main menu');
     }
 
+    // After a multiplayer game the server sends the series standings; we ask once whether
+    // to play on at the same seats (or a new series, once this one is over)
+    handleSeriesUpdated(series) {
+        if (!series.canPlayAgain) {
+            this.uiManager.addActivityMessage('🏁 Not everyone is still at the table - the series is over');
+            return;
+        }
+        if (this.askedToPlayAgain || series.playAgainVotes.includes(this.networkManager.getPlayerIndex())) {
+            this.uiManager.addActivityMessage(`🗳️ ${series.playAgainVotes.length} ready to play again`);
+            return;
+        }
+        this.askedToPlayAgain = true;
+
+        const standings = series.standings
+            .map(s => `${s.name}: ${s.gamesWon} won, ${s.penaltyPoints} pts, ${s.boertoeps} Boertoep, ${s.vijfkruizenWins} Vijfkruizen`)
+            .join('\n');
+        const leaders = series.leaders.map(index => series.standings[index].name).join(', ');
+        let message = `🎮 Game over\n\n${standings}\n\nPlay again?`;
+        if (series.bestOf > 1) {
+            message = series.over ?
+                `🏆 ${leaders} ${series.leaders.length > 1 ? 'share' : 'wins'} the series!\n\n${standings}\n\nPlay a new series?` :
+                `Best of ${series.bestOf}: ${series.gamesPlayed} played\n\n${standings}\n\nPlay game ${series.gamesPlayed + 1}?`;
+        }
+
+        setTimeout(() => {
+            if (this.networkManager && confirm(message)) {
+                this.networkManager.playAgain();
+            }
+        }, 2000);
+    }
+
     // Handle game end
     handleGameEnd(data) {
         setTimeout(() => {
@@ -5,6 +5,9 @@ import {
     VALIDATION 
 } from './constants.js';
 import { EventManager } from './EventManager.js';
+import * as roomCodesModule from '../shared/roomCodes.js';
+
+const RoomCodes = roomCodesModule.default || globalThis.ToepenRoomCodes;
 
 export class UIManager extends EventManager {
     constructor() {
@@ -51,6 +54,7 @@ export class UIManager extends EventManager {
             foldBtn: document.getElementById('foldBtn'),
             vuileWasBtn: document.getElementById('vuileWasBtn'),
             witteWasBtn: document.getElementById('witteWasBtn'),
+            laundryReadyBtn: document.getElementById('laundryReadyBtn'),
             blindToepBtn: document.getElementById('blindToepBtn'),
             
             // Overlays
@@ -88,6 +92,7 @@ export class UIManager extends EventManager {
         this.addButtonListener('foldBtn', () => this.emit('fold'));
         this.addButtonListener('vuileWasBtn', () => this.emit('submitVuileWas'));
         this.addButtonListener('witteWasBtn', () => this.emit('submitWitteWas'));
+        this.addButtonListener('laundryReadyBtn', () => this.emit('passLaundry'));
         this.addButtonListener('blindToepBtn', () => this.emit('callBlindToep'));
         
         // Toep decision buttons
@@ -101,7 +106,8 @@ export class UIManager extends EventManager {
         // Input validation
         this.addInputValidator('playerName', VALIDATION.PLAYER_NAME_PATTERN, VALIDATION.PLAYER_NAME_MAX_LENGTH);
         this.addInputValidator('lobbyPlayerName', VALIDATION.PLAYER_NAME_PATTERN, VALIDATION.PLAYER_NAME_MAX_LENGTH);
-        this.addInputValidator('lobbyCode', VALIDATION.ROOM_CODE_PATTERN, VALIDATION.ROOM_CODE_LENGTH);
+        // Typed codes are read the way the server reads them (lower case, dashes, O for 0...)
+        this.addInputValidator('lobbyCode', value => RoomCodes.normalizeRoomCode(value) !== null);
         this.addInputValidator('numPlayers', /^[2-4]$/, 1);
     }
 
@@ -123,13 +129,16 @@ export class UIManager extends EventManager {
         }
     }
 
-    // Add input validation
+    // Add input validation: pattern is a RegExp for values of up to maxLength characters,
+    // or a function that tells whether a value is valid
     addInputValidator(elementId, pattern, maxLength) {
         const element = document.getElementById(elementId) || this.elements[elementId];
         if (element) {
             const validator = (event) => {
                 const value = event.target.value;
-                const isValid = pattern.test(value) && value.length <= maxLength;
+                const isValid = typeof pattern === 'function' ?
+                    pattern(value) :
+                    pattern.test(value) && value.length <= maxLength;
                 
                 element.classList.toggle('invalid', !isValid);
                 
@@ -340,6 +349,7 @@ export class UIManager extends EventManager {
         const canLaundry = gameState.gamePhase === 'laundry' && !gameState.firstCardPlayed;
         this.toggleElement('vuileWasBtn', canLaundry);
         this.toggleElement('witteWasBtn', canLaundry);
+        this.toggleElement('laundryReadyBtn', canLaundry && !(gameState.laundryReady && gameState.laundryReady[0]));
         
         // Blind toep button (shown at round start)
         this.toggleElement('blindToepBtn', gameState.round > 1 && gameState.tricksPlayed === 0);
@@ -443,6 +453,8 @@ export class UIManager extends EventManager {
         return {
             playerName: this.getElementValue('playerName') || 'Player',
             numPlayers: parseInt(this.getElementValue('numPlayers')) || 3,
+            botStrategy: this.getElementValue('botStrategy'),
+            lobbyBotStrategy: this.getElementValue('lobbyBotStrategy'),
             lobbyPlayerName: this.getElementValue('lobbyPlayerName') || 'Player',
             lobbyCode: this.getElementValue('lobbyCode') || ''
         };
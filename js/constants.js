@@ -1,3 +1,8 @@
+import * as roomCodesModule from '../shared/roomCodes.js';
+
+// Shared with the server: a CommonJS export under Node, a global in the browser
+const RoomCodes = roomCodesModule.default || globalThis.ToepenRoomCodes;
+
 // Game Configuration Constants
 export const GAME_CONFIG = {
     VERSION: 'V-1.6',
@@ -19,7 +24,20 @@ export const TIMING = {
     TOEP_RESPONSE_DELAY: 1000,
     CARD_PLAY_DELAY: 500,
     LAUNDRY_TIMEOUT: 10000,
-    TOEP_RESPONSE_TIMEOUT: 30000
+    TOEP_RESPONSE_TIMEOUT: 30000,
+    LAUNDRY_REVEAL_DELAY: 3000,
+    SEAT_GRACE_PERIOD: 60000
+};
+
+// Delay for each timed transition the shared rules ask for (see getPendingTimeout)
+export const PHASE_TIMEOUTS = {
+    laundryWindow: TIMING.LAUNDRY_TIMEOUT,
+    laundryInspection: TIMING.LAUNDRY_TIMEOUT,
+    laundryReveal: TIMING.LAUNDRY_REVEAL_DELAY,
+    trickComplete: TIMING.TRICK_EVALUATION_DELAY,
+    toepResponse: TIMING.TOEP_RESPONSE_TIMEOUT,
+    armoede: TIMING.TOEP_RESPONSE_TIMEOUT,
+    nextRound: TIMING.ROUND_END_DELAY
 };
 
 // Card System Constants
@@ -39,6 +57,7 @@ export const CARD_RANKS = [
 // Game Phases
 export const GAME_PHASES = {
     SETUP: 'setup',
+    ARMOEDE: 'armoede',
     LAUNDRY: 'laundry',
     PLAYING: 'playing',
     TOEP_RESPONSE: 'toepResponse',
@@ -59,14 +78,50 @@ export const UI_CLASSES = {
 export const SOCKET_EVENTS = {
     CREATE_ROOM: 'createRoom',
     JOIN_ROOM: 'joinRoom',
+    REJOIN_ROOM: 'rejoinRoom',
+    LEAVE_ROOM: 'leaveRoom',
+    REQUEST_RESYNC: 'requestResync',
     GAME_ACTION: 'gameAction',
     GAME_STATE_UPDATE: 'gameStateUpdate',
     PLAYER_DISCONNECTED: 'playerDisconnected',
+    PLAYER_RECONNECTED: 'playerReconnected',
+    BOT_STAND_IN: 'botStandIn',
     ROOM_CREATED: 'roomCreated',
     ROOM_JOINED: 'roomJoined',
+    ROOM_REJOINED: 'roomRejoined',
+    REJOIN_ERROR: 'rejoinError',
+    ACTION_REJECTED: 'actionRejected',
+    CHAT_MESSAGE: 'chatMessage',
+    CHAT_MUTED: 'chatMuted',
+    CHAT_ERROR: 'chatError',
+    KICKED: 'kicked',
+    ROOM_EXPIRED: 'roomExpired',
+    PLAYER_LEFT: 'playerLeft',
+    LOBBY_UPDATE: 'lobbyUpdate',
+    KICK_FROM_ROOM: 'kickFromRoom',
+    TRANSFER_HOST: 'transferHost',
+    SET_ROOM_LOCKED: 'setRoomLocked',
+    REORDER_SEATS: 'reorderSeats',
+    SET_ROOM_VISIBILITY: 'setRoomVisibility',
+    WATCH_ROOM_LIST: 'watchRoomList',
+    UNWATCH_ROOM_LIST: 'unwatchRoomList',
+    ROOM_LIST: 'roomList',
+    JOIN_QUICK_MATCH: 'joinQuickMatch',
+    LEAVE_QUICK_MATCH: 'leaveQuickMatch',
+    QUICK_MATCH_STATUS: 'quickMatchStatus',
+    QUICK_MATCH_FOUND: 'quickMatchFound',
+    SET_SERIES_LENGTH: 'setSeriesLength',
+    PLAY_AGAIN: 'playAgain',
+    SERIES_UPDATED: 'seriesUpdated',
     ERROR: 'error'
 };
 
+// Browser storage key for the seat session token
+export const SEAT_SESSION_STORAGE_KEY = 'toepenSeatSession';
+
+// Where polling clients reach the game server, on hosts without Socket.IO (see api/game.js)
+export const POLLING_ENDPOINT = '/api/game';
+
 // Action Types
 export const ACTION_TYPES = {
     PLAY_CARD: 'playCard',
@@ -74,24 +129,25 @@ export const ACTION_TYPES = {
     ACCEPT_TOEP: 'acceptToep',
     FOLD_TO_TOEP: 'foldToToep',
     FOLD: 'fold',
+    ACCEPT_ARMOEDE: 'acceptArmoede',
+    FOLD_TO_ARMOEDE: 'foldToArmoede',
     SUBMIT_LAUNDRY: 'submitLaundry',
     INSPECT_LAUNDRY: 'inspectLaundry',
+    PASS_LAUNDRY: 'passLaundry',
     BLIND_TOEP: 'blindToep'
 };
 
-// AI Configuration
+// AI Configuration - bot behaviour itself lives in shared/botStrategies.js
 export const AI_CONFIG = {
-    TOEP_PROBABILITY: 0.12,
-    FOLD_PROBABILITY_BASE: 0.25,
-    FOLD_PROBABILITY_HIGH_STAKES: 0.4,
-    BLIND_TOEP_FOLD_PROBABILITY: 0.3,
-    HIGH_STAKES_THRESHOLD: 4
+    DEFAULT_STRATEGY: 'heuristic'
 };
 
 // Validation Patterns
 export const VALIDATION = {
-    ROOM_CODE_LENGTH: 6,
-    ROOM_CODE_PATTERN: /^[A-Z0-9]{6}$/,
+    // Codes the way the server hands them out; typed codes go through
+    // RoomCodes.normalizeRoomCode first (case, dashes, O/I/L)
+    ROOM_CODE_LENGTH: RoomCodes.ROOM_CODE_LENGTH,
+    ROOM_CODE_PATTERN: RoomCodes.ROOM_CODE_PATTERN,
     PLAYER_NAME_MIN_LENGTH: 1,
     PLAYER_NAME_MAX_LENGTH: 20,
     PLAYER_NAME_PATTERN: /^[a-zA-Z0-9\s]+$/
@@ -99,13 +155,31 @@ export const VALIDATION = {
 
 // Error Messages
 export const ERROR_MESSAGES = {
-    INVALID_ROOM_CODE: 'Room code must be 6 characters long and contain only letters and numbers',
+    INVALID_ROOM_CODE: `Room codes are ${RoomCodes.ROOM_CODE_LENGTH} letters and numbers, like 7XK2QM`,
     INVALID_PLAYER_NAME: 'Player name must be 1-20 characters and contain only letters, numbers, and spaces',
     ROOM_NOT_FOUND: 'Room not found. Please check the room code.',
     ROOM_FULL: 'Room is full. Maximum 4 players allowed.',
     GAME_ALREADY_STARTED: 'Cannot join - game has already started',
     CONNECTION_ERROR: 'Connection error. Please try again.',
-    INVALID_CARD_PLAY: 'Invalid card play. You must follow suit if possible.',
+    // Codes the server sends with actionRejected (ACTION_ERRORS in shared/rules.js)
+    INVALID_ACTION: 'That move could not be read. Please try again.',
+    UNKNOWN_ACTION: 'That is not a move you can make.',
+    UNKNOWN_PLAYER: 'You are not seated at this table.',
+    WRONG_PHASE: 'Cannot perform this action in the current game phase.',
     NOT_YOUR_TURN: 'It is not your turn to play.',
-    GAME_PHASE_ERROR: 'Cannot perform this action in the current game phase.'
+    NOT_IN_ROUND: 'You are not playing in this round.',
+    INVALID_CARD: 'That card is not in your hand.',
+    MUST_FOLLOW_SUIT: 'Invalid card play. You must follow suit if possible.',
+    TRICK_BEING_EVALUATED: 'Wait a moment - the trick is being decided.',
+    ALREADY_TOEPED: 'You already toeped - someone else has to raise next.',
+    ALREADY_RESPONDED: 'You have already answered.',
+    ALREADY_CALLED: 'Blind toep has already been called for the next round.',
+    RULE_NOT_PLAYED: 'That rule is switched off in this room.',
+    NOT_ENOUGH_CARDS: 'Not enough cards left in the deck for laundry.',
+    OWN_LAUNDRY: 'You cannot inspect your own laundry.',
+    ALREADY_CLAIMED: 'Your laundry claim is still waiting to be inspected.',
+    SEAT_FORFEITED: 'Your seat has been forfeited.',
+    STALE_ACTION: 'The table changed before your move arrived - take another look.',
+    GAME_NOT_STARTED: 'The game has not started yet.',
+    NOT_SEATED: 'Only seated players can play - you are watching.'
 };
\ No newline at end of file
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeHouseRules } = require('../shared/rules');
+const { resolveBotStrategy } = require('./bots');
+
+// Lightweight player accounts, so the same person keeps their name, settings and game
+// history across rooms and devices. An account is one of:
+//   username + password   sign in on any device with the password
+//   device only           no password: the device that made it stays signed in, and
+//                         more devices are added with a short-lived link code
+// Either way every signed-in device holds its own device token. Only a hash of each
+// token is stored, like the password, so the accounts file alone signs nobody in.
+
+// Display names follow the same rule as the clients (VALIDATION in js/constants.js)
+const DISPLAY_NAME_MAX_LENGTH = 20;
+const DISPLAY_NAME_PATTERN = /^[a-zA-Z0-9\s]+$/;
+
+const USERNAME_PATTERN = /^[a-z0-9_]{3,20}$/;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 200;
+
+// Devices signed in to one account at a time; signing in on one more drops the oldest
+const MAX_DEVICES = 10;
+
+// How long a code for linking another device stays valid
+const DEVICE_LINK_TTL_MS = 10 * 60 * 1000;
+
+// Failed sign-ins (or link codes) allowed per account and per client within the window,
+// counted like chat messages (CHAT_RATE_LIMIT in chat.js). Past it, even the right
+// password is turned away until the oldest failure has aged out.
+const SIGN_IN_ATTEMPT_LIMIT = 5;
+const SIGN_IN_ATTEMPT_WINDOW_MS = 60 * 1000;
+
+// Finished games kept per account, newest first
+const HISTORY_LENGTH = 50;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// A display name trimmed and checked, or null if it isn't allowed
+function normalizeDisplayName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  if (trimmed.length === 0 || trimmed.length > DISPLAY_NAME_MAX_LENGTH) return null;
+  return DISPLAY_NAME_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+// Names in a room are compared without case or surrounding spaces
+function isSameName(a, b) {
+  return typeof a === 'string' && typeof b === 'string' &&
+    a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+      if (error) reject(error);
+      else resolve(`scrypt:${salt}:${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, expected] = (passwordHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !expected) return Promise.resolve(false);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+      if (error) reject(error);
+      else resolve(crypto.timingSafeEqual(key, Buffer.from(expected, 'hex')));
+    });
+  });
+}
+
+// Settings an account keeps between rooms; anything else is dropped
+function normalizeSettings(settings = {}) {
+  return {
+    houseRules: normalizeHouseRules(settings.houseRules),
+    botStrategy: resolveBotStrategy(settings.botStrategy)
+  };
+}
+
+// Account stores keep every account as plain JSON. Each store has the same two methods:
+//   loadAccounts()          -> every saved account
+//   saveAccount(account)    -> store the account as it is now (replaces any older copy)
+
+// Keeps accounts in this process only - for tests, or when nothing should survive a restart
+function createMemoryAccountStore() {
+  const accounts = new Map();
+
+  return {
+    loadAccounts() {
+      return Array.from(accounts.values(), json => JSON.parse(json));
+    },
+    saveAccount(account) {
+      accounts.set(account.id, JSON.stringify(account));
+    }
+  };
+}
+
+// Keeps every account in one JSON file, rewritten whole on each change
+function createFileAccountStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let accounts = {};
+  if (fs.existsSync(file)) {
+    accounts = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  return {
+    loadAccounts() {
+      return Object.values(accounts).map(account => JSON.parse(JSON.stringify(account)));
+    },
+    saveAccount(account) {
+      accounts[account.id] = JSON.parse(JSON.stringify(account));
+      // Write to a temporary file first so a crash mid-write never loses every account
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(accounts));
+      fs.renameSync(`${file}.tmp`, file);
+    }
+  };
+}
+
+// Pick the store from the environment: ACCOUNT_STORE=memory, or the ACCOUNT_STORE_FILE
+function createAccountStore(env = process.env) {
+  if (env.ACCOUNT_STORE === 'memory') {
+    return createMemoryAccountStore();
+  }
+  return createFileAccountStore(env.ACCOUNT_STORE_FILE || path.join(__dirname, '..', 'data', 'accounts.json'));
+}
+
+// What an account's owner is sent about it: never the hashes
+function getPublicAccount(account) {
+  return {
+    id: account.id,
+    username: account.username,
+    displayName: account.displayName,
+    hasPassword: Boolean(account.passwordHash),
+    settings: account.settings,
+    createdAt: account.createdAt
+  };
+}
+
+// The accounts of one server, loaded from store. Signing up and in are async (password
+// hashing runs off the main thread); everything else answers right away. Refusals come
+// back as { error } with a message for the player.
+function createAccountService(store) {
+  const accounts = new Map(store.loadAccounts().map(account => [account.id, account]));
+  const deviceLinks = new Map(); // code -> { accountId, expiresAt }
+  const failedAttempts = new Map(); // 'user:<username>' / 'client:<client>' -> [failedAt]
+
+  // The failures of key still within SIGN_IN_ATTEMPT_WINDOW_MS
+  function getRecentFailures(key, now) {
+    const recent = (failedAttempts.get(key) || []).filter(failedAt => now - failedAt < SIGN_IN_ATTEMPT_WINDOW_MS);
+    if (recent.length > 0) {
+      failedAttempts.set(key, recent);
+    } else {
+      failedAttempts.delete(key);
+    }
+    return recent;
+  }
+
+  function isAttemptLimited(keys, now) {
+    return keys.some(key => getRecentFailures(key, now).length >= SIGN_IN_ATTEMPT_LIMIT);
+  }
+
+  function recordFailure(keys, now) {
+    keys.forEach(key => failedAttempts.set(key, [...getRecentFailures(key, now), now]));
+  }
+
+  function findByUsername(username) {
+    return Array.from(accounts.values()).find(account => account.username === username) || null;
+  }
+
+  function save(account) {
+    accounts.set(account.id, account);
+    store.saveAccount(account);
+  }
+
+  // Sign a new device in: the token is only ever handed out here
+  function addDevice(account) {
+    const deviceToken = crypto.randomBytes(32).toString('hex');
+    account.devices = [...account.devices, { tokenHash: hashToken(deviceToken), createdAt: Date.now() }]
+      .slice(-MAX_DEVICES);
+    save(account);
+    return { account, deviceToken };
+  }
+
+  // { username, password, displayName }: without a username the account lives on this
+  // device only (the display name is required then)
+  async function register({ username, password, displayName } = {}) {
+    const hasUsername = username !== undefined && username !== null && username !== '';
+    const login = hasUsername && typeof username === 'string' ? username.trim().toLowerCase() : null;
+    if (hasUsername && !USERNAME_PATTERN.test(login || '')) {
+      return { error: 'Usernames are 3-20 lowercase letters, numbers or underscores' };
+    }
+    // Without a display name the username stands in, underscores read as spaces
+    const name = normalizeDisplayName(displayName || (login && login.replace(/_/g, ' ')));
+    if (!name) {
+      return { error: 'Names are 1-20 letters, numbers and spaces' };
+    }
+    if (hasUsername) {
+      if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+        return { error: `Passwords are at least ${PASSWORD_MIN_LENGTH} characters` };
+      }
+      if (findByUsername(login)) {
+        return { error: 'That username is taken' };
+      }
+    }
+
+    const passwordHash = hasUsername ? await hashPassword(password) : null;
+    // Someone else may have taken the username while the password was hashed
+    if (hasUsername && findByUsername(login)) {
+      return { error: 'That username is taken' };
+    }
+    return addDevice({
+      id: crypto.randomBytes(12).toString('hex'),
+      username: login,
+      displayName: name,
+      passwordHash: passwordHash,
+      devices: [],
+      settings: normalizeSettings(),
+      history: [],
+      createdAt: Date.now()
+    });
+  }
+
+  // client identifies where the attempt came from (the socket's address), so guesses are
+  // limited per client as well as per username
+  async function signIn({ username, password } = {}, client = null) {
+    const login = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    const keys = [`user:${login}`, ...(client ? [`client:${client}`] : [])];
+    if (isAttemptLimited(keys, Date.now())) {
+      return { error: 'Too many tries - wait a minute and try again' };
+    }
+    const account = login ? findByUsername(login) : null;
+    const matches = account && typeof password === 'string' && password.length <= PASSWORD_MAX_LENGTH &&
+      await verifyPassword(password, account.passwordHash);
+    if (!matches) {
+      recordFailure(keys, Date.now());
+      return { error: 'Wrong username or password' };
+    }
+    return addDevice(account);
+  }
+
+  // The account a device token belongs to, or null
+  function authenticate(deviceToken) {
+    if (typeof deviceToken !== 'string' || deviceToken.length === 0) return null;
+    const tokenHash = hashToken(deviceToken);
+    return Array.from(accounts.values()).find(account =>
+      account.devices.some(device => device.tokenHash === tokenHash)) || null;
+  }
+
+  function signOut(deviceToken) {
+    const account = authenticate(deviceToken);
+    if (!account) return;
+    const tokenHash = hashToken(deviceToken);
+    account.devices = account.devices.filter(device => device.tokenHash !== tokenHash);
+    save(account);
+  }
+
+  // A code another device can use once, within DEVICE_LINK_TTL_MS, to sign in
+  function createDeviceLink(accountId) {
+    const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+    const expiresAt = Date.now() + DEVICE_LINK_TTL_MS;
+    deviceLinks.set(code, { accountId, expiresAt });
+    return { code, expiresAt };
+  }
+
+  // Wrong codes count against the client like wrong passwords, so nobody gets enough
+  // guesses at a 40-bit code, and nobody else's waiting code is touched by them
+  function redeemDeviceLink(code, client = null) {
+    const keys = client ? [`client:${client}`] : [];
+    if (isAttemptLimited(keys, Date.now())) {
+      return { error: 'Too many tries - wait a minute and try again' };
+    }
+    const key = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    const link = deviceLinks.get(key);
+    deviceLinks.delete(key);
+    const account = link && link.expiresAt > Date.now() ? accounts.get(link.accountId) : null;
+    if (!account) {
+      recordFailure(keys, Date.now());
+      return { error: 'That code is not valid (any more)' };
+    }
+    return addDevice(account);
+  }
+
+  // Change the display name and/or settings ({ houseRules, botStrategy }); settings that
+  // are left out keep their value
+  function updateProfile(accountId, { displayName, settings } = {}) {
+    const account = accounts.get(accountId);
+    if (!account) return { error: 'Account not found' };
+
+    if (displayName !== undefined) {
+      const name = normalizeDisplayName(displayName);
+      if (!name) return { error: 'Names are 1-20 letters, numbers and spaces' };
+      account.displayName = name;
+    }
+    if (settings && typeof settings === 'object') {
+      account.settings = normalizeSettings({ ...account.settings, ...settings });
+    }
+    save(account);
+    return { account };
+  }
+
+  // Add a finished game to an account's history
+  function recordGame(accountId, entry) {
+    const account = accounts.get(accountId);
+    if (!account) return;
+    account.history = [entry, ...account.history].slice(0, HISTORY_LENGTH);
+    save(account);
+  }
+
+  return {
+    register,
+    signIn,
+    authenticate,
+    signOut,
+    createDeviceLink,
+    redeemDeviceLink,
+    updateProfile,
+    recordGame,
+    getAccount: accountId => accounts.get(accountId) || null
+  };
+}
+
+module.exports = {
+  DISPLAY_NAME_MAX_LENGTH,
+  DEVICE_LINK_TTL_MS,
+  SIGN_IN_ATTEMPT_LIMIT,
+  SIGN_IN_ATTEMPT_WINDOW_MS,
+  HISTORY_LENGTH,
+  normalizeDisplayName,
+  isSameName,
+  getPublicAccount,
+  createMemoryAccountStore,
+  createFileAccountStore,
+  createAccountStore,
+  createAccountService
+};
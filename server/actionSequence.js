@@ -0,0 +1,79 @@
+// Keeps retried and out-of-date game actions away from the rules.
+// Every accepted state change bumps the room's stateVersion, and every game state a
+// client gets carries it. Clients send two optional fields with each gameAction:
+//   actionId         a client-made id; an id the server already accepted is ignored,
+//                    so a double send or a retry after a reconnect only counts once
+//   expectedVersion  the version of the state the player acted on; an action made
+//                    before the table last changed under it (see getTableKey) is
+//                    refused with STALE_ACTION
+// Bots act on the live state and send neither.
+
+// How many accepted action ids a room remembers
+const MAX_HANDLED_ACTIONS = 100;
+const MAX_ACTION_ID_LENGTH = 64;
+
+// Read the sequencing fields from a gameAction payload
+function readActionSequence(payload) {
+  const { actionId, expectedVersion } = payload && typeof payload === 'object' ? payload : {};
+
+  if (actionId !== undefined &&
+      (typeof actionId !== 'string' || actionId.length === 0 || actionId.length > MAX_ACTION_ID_LENGTH)) {
+    return { error: 'Missing or invalid actionId', errorCode: 'INVALID_ACTION' };
+  }
+  if (expectedVersion !== undefined && !(Number.isInteger(expectedVersion) && expectedVersion >= 0)) {
+    return { error: 'Missing or invalid expectedVersion', errorCode: 'INVALID_ACTION' };
+  }
+  return { actionId, expectedVersion };
+}
+
+function getActionKey(playerIndex, actionId) {
+  return `${playerIndex}:${actionId}`;
+}
+
+// Whether the seat's action was already accepted
+function isHandledAction(room, playerIndex, actionId) {
+  return Boolean(actionId) && room.handledActionIds.includes(getActionKey(playerIndex, actionId));
+}
+
+// Remember an accepted action, forgetting the oldest once the list is full
+function rememberHandledAction(room, playerIndex, actionId) {
+  if (!actionId) return;
+  room.handledActionIds.push(getActionKey(playerIndex, actionId));
+  if (room.handledActionIds.length > MAX_HANDLED_ACTIONS) {
+    room.handledActionIds.shift();
+  }
+}
+
+// What a move is made against: the phase, round, trick and stakes, whose turn it is and
+// the laundry claim up for inspection. Moves that leave all of it as it was (someone
+// else passing their laundry or answering a toep, a bot doing the same) don't make
+// anybody's action stale.
+function getTableKey(gameState) {
+  const claimer = gameState.pendingLaundry ? gameState.pendingLaundry.playerIndex : -1;
+  return [gameState.gamePhase, gameState.round, gameState.tricksPlayed, gameState.stakes,
+    gameState.currentPlayer, claimer].join(':');
+}
+
+// Call after every state change (with room.stateVersion already bumped): remembers the
+// version the table last changed at. previousState is null for a new game.
+function noteTableChange(room, previousState, gameState) {
+  if (!previousState || getTableKey(previousState) !== getTableKey(gameState)) {
+    room.tableVersion = room.stateVersion;
+  }
+}
+
+// Whether an action was made on a state the table has changed since (rooms saved before
+// tableVersion existed go by every state change)
+function isStaleAction(room, expectedVersion) {
+  const tableVersion = room.tableVersion !== undefined ? room.tableVersion : room.stateVersion;
+  return expectedVersion !== undefined && expectedVersion < tableVersion;
+}
+
+module.exports = {
+  MAX_HANDLED_ACTIONS,
+  readActionSequence,
+  isHandledAction,
+  rememberHandledAction,
+  noteTableChange,
+  isStaleAction
+};
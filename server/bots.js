@@ -0,0 +1,96 @@
+// Server-side bot players that fill empty seats in multiplayer rooms
+const {
+  DEFAULT_STRATEGY,
+  createPlayerView,
+  getStrategy,
+  hasStrategy
+} = require('../shared/botStrategies');
+
+// Delay before a bot acts, so humans can follow what happens
+const BOT_DECISION_DELAY_MS = 1500;
+
+// A player whose turn clock runs out this many times in a row gets a bot standing in.
+// The count runs on across rounds while the rules' fold count starts over with each
+// deal, so a player who walks away is folded out of one round at most before the bot
+// takes their seat.
+const MISSED_TURNS_BEFORE_BOT = 3;
+
+// Pick a name that isn't taken in the room yet
+function createBotName(room) {
+  // Names are unique in a room whatever their case, spectators' included
+  const taken = [...room.players, ...(room.spectators || [])].map(p => String(p.name).trim().toLowerCase());
+  let botNumber = 1;
+  while (taken.includes(`bot ${botNumber}`)) {
+    botNumber++;
+  }
+  return `Bot ${botNumber}`;
+}
+
+// Strategy a new bot seat plays with (unknown names get the default)
+function resolveBotStrategy(name) {
+  return hasStrategy(name) ? name : DEFAULT_STRATEGY;
+}
+
+// Let a bot play a player's seat while they're away; the seat stays theirs
+function startBotStandIn(seat) {
+  seat.isBot = true;
+  seat.botStandIn = true;
+  seat.botStrategy = DEFAULT_STRATEGY;
+  seat.botMemory = {};
+}
+
+function endBotStandIn(seat) {
+  seat.isBot = false;
+  delete seat.botStandIn;
+  delete seat.botStrategy;
+  delete seat.botMemory;
+}
+
+// Seats a person sits in, counting the ones a bot is standing in for
+function isHumanSeat(seat) {
+  return !seat.isBot || Boolean(seat.botStandIn);
+}
+
+// Laundry claims, inspections and blind toep calls are optional, so a bot makes
+// each of those choices once instead of re-rolling it on every state change
+function getOneOffDecisionKey(gameState) {
+  if (gameState.gamePhase === 'laundry') {
+    return gameState.awaitingInspection && gameState.pendingLaundry ?
+      `inspect:${gameState.round}:${gameState.deck.length}:${gameState.pendingLaundry.playerIndex}` :
+      `laundry:${gameState.round}`;
+  }
+  if (gameState.gamePhase === 'roundEnd') {
+    return `blindToep:${gameState.round}`;
+  }
+  return null;
+}
+
+// Decide what a bot seat does next, or null if it has nothing to do.
+// `seat` is the room's player entry (strategy name and per-seat memory),
+// `rules` carries the server's own laundry check.
+function decideBotAction(gameState, playerIndex, seat, rules, random = Math.random) {
+  const player = gameState.players[playerIndex];
+  if (!player || player.forfeited) return null;
+
+  const oneOffKey = getOneOffDecisionKey(gameState);
+  if (oneOffKey && seat.botMemory.lastOneOffDecision === oneOffKey) return null;
+
+  const view = createPlayerView(gameState, playerIndex, { getLaundryType: rules.getLaundryType });
+  const action = getStrategy(seat.botStrategy).decide(view, random);
+
+  if (oneOffKey) {
+    seat.botMemory.lastOneOffDecision = oneOffKey;
+  }
+  return action;
+}
+
+module.exports = {
+  BOT_DECISION_DELAY_MS,
+  MISSED_TURNS_BEFORE_BOT,
+  createBotName,
+  resolveBotStrategy,
+  startBotStandIn,
+  endBotStandIn,
+  isHumanSeat,
+  decideBotAction
+};
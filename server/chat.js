@@ -0,0 +1,95 @@
+const { CHAT_MAX_LENGTH, cleanChatText, getQuickReaction } = require('../shared/chat');
+const { isSameName } = require('./accounts');
+
+// Chat between everyone in a room: the seated players and the live spectators. The chat
+// lives on the room ({ messages, muted, nextId }), so it is saved and restored with it
+// and works the same over polling. Senders are known by their name, which is unique
+// within a room. Spectators with every hand shown can read the chat but not write to it,
+// so they can't tell the table what they see.
+
+// Messages kept per room, oldest dropped first; new arrivals are sent all of them
+const CHAT_HISTORY_LENGTH = 100;
+
+// At most this many messages per sender in any window of this length
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW_MS = 10000;
+
+// The room's chat, set up on first use (rooms saved before chat existed have none)
+function getRoomChat(room) {
+  if (!room.chat) {
+    room.chat = { messages: [], muted: [], nextId: 1 };
+  }
+  return room.chat;
+}
+
+// Read a chat event from a client: { text } or { reaction: <quick reaction id> }.
+// Returns { text, reaction } or { error }.
+function readChatMessage(data) {
+  const { text, reaction } = data || {};
+  if (reaction !== undefined) {
+    const quickReaction = getQuickReaction(reaction);
+    return quickReaction ? { text: quickReaction.text, reaction: quickReaction.id } : { error: 'Unknown reaction' };
+  }
+
+  const cleaned = cleanChatText(text);
+  if (cleaned.length === 0) {
+    return { error: 'Type a message first' };
+  }
+  if (cleaned.length > CHAT_MAX_LENGTH) {
+    return { error: `Messages are at most ${CHAT_MAX_LENGTH} characters` };
+  }
+  return { text: cleaned, reaction: null };
+}
+
+// Whether this sender has used up their messages for now. Counted from the history
+// itself, so the limit holds across reconnects and requests.
+function isChatRateLimited(chat, name, now) {
+  const recent = chat.messages.filter(message =>
+    isSameName(message.name, name) && now - message.sentAt < CHAT_RATE_WINDOW_MS);
+  return recent.length >= CHAT_RATE_LIMIT;
+}
+
+function isChatMuted(chat, name) {
+  return chat.muted.some(mutedName => isSameName(mutedName, name));
+}
+
+function setChatMuted(chat, name, muted) {
+  chat.muted = chat.muted.filter(mutedName => !isSameName(mutedName, name));
+  if (muted) {
+    chat.muted.push(name);
+  }
+}
+
+// Add a message to the history: { name, text, reaction, spectator } -> the message as
+// everyone is sent it
+function addChatMessage(chat, { name, text, reaction, spectator }, now) {
+  const message = {
+    id: chat.nextId++,
+    name: name,
+    text: text,
+    reaction: reaction || null,
+    spectator: Boolean(spectator),
+    sentAt: now
+  };
+  chat.messages = [...chat.messages, message].slice(-CHAT_HISTORY_LENGTH);
+  return message;
+}
+
+// What someone entering the room is sent: the history and who is muted
+function getPublicChat(room) {
+  const chat = getRoomChat(room);
+  return { messages: chat.messages, muted: chat.muted };
+}
+
+module.exports = {
+  CHAT_HISTORY_LENGTH,
+  CHAT_RATE_LIMIT,
+  CHAT_RATE_WINDOW_MS,
+  getRoomChat,
+  readChatMessage,
+  isChatRateLimited,
+  isChatMuted,
+  setChatMuted,
+  addChatMessage,
+  getPublicChat
+};
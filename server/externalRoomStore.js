@@ -0,0 +1,106 @@
+// External room stores, for hosts that keep nothing in memory between requests (see
+// server/statelessAdapter.js). Every request loads the one record it needs and saves
+// it back, so each record carries a revision and a save only goes through if nobody
+// else saved the record in the meantime. Each store has the same three methods, all
+// returning promises:
+//   load(code)                     -> { record, revision }, or null if there is none
+//   save(code, record, revision)   -> true, or false if the record is no longer at
+//                                     revision (0: the record must not exist yet)
+//   remove(code, revision)         -> true, or false if the record is no longer at revision
+// Records are plain JSON.
+
+// Records stored for a day without a save are dropped (abandoned rooms)
+const RECORD_TTL_SECONDS = 24 * 60 * 60;
+
+// Keeps records in this process only - for tests and local runs, where one process
+// answers every request
+function createMemoryExternalStore() {
+  const records = new Map();
+
+  function getRevision(code) {
+    return records.has(code) ? records.get(code).revision : 0;
+  }
+
+  return {
+    async load(code) {
+      const entry = records.get(code);
+      return entry ? { record: JSON.parse(entry.json), revision: entry.revision } : null;
+    },
+    async save(code, record, revision) {
+      if (getRevision(code) !== revision) return false;
+      records.set(code, { json: JSON.stringify(record), revision: revision + 1 });
+      return true;
+    },
+    async remove(code, revision) {
+      if (getRevision(code) !== revision) return false;
+      records.delete(code);
+      return true;
+    }
+  };
+}
+
+// Compare-and-set scripts, run inside Redis so the check and the write can't be split.
+// A record is a hash with its revision and its JSON.
+const SAVE_SCRIPT = `
+local revision = tonumber(redis.call('HGET', KEYS[1], 'revision') or '0')
+if revision ~= tonumber(ARGV[1]) then return 0 end
+redis.call('HSET', KEYS[1], 'revision', revision + 1, 'record', ARGV[2])
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+return 1`;
+
+const REMOVE_SCRIPT = `
+local revision = tonumber(redis.call('HGET', KEYS[1], 'revision') or '0')
+if revision ~= tonumber(ARGV[1]) then return 0 end
+redis.call('DEL', KEYS[1])
+return 1`;
+
+// Keeps records in Redis through its REST API (Upstash, Vercel KV)
+function createRedisRestStore({ url, token, prefix = 'toepen:room:', fetch = globalThis.fetch }) {
+  const keyFor = code => `${prefix}${code}`;
+
+  async function command(args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+      throw new Error(`Room store request failed: ${body.error || response.status}`);
+    }
+    return body.result;
+  }
+
+  return {
+    async load(code) {
+      const [revision, json] = await command(['HMGET', keyFor(code), 'revision', 'record']);
+      return json ? { record: JSON.parse(json), revision: Number(revision) } : null;
+    },
+    async save(code, record, revision) {
+      const saved = await command(['EVAL', SAVE_SCRIPT, 1, keyFor(code), revision, JSON.stringify(record), RECORD_TTL_SECONDS]);
+      return saved === 1;
+    },
+    async remove(code, revision) {
+      const removed = await command(['EVAL', REMOVE_SCRIPT, 1, keyFor(code), revision]);
+      return removed === 1;
+    }
+  };
+}
+
+// Pick the store from the environment: Redis when Vercel KV (KV_REST_API_URL and
+// KV_REST_API_TOKEN) or Upstash (UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN)
+// is set up, otherwise the in-memory stand-in
+function createExternalRoomStore(env = process.env) {
+  const url = env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL;
+  const token = env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN;
+  if (url && token) {
+    return createRedisRestStore({ url, token });
+  }
+  return createMemoryExternalStore();
+}
+
+module.exports = {
+  createMemoryExternalStore,
+  createRedisRestStore,
+  createExternalRoomStore
+};
@@ -0,0 +1,1970 @@
+// The game server core: lobbies, seats, spectators and the game flow around the shared
+// rules. It doesn't care how clients are connected; a transport adapter gives it
+//   io       io.to(channel).emit(event, payload) to reach a room code, a spectator
+//            channel or a single client (by id), and io.sockets.sockets.get(id) for a
+//            client that is still connected
+//   sockets  one per client, handed to handleConnection: id, on, emit, join, leave,
+//            to(channel).emit and disconnect; the core keeps roomCode and isSpectator on it
+// Socket.IO servers and sockets have exactly this shape (server/socketAdapter.js). The
+// stateless adapter (server/statelessAdapter.js) builds look-alikes for every request
+// and keeps the rooms in an external store between requests.
+const {
+  SEAT_GRACE_PERIOD_MS,
+  createSessionToken,
+  findSeatIndexByToken,
+  getPublicPlayers
+} = require('./sessions');
+const {
+  BOT_DECISION_DELAY_MS,
+  MISSED_TURNS_BEFORE_BOT,
+  createBotName,
+  resolveBotStrategy,
+  startBotStandIn,
+  endBotStandIn,
+  isHumanSeat,
+  decideBotAction
+} = require('./bots');
+const {
+  applyAction,
+  createGameState,
+  getLaundryType,
+  getPendingTimeout,
+  normalizeHouseRules,
+  parsePlayerAction
+} = require('../shared/rules');
+const {
+  createGameSeed,
+  createGameRecord,
+  recordAction
+} = require('./replay');
+const {
+  readActionSequence,
+  isHandledAction,
+  rememberHandledAction,
+  noteTableChange,
+  isStaleAction
+} = require('./actionSequence');
+const {
+  createStateSync,
+  getSeatView,
+  getSpectatorView
+} = require('./stateSync');
+const {
+  MAX_SPECTATORS,
+  getSpectatorChannel,
+  normalizeOmniscientDelay,
+  findSpectatorIndex,
+  getPublicSpectators
+} = require('./spectators');
+const {
+  SPECTATOR_VIEWER,
+  ADMIN_VIEWER,
+  seatViewer,
+  projectGameState,
+  canSeeEvent
+} = require('./projection');
+const {
+  normalizeDisplayName,
+  isSameName,
+  getPublicAccount
+} = require('./accounts');
+const {
+  getRoomChat,
+  readChatMessage,
+  isChatRateLimited,
+  isChatMuted,
+  setChatMuted,
+  addChatMessage,
+  getPublicChat
+} = require('./chat');
+const {
+  banFromRoom,
+  isBannedFromRoom,
+  readSeatOrder
+} = require('./moderation');
+const {
+  QUICK_MATCH_MAX_PLAYERS,
+  QUICK_MATCH_COUNTDOWN_MS,
+  QUICK_MATCH_BOTS,
+  ROOM_TITLE_MAX_LENGTH,
+  normalizeRoomTitle,
+  getPublicRoomList,
+  getQuickMatchMinimum,
+  takeQuickMatchTable
+} = require('./matchmaking');
+const {
+  ROOM_IDLE_TIMEOUT_MS,
+  createRoomCode,
+  getIdleDeadline
+} = require('./roomRegistry');
+const { normalizeRoomCode } = require('../shared/roomCodes');
+const {
+  normalizeSeriesLength,
+  createSeries,
+  recordSeriesGame,
+  isSeriesDecided,
+  votePlayAgain,
+  getPublicSeries
+} = require('./series');
+
+// How long each timed transition from the rules waits (see getPendingTimeout)
+const PHASE_TIMEOUT_MS = {
+  laundryWindow: 10000,
+  laundryInspection: 10000,
+  laundryReveal: 3000,
+  trickComplete: 3000,
+  toepResponse: 30000,
+  armoede: 30000,
+  nextRound: 3000
+};
+
+// Channels for everyone browsing the public rooms and everyone waiting for a quick
+// match (room codes are upper case, so these never clash with one); the quick-match
+// countdown runs on the scheduler under QUICK_MATCH_CHANNEL too
+const ROOM_BROWSER_CHANNEL = 'roomBrowser';
+const QUICK_MATCH_CHANNEL = 'quickMatch';
+
+// How long a timed transition waits; a turn gets the room's turn time
+function getPhaseTimeoutMs(gameState, pending) {
+  return pending.kind === 'turn' ?
+    normalizeHouseRules(gameState.houseRules).turnTime * 1000 :
+    PHASE_TIMEOUT_MS[pending.kind];
+}
+
+// roomStore keeps rooms with a game in progress (see server/roomStore.js) and scheduler
+// runs the room timers (see server/scheduler.js). allowDelayedView: false turns off the
+// omniscient spectator view, for hosts that can't hold its queue of delayed states.
+// accounts signs players in (see server/accounts.js); without it everyone plays under
+// the name they type. allowMatchmaking: false turns off the public room list and quick
+// match, for hosts that only ever see one room at a time; quickMatchBots fills quick-match
+// tables up with bots (see server/matchmaking.js).
+function createGameServer({
+  io,
+  roomStore,
+  scheduler,
+  accounts = null,
+  allowDelayedView = true,
+  allowMatchmaking = true,
+  quickMatchBots = QUICK_MATCH_BOTS
+}) {
+  // Game rooms storage. Rooms with a game in progress are also saved to roomStore.
+  // Their timers live in scheduler: 'phase' (the next timed transition from the rules),
+  // 'botTurn', 'forfeit:<sessionToken>' for each seat being held, 'spectatorFeed' for
+  // the next delayed state owed to omniscient spectators, and 'idle' (closing the room
+  // once nobody has done anything in it for a while, see server/roomRegistry.js).
+  const gameRooms = new Map();
+
+  // Game states waiting out the omniscient delay, per room code: { queue, current }.
+  // queue holds { due, gameState, lastAction } in order; current is the last one sent.
+  const spectatorFeeds = new Map();
+
+  // The state each seat and spectator channel was sent last, so updates can be patches
+  const stateSync = createStateSync();
+
+  // Players waiting for a quick match, oldest first: { id, name }. quickMatchStartsAt is
+  // when the countdown for the next table ends, while one runs.
+  const quickMatchQueue = [];
+  let quickMatchStartsAt = null;
+
+  // The public room list as last sent, so it only goes out again when it changes
+  let publishedRoomList = null;
+
+  // A code no room here has. Over polling a request only holds its own room, so the
+  // external store makes sure instead: it won't save a new room over another one, and
+  // the request starts over with a new code.
+  function generateRoomCode() {
+    return createRoomCode(code => gameRooms.has(code));
+  }
+  
+  // The room a client asked for by code, however they typed it
+  function findRoom(roomCode) {
+    return gameRooms.get(roomCode) || gameRooms.get(normalizeRoomCode(roomCode)) || null;
+  }
+
+  // Socket connection handling
+  function handleConnection(socket) {
+    handleAccountEvents(socket);
+    handleChatEvents(socket);
+    handleModerationEvents(socket);
+    handleMatchmakingEvents(socket);
+    handleSeriesEvents(socket);
+    
+    // Create or join a room
+    socket.on('createRoom', (playerName) => {
+      const { name, error } = getEntryName(socket, playerName);
+      if (error) {
+        socket.emit('joinError', error);
+        return;
+      }
+      
+      leaveQuickMatch(socket);
+      const room = createRoomWithHost(socket, name);
+      const roomCode = room.code;
+      
+      socket.emit('roomCreated', {
+        roomCode: roomCode,
+        players: getPublicPlayers(room),
+        spectators: getPublicSpectators(room),
+        maxPlayers: room.maxPlayers,
+        houseRules: room.houseRules,
+        omniscientDelayMs: room.omniscientDelayMs,
+        bestOf: room.seriesLength,
+        playerIndex: 0,
+        sessionToken: room.players[0].sessionToken,
+        chat: getPublicChat(room)
+      });
+      
+      console.log(`Room ${roomCode} created by ${name}`);
+    });
+
+    socket.on('joinRoom', (data) => {
+      const { playerName } = data || {};
+      const room = findRoom(data && data.roomCode);
+      
+      if (!room) {
+        socket.emit('joinError', 'Room not found');
+        return;
+      }
+      
+      const account = getSocketAccount(socket);
+      const { name, error } = getEntryName(socket, playerName);
+      if (isBannedFromRoom(room, { name, accountId: account && account.id })) {
+        socket.emit('joinError', 'You have been banned from this room');
+        return;
+      }
+      
+      // A signed-in player who already has a seat here gets it back, even mid-game
+      const accountSeat = account ? room.players.findIndex(p => p.accountId === account.id) : -1;
+      if (accountSeat !== -1) {
+        reclaimSeat(socket, room, accountSeat);
+        return;
+      }
+      
+      if (room.locked) {
+        socket.emit('joinError', 'This room is locked');
+        return;
+      }
+      
+      if (room.players.length >= room.maxPlayers) {
+        socket.emit('joinError', 'Room is full');
+        return;
+      }
+      
+      if (room.isGameStarted) {
+        socket.emit('joinError', 'Game already started');
+        return;
+      }
+      
+      // Check if player is already in the room
+      if (room.players.some(p => p.id === socket.id) || findSpectatorIndex(room, socket.id) !== -1) {
+        socket.emit('joinError', 'You are already in this room');
+        return;
+      }
+      
+      if (error || isNameTaken(room, name)) {
+        socket.emit('joinError', error || 'That name is already taken in this room');
+        return;
+      }
+      
+      leaveQuickMatch(socket);
+      const playerIndex = seatPlayer(room, socket, name);
+      sendRoomJoined(socket, room, playerIndex);
+      
+      // Notify all players in room
+      io.to(room.code).emit('playerJoined', {
+        players: getPublicPlayers(room),
+        joinedPlayer: name
+      });
+      publishRoomList();
+      
+      console.log(`${name} joined room ${room.code}`);
+    });
+
+    // Watch a room without a seat - allowed mid-game and when every seat is taken.
+    // { omniscient: true } asks for the delayed view with every hand shown.
+    socket.on('spectateRoom', (data) => {
+      const { playerName, omniscient } = data || {};
+      const room = findRoom(data && data.roomCode);
+      
+      if (!room) {
+        socket.emit('joinError', 'Room not found');
+        return;
+      }
+      
+      if (room.players.some(p => p.id === socket.id) || findSpectatorIndex(room, socket.id) !== -1) {
+        socket.emit('joinError', 'You are already in this room');
+        return;
+      }
+      
+      if (room.spectators.length >= MAX_SPECTATORS) {
+        socket.emit('joinError', 'Too many spectators in this room');
+        return;
+      }
+      
+      if (omniscient && !room.omniscientDelayMs) {
+        socket.emit('joinError', 'This room has no delayed view with all cards');
+        return;
+      }
+      
+      const account = getSocketAccount(socket);
+      const { name, error } = getEntryName(socket, playerName);
+      if (isBannedFromRoom(room, { name, accountId: account && account.id })) {
+        socket.emit('joinError', 'You have been banned from this room');
+        return;
+      }
+      
+      if (room.locked) {
+        socket.emit('joinError', 'This room is locked');
+        return;
+      }
+      
+      if (error || isNameTaken(room, name)) {
+        socket.emit('joinError', error || 'That name is already taken in this room');
+        return;
+      }
+      
+      leaveQuickMatch(socket);
+      touchRoom(room);
+      const spectator = {
+        id: socket.id,
+        name: name,
+        omniscient: Boolean(omniscient),
+        accountId: account ? account.id : null
+      };
+      room.spectators.push(spectator);
+      
+      socket.join(room.code);
+      socket.join(getSpectatorChannel(room.code, spectator.omniscient));
+      socket.roomCode = room.code;
+      socket.isSpectator = true;
+      
+      socket.emit('spectatingRoom', {
+        roomCode: room.code,
+        players: getPublicPlayers(room),
+        spectators: getPublicSpectators(room),
+        maxPlayers: room.maxPlayers,
+        houseRules: room.houseRules,
+        omniscient: spectator.omniscient,
+        omniscientDelayMs: room.omniscientDelayMs,
+        bestOf: room.seriesLength || 1,
+        isGameStarted: room.isGameStarted,
+        gameState: getSpectatorJoinState(room, spectator),
+        series: getRoomSeries(room),
+        chat: getPublicChat(room)
+      });
+      
+      io.to(room.code).emit('spectatorsUpdated', {
+        spectators: getPublicSpectators(room),
+        joinedSpectator: name
+      });
+      
+      console.log(`${name} is watching room ${room.code}${spectator.omniscient ? ' (omniscient)' : ''}`);
+    });
+
+    // Fill an empty lobby seat with a server-side bot ({ strategy } picks its difficulty)
+    socket.on('addBot', (options) => {
+      const room = gameRooms.get(socket.roomCode);
+      
+      if (!room || room.host !== socket.id) {
+        socket.emit('error', 'Only the host can add bots');
+        return;
+      }
+      
+      if (room.isGameStarted) {
+        socket.emit('error', 'Game already started');
+        return;
+      }
+      
+      if (room.players.length >= room.maxPlayers) {
+        socket.emit('error', 'Room is full');
+        return;
+      }
+      
+      const botName = addBotSeat(room, options && options.strategy);
+      touchRoom(room);
+      rememberSettings(socket, { botStrategy: resolveBotStrategy(options && options.strategy) });
+      
+      io.to(room.code).emit('playerJoined', {
+        players: getPublicPlayers(room),
+        joinedPlayer: botName
+      });
+      publishRoomList();
+      
+      console.log(`${botName} added to room ${room.code}`);
+    });
+
+    // Remove a bot from the lobby
+    socket.on('removeBot', (playerIndex) => {
+      const room = gameRooms.get(socket.roomCode);
+      
+      if (!room || room.host !== socket.id || room.isGameStarted) {
+        socket.emit('error', 'Not authorized to remove bots');
+        return;
+      }
+      
+      const bot = room.players[playerIndex];
+      if (!bot || !bot.isBot) {
+        socket.emit('error', 'That seat is not a bot');
+        return;
+      }
+      
+      room.players.splice(playerIndex, 1);
+      touchRoom(room);
+      
+      io.to(room.code).emit('playerLeft', {
+        players: getPublicPlayers(room),
+        disconnectedId: bot.id,
+        playerName: bot.name,
+        newHost: room.host
+      });
+      publishRoomList();
+    });
+
+    // Pick the room's house rules (host only, before the game starts).
+    // Settings that are missing or out of range fall back to the defaults.
+    socket.on('setHouseRules', (houseRules) => {
+      const room = gameRooms.get(socket.roomCode);
+      
+      if (!room || room.host !== socket.id) {
+        socket.emit('error', 'Only the host can change the house rules');
+        return;
+      }
+      
+      if (room.isGameStarted) {
+        socket.emit('error', 'Game already started');
+        return;
+      }
+      
+      room.houseRules = normalizeHouseRules(houseRules);
+      touchRoom(room);
+      rememberSettings(socket, { houseRules: room.houseRules });
+      io.to(room.code).emit('houseRulesUpdated', { houseRules: room.houseRules });
+      publishRoomList();
+      
+      console.log(`House rules for room ${room.code}:`, room.houseRules);
+    });
+
+    // Pick how far behind the omniscient spectator view runs (host only, before the game
+    // starts); 0 turns it off and moves any omniscient spectators to the live view
+    socket.on('setOmniscientDelay', (delayMs) => {
+      const room = gameRooms.get(socket.roomCode);
+      
+      if (!room || room.host !== socket.id) {
+        socket.emit('error', 'Only the host can change the spectator view');
+        return;
+      }
+      
+      if (room.isGameStarted) {
+        socket.emit('error', 'Game already started');
+        return;
+      }
+      
+      if (!allowDelayedView) {
+        socket.emit('error', 'The delayed view is not available on this server');
+        return;
+      }
+      
+      room.omniscientDelayMs = normalizeOmniscientDelay(delayMs);
+      touchRoom(room);
+      if (!room.omniscientDelayMs) {
+        room.spectators.filter(s => s.omniscient).forEach(spectator => {
+          const spectatorSocket = io.sockets.sockets.get(spectator.id);
+          spectator.omniscient = false;
+          if (spectatorSocket) {
+            spectatorSocket.leave(getSpectatorChannel(room.code, true));
+            spectatorSocket.join(getSpectatorChannel(room.code, false));
+          }
+        });
+      }
+      
+      io.to(room.code).emit('spectatorsUpdated', {
+        spectators: getPublicSpectators(room),
+        omniscientDelayMs: room.omniscientDelayMs
+      });
+    });
+
+    // Start game
+    socket.on('startGame', () => {
+      const room = gameRooms.get(socket.roomCode);
+      
+      if (!room || room.host !== socket.id) {
+        socket.emit('error', 'Not authorized to start game');
+        return;
+      }
+      
+      if (room.players.length < 2) {
+        socket.emit('error', 'Need at least 2 players to start');
+        return;
+      }
+      
+      startRoomGame(room);
+    });
+
+    // Game action handlers. A refused action is answered with actionRejected
+    // ({ type, actionId, code, message }, code from ACTION_ERRORS in shared/rules.js or
+    // GAME_NOT_STARTED / NOT_SEATED / STALE_ACTION) so the client can tell the player why.
+    // Retries of an accepted action are dropped (see server/actionSequence.js).
+    socket.on('gameAction', (action) => {
+      const roomCode = socket.roomCode;
+      const room = gameRooms.get(roomCode);
+      
+      if (!room || !room.isGameStarted) {
+        rejectGameAction(socket, action, 'GAME_NOT_STARTED', 'Game not found or not started');
+        return;
+      }
+      
+      if (socket.isSpectator) {
+        rejectGameAction(socket, action, 'NOT_SEATED', 'Spectators cannot play');
+        return;
+      }
+      
+      // Find player index
+      const playerIndex = room.gameState.players.findIndex(p => p.id === socket.id);
+      if (playerIndex === -1) {
+        rejectGameAction(socket, action, 'NOT_SEATED', 'Player not in game');
+        return;
+      }
+      
+      const sequence = readActionSequence(action);
+      if (sequence.error) {
+        rejectGameAction(socket, action, sequence.errorCode, sequence.error);
+        return;
+      }
+      
+      if (isHandledAction(room, playerIndex, sequence.actionId)) {
+        console.log(`Ignored repeated action ${sequence.actionId} from player ${playerIndex}`);
+        return;
+      }
+      
+      if (isStaleAction(room, sequence.expectedVersion)) {
+        console.log(`Rejected stale action from player ${playerIndex}: version ${sequence.expectedVersion}, now ${room.stateVersion}`);
+        rejectGameAction(socket, action, 'STALE_ACTION', 'The table changed before your move arrived');
+        return;
+      }
+      
+      // Making a move takes the seat back from a bot standing in
+      if (room.players[playerIndex].botStandIn) {
+        setBotStandIn(room, playerIndex, false);
+      }
+      
+      const result = applyPlayerAction(room, playerIndex, action);
+      if (result.error) {
+        rejectGameAction(socket, action, result.errorCode, result.error);
+        return;
+      }
+      rememberHandledAction(room, playerIndex, sequence.actionId);
+      touchRoom(room);
+    });
+
+    // Send the full game log (seed, actions and event log with every hand).
+    // Only once the game is over, since it shows everyone's cards.
+    socket.on('getGameLog', () => {
+      const room = gameRooms.get(socket.roomCode);
+
+      if (!room || !room.gameRecord) {
+        socket.emit('error', 'No game log for this room');
+        return;
+      }
+
+      if (room.gameState.gamePhase !== 'gameEnd') {
+        socket.emit('error', 'The game log is available once the game has ended');
+        return;
+      }
+
+      socket.emit('gameLog', { roomCode: room.code, log: room.gameRecord });
+    });
+
+    // Reclaim a seat after a page refresh or dropped connection. A signed-in player can
+    // also reclaim their seat from another device, without its session token.
+    socket.on('rejoinRoom', (data) => {
+      const { sessionToken } = data || {};
+      const room = findRoom(data && data.roomCode);
+      let playerIndex = findSeatIndexByToken(room, sessionToken);
+      if (playerIndex === -1 && room && socket.accountId) {
+        playerIndex = room.players.findIndex(p => p.accountId === socket.accountId);
+      }
+      
+      if (playerIndex === -1) {
+        socket.emit('rejoinError', 'Seat not found or no longer available');
+        return;
+      }
+      
+      // Kicking forfeits the seat, but a ban keeps someone out whatever became of it
+      const seat = room.players[playerIndex];
+      if (isBannedFromRoom(room, { name: seat.name, sessionToken: seat.sessionToken, accountId: seat.accountId })) {
+        socket.emit('rejoinError', 'You have been banned from this room');
+        return;
+      }
+      
+      reclaimSeat(socket, room, playerIndex);
+    });
+
+    // A client whose state no longer fits the patches it gets asks for the full state again
+    socket.on('requestResync', () => {
+      const room = gameRooms.get(socket.roomCode);
+      if (!room || !room.gameState) return;
+      
+      const spectatorIndex = findSpectatorIndex(room, socket.id);
+      const playerIndex = room.players.findIndex(p => p.id === socket.id);
+      let gameState = null;
+      if (spectatorIndex !== -1) {
+        gameState = getSpectatorJoinState(room, room.spectators[spectatorIndex]);
+      } else if (playerIndex !== -1) {
+        gameState = getSeatSnapshot(room, playerIndex);
+      }
+      
+      if (gameState) {
+        socket.emit('gameStateUpdate', { gameState: gameState, lastAction: null });
+      }
+    });
+
+    // Leaving on purpose gives the seat up immediately instead of holding it
+    socket.on('leaveRoom', () => {
+      handlePlayerExit(socket, true);
+      if (socket.roomCode) {
+        socket.leave(socket.roomCode);
+        socket.roomCode = null;
+      }
+    });
+
+    // Handle disconnections
+    socket.on('disconnect', () => {
+      console.log('Player disconnected:', socket.id);
+      leaveQuickMatch(socket);
+      handlePlayerExit(socket, false);
+    });
+  }
+
+  // Signing up, in and out. A signed-in socket carries accountId (and the deviceToken it
+  // signed in with); refusals are answered with accountError.
+  function handleAccountEvents(socket) {
+    // Every account event needs the accounts service; a failure is logged, not thrown
+    const onAccountEvent = (event, handler) => {
+      socket.on(event, async (data) => {
+        if (!accounts) {
+          socket.emit('accountError', 'Accounts are not available on this server');
+          return;
+        }
+        try {
+          await handler(data || {});
+        } catch (error) {
+          console.error(`Account event ${event} failed:`, error.message);
+          socket.emit('accountError', 'Something went wrong - please try again');
+        }
+      });
+    };
+    
+    // Where sign-in attempts come from, for limiting them (a new socket from the same
+    // address doesn't start over)
+    const client = (socket.handshake && socket.handshake.address) || socket.id;
+    
+    // A new device token for this socket ({ account, deviceToken }), or { error }
+    const signInWith = (result) => {
+      if (result.error) {
+        socket.emit('accountError', result.error);
+        return;
+      }
+      socket.accountId = result.account.id;
+      socket.deviceToken = result.deviceToken;
+      socket.emit('signedIn', { account: getPublicAccount(result.account), deviceToken: result.deviceToken });
+      console.log(`${result.account.displayName} signed in`);
+    };
+    
+    // { username, password, displayName }; leave out username and password for an
+    // account on this device only
+    onAccountEvent('register', async (data) => {
+      signInWith(await accounts.register(data));
+    });
+    
+    onAccountEvent('signIn', async (data) => {
+      signInWith(await accounts.signIn(data, client));
+    });
+    
+    // A device that signed in before says who it is again after (re)connecting
+    onAccountEvent('resumeSession', ({ deviceToken }) => {
+      const account = accounts.authenticate(deviceToken);
+      if (!account) {
+        socket.emit('signedOut', { reason: 'Your sign-in has ended - please sign in again' });
+        return;
+      }
+      socket.accountId = account.id;
+      socket.deviceToken = deviceToken;
+      socket.emit('signedIn', { account: getPublicAccount(account) });
+    });
+    
+    onAccountEvent('signOut', () => {
+      accounts.signOut(socket.deviceToken);
+      socket.accountId = null;
+      socket.deviceToken = null;
+      socket.emit('signedOut', {});
+    });
+    
+    // A one-time code that signs another device in to this account
+    onAccountEvent('createDeviceLink', () => {
+      if (!socket.accountId) {
+        socket.emit('accountError', 'Sign in first');
+        return;
+      }
+      socket.emit('deviceLinkCreated', accounts.createDeviceLink(socket.accountId));
+    });
+    
+    onAccountEvent('redeemDeviceLink', ({ code }) => {
+      signInWith(accounts.redeemDeviceLink(code, client));
+    });
+    
+    // { displayName, settings }; a new name is used from the next room on
+    onAccountEvent('updateProfile', (data) => {
+      if (!socket.accountId) {
+        socket.emit('accountError', 'Sign in first');
+        return;
+      }
+      const result = accounts.updateProfile(socket.accountId, data);
+      if (result.error) {
+        socket.emit('accountError', result.error);
+        return;
+      }
+      socket.emit('accountUpdated', { account: getPublicAccount(result.account) });
+    });
+    
+    onAccountEvent('getAccountHistory', () => {
+      const account = getSocketAccount(socket);
+      if (!account) {
+        socket.emit('accountError', 'Sign in first');
+        return;
+      }
+      socket.emit('accountHistory', { history: account.history });
+    });
+  }
+  
+  // Room chat: messages and quick reactions from players and live spectators, and the
+  // host's mute control. Refusals are answered with chatError.
+  function handleChatEvents(socket) {
+    socket.on('chatMessage', (data) => {
+      const room = gameRooms.get(socket.roomCode);
+      const sender = room ? getChatSender(room, socket) : null;
+      if (!sender) {
+        socket.emit('chatError', 'Join a room to chat');
+        return;
+      }
+      if (sender.omniscient) {
+        socket.emit('chatError', 'Spectators who see every hand can\'t chat');
+        return;
+      }
+      
+      const chat = getRoomChat(room);
+      if (isChatMuted(chat, sender.name)) {
+        socket.emit('chatError', 'The host has muted you');
+        return;
+      }
+      const { text, reaction, error } = readChatMessage(data);
+      if (error) {
+        socket.emit('chatError', error);
+        return;
+      }
+      if (isChatRateLimited(chat, sender.name, Date.now())) {
+        socket.emit('chatError', 'Slow down a little');
+        return;
+      }
+      
+      const message = addChatMessage(chat, { name: sender.name, text, reaction, spectator: sender.spectator }, Date.now());
+      touchRoom(room);
+      io.to(room.code).emit('chatMessage', message);
+    });
+    
+    // { name, muted }: the host stops someone chatting, or lets them again
+    socket.on('muteChat', (data) => {
+      const { name, muted } = data || {};
+      const room = gameRooms.get(socket.roomCode);
+      if (!room || room.host !== socket.id) {
+        socket.emit('chatError', 'Only the host can mute players');
+        return;
+      }
+      const target = findRoomMember(room, name);
+      if (!target || target.id === socket.id) {
+        socket.emit('chatError', 'There is nobody to mute by that name');
+        return;
+      }
+      
+      const chat = getRoomChat(room);
+      setChatMuted(chat, target.name, Boolean(muted));
+      io.to(room.code).emit('chatMuted', { name: target.name, muted: Boolean(muted), mutedNames: chat.muted });
+    });
+  }
+  
+  // The host's say over the room: removing (and banning) people, handing the host role
+  // on, locking the room and ordering the seats. Only the host may; everyone in the room
+  // hears about each change with lobbyUpdate.
+  function handleModerationEvents(socket) {
+    // The room this socket is host of, or null (after telling them they aren't)
+    const getHostedRoom = (message) => {
+      const room = gameRooms.get(socket.roomCode);
+      if (!room || room.host !== socket.id) {
+        socket.emit('error', message);
+        return null;
+      }
+      return room;
+    };
+    
+    // { name, ban }: send a player or spectator out of the room. A seat in a running game
+    // is forfeited, like leaving on purpose; a lobby seat is freed. A ban keeps them out
+    // for as long as the room exists.
+    socket.on('kickFromRoom', (data) => {
+      const { name, ban } = data || {};
+      const room = getHostedRoom('Only the host can remove players');
+      if (!room) return;
+      const target = findRoomMember(room, name);
+      if (!target || target.id === socket.id || !isHumanSeat(target) || target.forfeited) {
+        socket.emit('error', 'There is nobody to remove by that name');
+        return;
+      }
+      
+      if (ban) {
+        banFromRoom(room, target);
+      }
+      const targetSocket = io.sockets.sockets.get(target.id);
+      if (targetSocket && targetSocket.roomCode === room.code) {
+        targetSocket.emit('kicked', { roomCode: room.code, banned: Boolean(ban) });
+        handlePlayerExit(targetSocket, true);
+        targetSocket.leave(room.code);
+        targetSocket.roomCode = null;
+      } else if (room.gameState) {
+        // Their connection is already gone and the seat is being held - forfeit it now
+        scheduler.cancel(room.code, `forfeit:${target.sessionToken}`);
+        releaseSeat(room, room.players.indexOf(target), true);
+      }
+      
+      io.to(room.code).emit('playerKicked', { name: target.name, banned: Boolean(ban) });
+      emitLobbyUpdate(room, { type: 'playerKicked', playerName: target.name, banned: Boolean(ban) });
+      persistRoom(room);
+      console.log(`${target.name} was ${ban ? 'banned' : 'removed'} from room ${room.code}`);
+    });
+    
+    // { playerIndex }: make another seated, connected player the host
+    socket.on('transferHost', (data) => {
+      const { playerIndex } = data || {};
+      const room = getHostedRoom('Only the host can hand over the room');
+      if (!room) return;
+      const target = room.players[playerIndex];
+      if (!target || !isHumanSeat(target) || !target.connected || target.forfeited || target.id === socket.id) {
+        socket.emit('error', 'That player can\'t become the host');
+        return;
+      }
+      
+      room.players.forEach(seat => {
+        seat.isHost = seat === target;
+      });
+      room.host = target.id;
+      emitLobbyUpdate(room, { type: 'hostTransferred', playerName: target.name });
+      persistRoom(room);
+    });
+    
+    // { locked }: a locked room takes no new players or spectators; everyone with a seat
+    // can still come back to it
+    socket.on('setRoomLocked', (data) => {
+      const { locked } = data || {};
+      const room = getHostedRoom('Only the host can lock the room');
+      if (!room) return;
+      
+      room.locked = Boolean(locked);
+      emitLobbyUpdate(room, { type: 'roomLocked', locked: room.locked });
+      persistRoom(room);
+    });
+    
+    // { order }: new seat order before the game starts, as the current seat indices in
+    // their new order (e.g. [1, 0, 2] swaps the first two)
+    socket.on('reorderSeats', (data) => {
+      const { order } = data || {};
+      const room = getHostedRoom('Only the host can change the seats');
+      if (!room) return;
+      if (room.isGameStarted) {
+        socket.emit('error', 'Seats can only change before the game starts');
+        return;
+      }
+      const seatOrder = readSeatOrder(room, order);
+      if (!seatOrder) {
+        socket.emit('error', 'That is not an order of the seats');
+        return;
+      }
+      
+      room.players = seatOrder.map(index => room.players[index]);
+      emitLobbyUpdate(room, { type: 'seatsReordered' });
+    });
+  }
+  
+  // The public room list and quick match (see server/matchmaking.js). With
+  // allowMatchmaking off they are answered with an error.
+  function handleMatchmakingEvents(socket) {
+    const isAvailable = () => {
+      if (!allowMatchmaking) {
+        socket.emit('error', 'Public rooms and quick match are not available on this server');
+      }
+      return allowMatchmaking;
+    };
+    
+    // Get the public room list now, and again whenever it changes until unwatchRoomList
+    socket.on('watchRoomList', () => {
+      if (!isAvailable()) return;
+      socket.join(ROOM_BROWSER_CHANNEL);
+      socket.emit('roomList', { rooms: getPublicRoomList(gameRooms.values()) });
+    });
+    
+    socket.on('unwatchRoomList', () => {
+      socket.leave(ROOM_BROWSER_CHANNEL);
+    });
+    
+    // { isPublic, title }: list the room publicly or take it off the list (host only,
+    // before the game starts). Without a title it is listed under the host's name.
+    socket.on('setRoomVisibility', (data) => {
+      const { isPublic, title } = data || {};
+      const room = gameRooms.get(socket.roomCode);
+      if (!room || room.host !== socket.id) {
+        socket.emit('error', 'Only the host can list the room');
+        return;
+      }
+      if (!isAvailable()) return;
+      if (room.isGameStarted) {
+        socket.emit('error', 'Game already started');
+        return;
+      }
+      
+      const host = room.players.find(p => p.id === socket.id);
+      const roomTitle = isPublic ? normalizeRoomTitle(title || `${host.name}'s table`) : room.title;
+      if (isPublic && !roomTitle) {
+        socket.emit('error', `Room titles are 1-${ROOM_TITLE_MAX_LENGTH} letters, numbers and punctuation`);
+        return;
+      }
+      
+      room.isPublic = Boolean(isPublic);
+      room.title = roomTitle;
+      emitLobbyUpdate(room, { type: 'visibilityChanged', isPublic: room.isPublic, title: room.title });
+    });
+    
+    // { playerName }: wait for a quick match. Asking again just updates the name.
+    socket.on('joinQuickMatch', (data) => {
+      const { playerName } = data || {};
+      if (!isAvailable()) return;
+      if (socket.roomCode) {
+        socket.emit('error', 'Leave your room first');
+        return;
+      }
+      const { name, error } = getEntryName(socket, playerName);
+      if (error) {
+        socket.emit('joinError', error);
+        return;
+      }
+      
+      const waiting = quickMatchQueue.find(entry => entry.id === socket.id);
+      if (waiting) {
+        waiting.name = name;
+      } else {
+        quickMatchQueue.push({ id: socket.id, name: name });
+      }
+      socket.join(QUICK_MATCH_CHANNEL);
+      updateQuickMatch();
+    });
+    
+    socket.on('leaveQuickMatch', () => {
+      leaveQuickMatch(socket);
+    });
+  }
+  
+  // Take a socket out of the quick-match queue, if it is waiting
+  function leaveQuickMatch(socket) {
+    const index = quickMatchQueue.findIndex(entry => entry.id === socket.id);
+    if (index === -1) return;
+    
+    quickMatchQueue.splice(index, 1);
+    socket.leave(QUICK_MATCH_CHANNEL);
+    socket.emit('quickMatchStatus', { queued: false });
+    updateQuickMatch();
+  }
+  
+  // Start every table the queue fills, start or stop the countdown for the next one, and
+  // tell everyone still waiting: { queued, waiting, startsInMs, bots }
+  function updateQuickMatch() {
+    while (quickMatchQueue.length >= QUICK_MATCH_MAX_PLAYERS) {
+      startQuickMatchTable();
+    }
+    
+    if (quickMatchQueue.length < getQuickMatchMinimum(quickMatchBots)) {
+      scheduler.cancel(QUICK_MATCH_CHANNEL, 'countdown');
+      quickMatchStartsAt = null;
+    } else if (!quickMatchStartsAt) {
+      quickMatchStartsAt = Date.now() + QUICK_MATCH_COUNTDOWN_MS;
+      scheduler.schedule(QUICK_MATCH_CHANNEL, 'countdown', QUICK_MATCH_COUNTDOWN_MS, () => {
+        quickMatchStartsAt = null;
+        startQuickMatchTable();
+        updateQuickMatch();
+      });
+    }
+    
+    io.to(QUICK_MATCH_CHANNEL).emit('quickMatchStatus', {
+      queued: true,
+      waiting: quickMatchQueue.length,
+      startsInMs: quickMatchStartsAt ? Math.max(0, quickMatchStartsAt - Date.now()) : null,
+      bots: quickMatchBots
+    });
+  }
+  
+  // Seat the players at the front of the queue at a new table and start their game. The
+  // first of them hosts; with quickMatchBots on, bots take the empty seats.
+  function startQuickMatchTable() {
+    const table = takeQuickMatchTable(quickMatchQueue, quickMatchBots);
+    if (table.length === 0) return;
+    
+    const sockets = table.map(entry => io.sockets.sockets.get(entry.id));
+    const room = createRoomWithHost(sockets[0], table[0].name);
+    table.slice(1).forEach((entry, index) => {
+      seatPlayer(room, sockets[index + 1], getFreeName(room, entry.name));
+    });
+    while (quickMatchBots && room.players.length < QUICK_MATCH_MAX_PLAYERS) {
+      addBotSeat(room);
+    }
+    
+    sockets.forEach((playerSocket, playerIndex) => {
+      playerSocket.leave(QUICK_MATCH_CHANNEL);
+      playerSocket.emit('quickMatchFound', { roomCode: room.code });
+      sendRoomJoined(playerSocket, room, playerIndex);
+    });
+    startRoomGame(room);
+    console.log(`Quick match in room ${room.code} for ${table.map(entry => entry.name).join(', ')}`);
+  }
+  
+  // This name, or with a number after it if someone in the room has it already
+  function getFreeName(room, name) {
+    let freeName = name;
+    for (let number = 2; isNameTaken(room, freeName); number++) {
+      freeName = `${name.slice(0, 17)} ${number}`;
+    }
+    return freeName;
+  }
+  
+  // Send everyone browsing the public rooms the list, if it changed
+  function publishRoomList() {
+    if (!allowMatchmaking) return;
+    const rooms = getPublicRoomList(gameRooms.values());
+    const roomList = JSON.stringify(rooms);
+    if (roomList === publishedRoomList) return;
+    
+    publishedRoomList = roomList;
+    io.to(ROOM_BROWSER_CHANNEL).emit('roomList', { rooms });
+  }
+  
+  // Playing more than one game at a table (see server/series.js)
+  function handleSeriesEvents(socket) {
+    // { bestOf }: how many games the series runs to (host only, before the game starts)
+    socket.on('setSeriesLength', (data) => {
+      const { bestOf } = data || {};
+      const room = gameRooms.get(socket.roomCode);
+      if (!room || room.host !== socket.id) {
+        socket.emit('error', 'Only the host can pick the series length');
+        return;
+      }
+      if (room.isGameStarted) {
+        socket.emit('error', 'Game already started');
+        return;
+      }
+      
+      room.seriesLength = normalizeSeriesLength(bestOf);
+      emitLobbyUpdate(room, { type: 'seriesLengthChanged', bestOf: room.seriesLength });
+    });
+    
+    // Vote to play the next game at the same seats, once this one is over. The game
+    // starts when everyone at the table has voted.
+    socket.on('playAgain', () => {
+      const room = gameRooms.get(socket.roomCode);
+      const playerIndex = room ? room.players.findIndex(p => p.id === socket.id) : -1;
+      if (playerIndex === -1 || !room.series) {
+        socket.emit('error', 'Only players at the table can play again');
+        return;
+      }
+      if (room.gameState.gamePhase !== 'gameEnd') {
+        socket.emit('error', 'The game is not over yet');
+        return;
+      }
+      if (!isTableComplete(room)) {
+        socket.emit('error', 'Not everyone is still at the table');
+        return;
+      }
+      
+      // Voting shows they're back, so a bot standing in for them steps aside
+      if (room.players[playerIndex].botStandIn) {
+        setBotStandIn(room, playerIndex, false);
+      }
+      votePlayAgain(room.series, playerIndex);
+      touchRoom(room);
+      
+      const waitingFor = room.players.filter((seat, index) =>
+        isHumanSeat(seat) && !room.series.playAgainVotes.includes(index));
+      if (waitingFor.length === 0) {
+        startNextGame(room);
+      } else {
+        emitSeriesUpdate(room);
+        persistRoom(room);
+      }
+    });
+  }
+  
+  // Every seat is still taken (nobody forfeited), so the table can play on
+  function isTableComplete(room) {
+    return room.players.every(seat => !seat.forfeited);
+  }
+  
+  function getRoomSeries(room) {
+    return room.series ? getPublicSeries(room.series, isTableComplete(room)) : null;
+  }
+  
+  // Everyone in the room gets the series as it stands: { roomCode, series }
+  function emitSeriesUpdate(room) {
+    if (!room.series || !gameRooms.has(room.code)) return;
+    io.to(room.code).emit('seriesUpdated', { roomCode: room.code, series: getRoomSeries(room) });
+  }
+  
+  // The next game at the same seats, led by the next seat along. A decided series makes
+  // way for a new one of the same length.
+  function startNextGame(room) {
+    if (isSeriesDecided(room.series)) {
+      room.series = createSeries(room.players, room.series.bestOf);
+    }
+    room.series.playAgainVotes = [];
+    room.firstPlayer = ((room.firstPlayer || 0) + 1) % room.players.length;
+    // Bots remember their one-off decisions by round, and rounds count from 1 again
+    room.players.forEach(seat => {
+      if (seat.botMemory) seat.botMemory = {};
+    });
+    startRoomGame(room);
+    console.log(`Room ${room.code} plays game ${room.series.games.length + 1} of its series`);
+  }
+  
+  // Everyone in the room gets the lobby as it is now, with what changed:
+  //   { type: 'playerKicked', playerName, banned } | { type: 'hostTransferred', playerName }
+  //   { type: 'roomLocked', locked } | { type: 'seatsReordered' }
+  //   { type: 'visibilityChanged', isPublic, title } | { type: 'seriesLengthChanged', bestOf }
+  function emitLobbyUpdate(room, change) {
+    if (!gameRooms.has(room.code)) return;
+    touchRoom(room);
+    io.to(room.code).emit('lobbyUpdate', {
+      roomCode: room.code,
+      players: getPublicPlayers(room),
+      spectators: getPublicSpectators(room),
+      host: room.host,
+      maxPlayers: room.maxPlayers,
+      locked: Boolean(room.locked),
+      isPublic: Boolean(room.isPublic),
+      title: room.title || null,
+      bestOf: room.seriesLength || 1,
+      isGameStarted: Boolean(room.isGameStarted),
+      change: change
+    });
+    publishRoomList();
+  }
+  
+  // A new room with this socket in the first seat, as host
+  function createRoomWithHost(socket, name) {
+    const account = getSocketAccount(socket);
+    const roomCode = generateRoomCode();
+    const room = {
+      code: roomCode,
+      host: socket.id,
+      players: [],
+      spectators: [],
+      gameState: null,
+      stateVersion: 0,
+      handledActionIds: [],
+      maxPlayers: 4,
+      // A signed-in host starts from the house rules they played with last
+      houseRules: normalizeHouseRules(account ? account.settings.houseRules : undefined),
+      omniscientDelayMs: 0,
+      isPublic: false,
+      title: null,
+      // Games in a series (see server/series.js); series is kept once the first game starts
+      seriesLength: 1,
+      series: null,
+      firstPlayer: 0,
+      isGameStarted: false
+    };
+    
+    gameRooms.set(roomCode, room);
+    seatPlayer(room, socket, name);
+    room.players[0].isHost = true;
+    return room;
+  }
+  
+  // Give this socket the next seat in a lobby; returns the seat index
+  function seatPlayer(room, socket, name) {
+    const account = getSocketAccount(socket);
+    room.players.push({
+      id: socket.id,
+      name: name,
+      isHost: false,
+      connected: true,
+      sessionToken: createSessionToken(),
+      accountId: account ? account.id : null
+    });
+    
+    socket.join(room.code);
+    socket.roomCode = room.code;
+    touchRoom(room);
+    return room.players.length - 1;
+  }
+  
+  // Tell a player who just took a lobby seat what the room looks like
+  function sendRoomJoined(socket, room, playerIndex) {
+    socket.emit('roomJoined', {
+      roomCode: room.code,
+      players: getPublicPlayers(room),
+      spectators: getPublicSpectators(room),
+      maxPlayers: room.maxPlayers,
+      houseRules: room.houseRules,
+      omniscientDelayMs: room.omniscientDelayMs,
+      isPublic: Boolean(room.isPublic),
+      title: room.title || null,
+      bestOf: room.seriesLength || 1,
+      isHost: room.host === socket.id,
+      playerIndex: playerIndex,
+      sessionToken: room.players[playerIndex].sessionToken,
+      chat: getPublicChat(room)
+    });
+  }
+  
+  // Put a server-side bot in the next lobby seat; returns its name
+  function addBotSeat(room, strategy) {
+    const botName = createBotName(room);
+    room.players.push({
+      id: `bot-${room.code}-${botName.replace(' ', '')}`,
+      name: botName,
+      isHost: false,
+      isBot: true,
+      botStrategy: resolveBotStrategy(strategy),
+      connected: true,
+      botMemory: {}
+    });
+    return botName;
+  }
+  
+  // Deal the first round and send everyone their view of the table
+  function startRoomGame(room) {
+    room.isGameStarted = true;
+    if (!room.series) {
+      room.series = createSeries(room.players, room.seriesLength);
+    }
+    
+    // Initialize game state from a fresh seed and deal the first round
+    const seed = createGameSeed();
+    const firstDeal = { type: 'startRound', firstPlayer: room.firstPlayer || 0 };
+    room.gameRecord = createGameRecord(room.players, seed, room.houseRules);
+    const initialState = createGameState(room.gameRecord.seats, seed, room.houseRules);
+    const dealt = applyAction(initialState, firstDeal);
+    room.gameState = dealt.state;
+    room.stateVersion += 1; // Keeps counting across games, so versions never repeat in a room
+    noteTableChange(room, null, room.gameState);
+    stateSync.forgetRoom(room.code);
+    room.handledActionIds = [];
+    recordAction(room.gameRecord, firstDeal, dealt.events, initialState, room.gameState);
+    schedulePhaseTimeout(room);
+    
+    // Notify all players that game is starting (each only sees their own cards)
+    room.players.forEach((player, index) => {
+      if (player.id && io.sockets.sockets.get(player.id)) {
+        io.to(player.id).emit('gameStarted', {
+          gameState: getSeatSnapshot(room, index),
+          series: getRoomSeries(room)
+        });
+      }
+    });
+    sendSpectatorStates(room, null);
+    scheduleBotTurns(room);
+    persistRoom(room);
+    publishRoomList();
+    
+    console.log(`Game started in room ${room.code} (seed ${seed})`);
+  }
+  
+  // Who a socket chats as in a room: { name, spectator, omniscient }, or null if it has
+  // no place there
+  function getChatSender(room, socket) {
+    const seat = room.players.find(p => p.id === socket.id && !p.forfeited);
+    if (seat) {
+      return { name: seat.name, spectator: false, omniscient: false };
+    }
+    const spectatorIndex = findSpectatorIndex(room, socket.id);
+    if (spectatorIndex === -1) return null;
+    const spectator = room.spectators[spectatorIndex];
+    return { name: spectator.name, spectator: true, omniscient: spectator.omniscient };
+  }
+  
+  // A player (seat) or spectator of the room by name
+  function findRoomMember(room, name) {
+    return room.players.find(p => isSameName(p.name, name)) ||
+      room.spectators.find(s => isSameName(s.name, name)) || null;
+  }
+  
+  // Hand a seat to this socket (a rejoin, or a signed-in player on another device)
+  function reclaimSeat(socket, room, playerIndex) {
+    const roomCode = room.code;
+    const seat = room.players[playerIndex];
+    if (seat.forfeited) {
+      socket.emit('rejoinError', 'Your seat was forfeited');
+      return;
+    }
+    
+    // The seat is being held - stop the forfeit countdown
+    scheduler.cancel(roomCode, `forfeit:${seat.sessionToken}`);
+    delete seat.heldUntil;
+    touchRoom(room);
+    
+    // If an older connection still holds the seat (e.g. another tab), hand it over
+    const previousId = seat.id;
+    const previousSocket = io.sockets.sockets.get(previousId);
+    
+    seat.id = socket.id;
+    seat.connected = true;
+    if (room.host === previousId) {
+      room.host = socket.id;
+    }
+    if (room.gameState) {
+      room.gameState.players[playerIndex].id = socket.id;
+      room.gameState.players[playerIndex].connected = true;
+    }
+    
+    if (previousSocket && previousSocket.id !== socket.id) {
+      previousSocket.roomCode = null;
+      previousSocket.disconnect(true);
+    }
+    
+    socket.join(roomCode);
+    socket.roomCode = roomCode;
+    
+    socket.emit('roomRejoined', {
+      roomCode: roomCode,
+      players: getPublicPlayers(room),
+      spectators: getPublicSpectators(room),
+      maxPlayers: room.maxPlayers,
+      houseRules: room.houseRules,
+      omniscientDelayMs: room.omniscientDelayMs,
+      locked: Boolean(room.locked),
+      isPublic: Boolean(room.isPublic),
+      title: room.title || null,
+      isHost: room.host === socket.id,
+      playerIndex: playerIndex,
+      sessionToken: seat.sessionToken,
+      gameState: room.gameState ? getSeatSnapshot(room, playerIndex) : null,
+      bestOf: room.seriesLength || 1,
+      series: getRoomSeries(room),
+      chat: getPublicChat(room)
+    });
+    
+    socket.to(roomCode).emit('playerReconnected', {
+      players: getPublicPlayers(room),
+      playerIndex: playerIndex,
+      playerName: seat.name
+    });
+    
+    console.log(`${seat.name} reclaimed seat ${playerIndex} in room ${roomCode}`);
+  }
+  
+  function getSocketAccount(socket) {
+    return accounts && socket.accountId ? accounts.getAccount(socket.accountId) : null;
+  }
+  
+  // The name a socket enters a room under: a signed-in player's display name, otherwise
+  // the name they typed if it is allowed. Returns { name } or { error }.
+  function getEntryName(socket, typedName) {
+    const account = getSocketAccount(socket);
+    const name = account ? account.displayName : normalizeDisplayName(typedName);
+    return name ? { name } : { error: 'Names are 1-20 letters, numbers and spaces' };
+  }
+  
+  // Display names are unique within a room, across players, bots and spectators
+  function isNameTaken(room, name) {
+    return room.players.some(p => isSameName(p.name, name)) ||
+      room.spectators.some(s => isSameName(s.name, name));
+  }
+  
+  // Keep a signed-in player's lobby choices (house rules, bot difficulty) for next time
+  function rememberSettings(socket, settings) {
+    if (!socket.accountId) return;
+    try {
+      accounts.updateProfile(socket.accountId, { settings });
+    } catch (error) {
+      console.error('Could not save account settings:', error.message);
+    }
+  }
+  
+  // Add a finished game to the history of everyone who sat in it signed in
+  function recordAccountHistory(room, events) {
+    if (!accounts) return;
+    const ended = events.find(event => event.type === 'gameEnded' || event.type === 'vijfkruizenVictory');
+    const winners = ended ? ended.winners : [];
+    const players = room.gameState.players.map(player => ({ name: player.name, points: player.points }));
+    
+    room.players.forEach((seat, index) => {
+      if (!seat.accountId) return;
+      try {
+        accounts.recordGame(seat.accountId, {
+          roomCode: room.code,
+          startedAt: room.gameRecord.startedAt,
+          endedAt: Date.now(),
+          playerIndex: index,
+          players: players,
+          won: winners.includes(index),
+          forfeited: Boolean(seat.forfeited)
+        });
+      } catch (error) {
+        console.error(`Could not save the game history of ${seat.name}:`, error.message);
+      }
+    });
+  }
+
+  // Handle a player leaving their room, either on purpose or by losing the connection
+  function handlePlayerExit(socket, intentional) {
+    if (!socket.roomCode) return;
+    
+    const room = gameRooms.get(socket.roomCode);
+    if (!room) return;
+    
+    if (socket.isSpectator) {
+      removeSpectator(room, socket);
+      return;
+    }
+    
+    const playerIndex = room.players.findIndex(p => p.id === socket.id);
+    if (playerIndex === -1) return;
+    
+    if (room.isGameStarted && room.gameState) {
+      // Mid-game seats are kept so player indices stay aligned with the game state
+      releaseSeat(room, playerIndex, intentional);
+      return;
+    }
+    
+    // Find the disconnected player's name BEFORE removing them
+    const playerName = room.players[playerIndex].name;
+    
+    // Remove player from room
+    room.players = room.players.filter(p => p.id !== socket.id);
+    const humanPlayers = room.players.filter(p => !p.isBot);
+    
+    // If no humans are left (bots don't keep a room alive), delete it
+    if (humanPlayers.length === 0) {
+      deleteRoom(room);
+      console.log(`Room ${room.code} deleted (empty)`);
+    } else {
+      // If host disconnected, make someone else host
+      if (room.host === socket.id) {
+        room.host = humanPlayers[0].id;
+        humanPlayers[0].isHost = true;
+      }
+      
+      // Notify remaining players
+      io.to(room.code).emit('playerLeft', {
+        players: getPublicPlayers(room),
+        disconnectedId: socket.id,
+        playerName: playerName,
+        newHost: room.host // Include new host info
+      });
+      publishRoomList();
+    }
+  }
+
+  // Stop a socket watching a room. Spectators never keep a room alive.
+  function removeSpectator(room, socket) {
+    const spectatorIndex = findSpectatorIndex(room, socket.id);
+    socket.isSpectator = false;
+    if (spectatorIndex === -1) return;
+    
+    const [spectator] = room.spectators.splice(spectatorIndex, 1);
+    socket.leave(getSpectatorChannel(room.code, spectator.omniscient));
+    
+    io.to(room.code).emit('spectatorsUpdated', {
+      spectators: getPublicSpectators(room),
+      leftSpectator: spectator.name
+    });
+  }
+
+  // Mark an in-game seat as disconnected and hold it for the grace period
+  function releaseSeat(room, playerIndex, intentional) {
+    const seat = room.players[playerIndex];
+    seat.connected = false;
+    room.gameState.players[playerIndex].connected = false;
+    
+    // Hand host rights to someone who is still connected
+    if (room.host === seat.id) {
+      const newHost = room.players.find(p => p.connected && !p.forfeited && !p.isBot);
+      if (newHost) {
+        seat.isHost = false;
+        newHost.isHost = true;
+        room.host = newHost.id;
+      }
+    }
+    
+    if (intentional || room.gameState.gamePhase === 'gameEnd') {
+      forfeitSeat(room, playerIndex);
+      return;
+    }
+    
+    holdSeat(room, playerIndex);
+    
+    io.to(room.code).emit('playerDisconnected', {
+      players: getPublicPlayers(room),
+      playerIndex: playerIndex,
+      playerName: seat.name,
+      gracePeriodMs: SEAT_GRACE_PERIOD_MS,
+      newHost: room.host
+    });
+    
+    console.log(`${seat.name} disconnected from room ${room.code}, holding seat for ${SEAT_GRACE_PERIOD_MS}ms`);
+  }
+
+  // Start the grace period for a disconnected seat; it is forfeited unless reclaimed in time.
+  // The deadline is kept on the seat, so a resumed room holds it for the time that is left.
+  function holdSeat(room, playerIndex, heldUntil = Date.now() + SEAT_GRACE_PERIOD_MS) {
+    const seat = room.players[playerIndex];
+    
+    seat.heldUntil = heldUntil;
+    scheduler.schedule(room.code, `forfeit:${seat.sessionToken}`, heldUntil - Date.now(), () => {
+      if (!seat.connected) {
+        forfeitSeat(room, playerIndex);
+      }
+    });
+  }
+
+  // Give up a seat for good: the player folds out of the current round and is out of the game
+  function forfeitSeat(room, playerIndex) {
+    const seat = room.players[playerIndex];
+    
+    seat.connected = false;
+    seat.forfeited = true;
+    delete seat.heldUntil;
+    
+    // Nobody left to return (bots don't count) - clean up the room
+    if (room.players.every(p => p.forfeited || !isHumanSeat(p))) {
+      deleteRoom(room);
+      console.log(`Room ${room.code} deleted (all players gone)`);
+      return;
+    }
+    
+    io.to(room.code).emit('playerLeft', {
+      players: getPublicPlayers(room),
+      disconnectedId: seat.id,
+      playerName: seat.name,
+      playerIndex: playerIndex,
+      forfeited: true,
+      newHost: room.host
+    });
+    const wasOver = room.gameState.gamePhase === 'gameEnd';
+    dispatchGameAction(room, { type: 'forfeitSeat', playerIndex: playerIndex });
+    if (wasOver) {
+      // Nobody plays again without them: the series is over
+      emitSeriesUpdate(room);
+    }
+    
+    console.log(`${seat.name} forfeited seat ${playerIndex} in room ${room.code}`);
+  }
+
+  // Someone in the room did something: it stays open for another ROOM_IDLE_TIMEOUT_MS
+  function touchRoom(room) {
+    if (gameRooms.get(room.code) !== room) return;
+    room.lastActiveAt = Date.now();
+    scheduleIdleExpiry(room);
+  }
+  
+  function scheduleIdleExpiry(room) {
+    const delayMs = Math.max(0, getIdleDeadline(room) - Date.now());
+    scheduler.schedule(room.code, 'idle', delayMs, () => expireRoom(room));
+  }
+  
+  // Close a room nobody has done anything in for ROOM_IDLE_TIMEOUT_MS. Everyone still
+  // in it is told and let go; their seats and the game go with the room.
+  function expireRoom(room) {
+    io.to(room.code).emit('roomExpired', { roomCode: room.code, idleMs: ROOM_IDLE_TIMEOUT_MS });
+    [...room.players, ...room.spectators].forEach(member => {
+      const memberSocket = io.sockets.sockets.get(member.id);
+      if (!memberSocket || memberSocket.roomCode !== room.code) return;
+      memberSocket.leave(room.code);
+      if (memberSocket.isSpectator) {
+        memberSocket.leave(getSpectatorChannel(room.code, member.omniscient));
+        memberSocket.isSpectator = false;
+      }
+      memberSocket.roomCode = null;
+    });
+    room.spectators = [];
+    deleteRoom(room);
+    console.log(`Room ${room.code} closed after ${ROOM_IDLE_TIMEOUT_MS}ms without activity`);
+  }
+  
+  // Drop a room along with its saved copy and every timer it still has pending.
+  // Anyone still watching is told the room is gone.
+  function deleteRoom(room) {
+    scheduler.cancelRoom(room.code);
+    spectatorFeeds.delete(room.code);
+    stateSync.forgetRoom(room.code);
+    gameRooms.delete(room.code);
+    unpersistRoom(room);
+    
+    if (room.spectators.length > 0) {
+      io.to(room.code).emit('roomClosed', { roomCode: room.code });
+    }
+    publishRoomList();
+  }
+
+  // The game state a viewer is sent: their projection (see server/projection.js), the
+  // state version, and the running phase timer as a deadline and the time left (clients
+  // count down from remainingMs, since their clocks may not match ours)
+  function getClientGameState(room, viewer) {
+    const clientState = projectGameState(room.gameState, viewer);
+    const phaseTimer = room.phaseTimer;
+    
+    clientState.version = room.stateVersion;
+    clientState.phaseTimer = phaseTimer ? {
+      kind: phaseTimer.kind,
+      deadline: phaseTimer.deadline,
+      remainingMs: Math.max(0, phaseTimer.deadline - Date.now())
+    } : null;
+    return clientState;
+  }
+
+  // Security: Broadcast game state with each player receiving only their own cards.
+  // Private events (e.g. a refused toep) only go to the player they concern.
+  function broadcastSecureGameState(room, lastAction) {
+    room.players.forEach((player, index) => {
+      if (canSeeEvent(lastAction, seatViewer(index))) {
+        sendGameStateToPlayer(room, index, lastAction);
+      }
+    });
+    if (canSeeEvent(lastAction, SPECTATOR_VIEWER)) {
+      sendSpectatorStates(room, lastAction);
+    }
+  }
+
+  // Whoever could see none of an action's events (e.g. only a private one) still gets
+  // the new state, so every client stays on the current version
+  function sendMissedStates(room, events) {
+    room.players.forEach((player, index) => {
+      if (!events.some(event => canSeeEvent(event, seatViewer(index)))) {
+        sendGameStateToPlayer(room, index, null);
+      }
+    });
+    if (!events.some(event => canSeeEvent(event, SPECTATOR_VIEWER))) {
+      sendSpectatorStates(room, null);
+    }
+  }
+
+  // Send one seat the game state as they may see it, as a patch where possible
+  // (see server/stateSync.js)
+  function sendGameStateToPlayer(room, playerIndex, lastAction) {
+    const player = room.players[playerIndex];
+    if (player && player.id && io.sockets.sockets.get(player.id)) {
+      const gameState = getClientGameState(room, seatViewer(playerIndex));
+      io.to(player.id).emit('gameStateUpdate',
+        stateSync.createUpdate(room.code, getSeatView(playerIndex), gameState, lastAction));
+    }
+  }
+
+  // A seat's full game state for sending outside the update stream (game start,
+  // rejoin, resync); later updates patch from it
+  function getSeatSnapshot(room, playerIndex) {
+    const gameState = getClientGameState(room, seatViewer(playerIndex));
+    stateSync.setBase(room.code, getSeatView(playerIndex), gameState);
+    return gameState;
+  }
+
+  // Live spectators get the state as seen from no seat at all; omniscient spectators
+  // get the full state once the room's delay has passed. The live channel's base moves
+  // on with every state even while nobody watches, so a spectator joining later gets
+  // the same state as everyone already watching.
+  function sendSpectatorStates(room, lastAction) {
+    const gameState = getClientGameState(room, SPECTATOR_VIEWER);
+    if (room.spectators.some(s => !s.omniscient)) {
+      io.to(getSpectatorChannel(room.code, false)).emit('gameStateUpdate',
+        stateSync.createUpdate(room.code, getSpectatorView(false), gameState, lastAction));
+    } else {
+      stateSync.setBase(room.code, getSpectatorView(false), gameState);
+    }
+    queueOmniscientState(room, lastAction);
+  }
+
+  // What a new spectator sees first: the live table, or the omniscient view as far as
+  // the delay allows (null until the first delayed state is due). Either is the state
+  // the channel's next update patches from, so the spectators already watching are left
+  // as they are.
+  function getSpectatorJoinState(room, spectator) {
+    if (!room.gameState) return null;
+    if (!spectator.omniscient) {
+      const view = getSpectatorView(false);
+      if (!stateSync.getBase(room.code, view)) {
+        // A room picked up after a restart has sent nobody anything yet
+        stateSync.setBase(room.code, view, getClientGameState(room, SPECTATOR_VIEWER));
+      }
+      const gameState = stateSync.getBase(room.code, view);
+      const { phaseTimer } = gameState;
+      return phaseTimer ?
+        { ...gameState, phaseTimer: { ...phaseTimer, remainingMs: Math.max(0, phaseTimer.deadline - Date.now()) } } :
+        gameState;
+    }
+    
+    const feed = spectatorFeeds.get(room.code);
+    return feed && feed.current ? feed.current.gameState : null;
+  }
+
+  // Hold the full state back for the room's omniscient delay. States are buffered even
+  // while nobody watches, so someone joining later starts from the delayed table.
+  function queueOmniscientState(room, lastAction) {
+    if (!room.omniscientDelayMs) return;
+    
+    if (!spectatorFeeds.has(room.code)) {
+      spectatorFeeds.set(room.code, { queue: [], current: null });
+    }
+    const feed = spectatorFeeds.get(room.code);
+    const gameState = projectGameState(room.gameState, ADMIN_VIEWER);
+    gameState.version = room.stateVersion;
+    // The phase timer is long over by the time this state is shown
+    gameState.phaseTimer = null;
+    
+    feed.queue.push({ due: Date.now() + room.omniscientDelayMs, gameState, lastAction });
+    if (feed.queue.length === 1) {
+      scheduleOmniscientFeed(room);
+    }
+  }
+
+  // Send every delayed state that is due, then wait for the next one
+  function scheduleOmniscientFeed(room) {
+    const feed = spectatorFeeds.get(room.code);
+    if (!feed || feed.queue.length === 0) return;
+    
+    scheduler.schedule(room.code, 'spectatorFeed', feed.queue[0].due - Date.now(), () => {
+      while (feed.queue.length > 0 && feed.queue[0].due <= Date.now()) {
+        feed.current = feed.queue.shift();
+        io.to(getSpectatorChannel(room.code, true)).emit('gameStateUpdate',
+          stateSync.createUpdate(room.code, getSpectatorView(true), feed.current.gameState, feed.current.lastAction));
+      }
+      scheduleOmniscientFeed(room);
+    });
+  }
+
+  // Run an action through the shared rules, then broadcast what happened
+  function dispatchGameAction(room, action) {
+    const result = applyAction(room.gameState, action);
+    if (result.error) {
+      return result;
+    }
+    
+    const previousState = room.gameState;
+    room.gameState = result.state;
+    room.stateVersion += 1;
+    noteTableChange(room, previousState, room.gameState);
+    recordAction(room.gameRecord, action, result.events, previousState, room.gameState);
+    const isGameOver = previousState.gamePhase !== 'gameEnd' && room.gameState.gamePhase === 'gameEnd';
+    if (isGameOver) {
+      recordAccountHistory(room, result.events);
+      if (room.series) {
+        recordSeriesGame(room.series, room.gameRecord, room.gameState);
+      }
+    }
+    // Arm the next step's timer first, so the states we send carry its deadline
+    schedulePhaseTimeout(room);
+    result.events.forEach(event => broadcastSecureGameState(room, event));
+    sendMissedStates(room, result.events);
+    if (isGameOver) {
+      emitSeriesUpdate(room);
+    }
+    // A stand-in is a state change of its own, sent after the one that brought it on
+    standInForIdlePlayers(room, result.events);
+    
+    // Every state change may be a bot's cue to act
+    scheduleBotTurns(room);
+    persistRoom(room);
+    return result;
+  }
+
+  // Save a room with a game in progress. A failed save is logged but never stops the game.
+  function persistRoom(room) {
+    if (!room.isGameStarted) return;
+    try {
+      roomStore.saveRoom(room);
+    } catch (error) {
+      console.error(`Could not save room ${room.code}:`, error.message);
+    }
+  }
+
+  function unpersistRoom(room) {
+    try {
+      roomStore.deleteRoom(room.code);
+    } catch (error) {
+      console.error(`Could not delete saved room ${room.code}:`, error.message);
+    }
+  }
+
+  // Bring back the games that were running when the server stopped. Nobody is connected
+  // yet, so every human seat is held for the grace period like after a dropped connection.
+  function restoreRooms() {
+    const rooms = roomStore.loadRooms();
+    
+    rooms.forEach(room => {
+      gameRooms.set(room.code, room);
+      // Spectators don't get their sockets back, and rooms saved before spectating existed have none
+      room.spectators = [];
+      room.omniscientDelayMs = room.omniscientDelayMs || 0;
+      // Rooms saved before states were versioned start counting again
+      room.stateVersion = room.stateVersion || 1;
+      room.handledActionIds = room.handledActionIds || [];
+      room.players.forEach((seat, playerIndex) => {
+        if (!isHumanSeat(seat) || seat.forfeited) return;
+        seat.connected = false;
+        room.gameState.players[playerIndex].connected = false;
+        holdSeat(room, playerIndex);
+      });
+      schedulePhaseTimeout(room);
+      scheduleBotTurns(room);
+      scheduleIdleExpiry(room);
+    });
+    
+    if (rooms.length > 0) {
+      console.log(`Restored ${rooms.length} room(s): ${rooms.map(room => room.code).join(', ')}`);
+    }
+  }
+
+  // Pick a room up where an earlier request left it, on hosts that keep nothing in memory
+  // between requests: everyone stays as they were and the timers run on from the
+  // deadlines saved with the room
+  function resumeRoom(room) {
+    gameRooms.set(room.code, room);
+    scheduleIdleExpiry(room);
+    if (!room.gameState) return;
+    
+    room.players.forEach((seat, playerIndex) => {
+      if (seat.heldUntil) {
+        holdSeat(room, playerIndex, seat.heldUntil);
+      }
+    });
+    schedulePhaseTimeout(room);
+    if (room.botTurnAt) {
+      scheduleBotTurns(room, room.botTurnAt);
+    }
+  }
+
+  // Apply an action from a seat (human or bot) and broadcast the result.
+  // Returns the rules result, which carries error and errorCode if the action was refused.
+  function applyPlayerAction(room, playerIndex, payload) {
+    // Only well-formed player actions get through; timed transitions are the server's to dispatch
+    const parsed = parsePlayerAction(payload);
+    if (parsed.error) {
+      console.log(`Rejected malformed action from player ${playerIndex}: ${parsed.errorCode}`, payload);
+      return { state: room.gameState, events: [], error: parsed.error, errorCode: parsed.errorCode };
+    }
+    
+    const action = parsed.action;
+    console.log(`Player ${playerIndex} (${room.gameState.players[playerIndex].name}) action: ${action.type}`, action);
+    console.log(`Game phase: ${room.gameState.gamePhase}, Current player: ${room.gameState.currentPlayer}`);
+    
+    const result = dispatchGameAction(room, { ...action, playerIndex: playerIndex });
+    if (result.error) {
+      console.log(`Rejected ${action.type} from player ${playerIndex}: ${result.errorCode} (${result.error})`);
+    }
+    return result;
+  }
+
+  // Tell a client why their action was refused
+  function rejectGameAction(socket, payload, code, message) {
+    const isObject = Boolean(payload) && typeof payload === 'object';
+    socket.emit('actionRejected', {
+      type: isObject && typeof payload.type === 'string' ? payload.type : null,
+      actionId: isObject && typeof payload.actionId === 'string' ? payload.actionId : null,
+      code: code,
+      message: message
+    });
+  }
+
+  // Arm the timer for the room's next timed transition (laundry window, trick display,
+  // response deadlines, next round). Leaving a step cancels its timer; a timer that is
+  // still due for the same step is kept. room.phaseTimer ({ kind, key, deadline }) is
+  // saved with the room, so after a restart the step only waits for the time it had left.
+  function schedulePhaseTimeout(room) {
+    const pending = getPendingTimeout(room.gameState);
+    const current = room.phaseTimer;
+    const isSameStep = Boolean(current && pending && current.key === pending.key);
+    
+    if (isSameStep && scheduler.getDeadline(room.code, 'phase') !== null) return;
+    scheduler.cancel(room.code, 'phase');
+    room.phaseTimer = null;
+    if (!pending) return;
+    
+    const deadline = isSameStep ? current.deadline : Date.now() + getPhaseTimeoutMs(room.gameState, pending);
+    room.phaseTimer = { kind: pending.kind, key: pending.key, deadline: deadline };
+    scheduler.schedule(room.code, 'phase', deadline - Date.now(), () => {
+      room.phaseTimer = null;
+      dispatchGameAction(room, pending.action);
+    });
+  }
+
+  // Players who keep letting their turn clock run out get a bot standing in for them,
+  // until they make a move again
+  function standInForIdlePlayers(room, events) {
+    events.forEach(event => {
+      const seat = room.players[event.playerIndex];
+      if (event.type === 'turnTimeout' && event.missedTurns >= MISSED_TURNS_BEFORE_BOT && !seat.isBot) {
+        setBotStandIn(room, event.playerIndex, true);
+      }
+    });
+  }
+
+  // Start or end a bot standing in for a seat, and tell the table (the game state goes
+  // out as a versioned update like any other move)
+  function setBotStandIn(room, playerIndex, active) {
+    const seat = room.players[playerIndex];
+    if (active) {
+      startBotStandIn(seat);
+    } else {
+      endBotStandIn(seat);
+    }
+    dispatchGameAction(room, { type: 'setBotStandIn', playerIndex: playerIndex, active: active });
+    
+    io.to(room.code).emit('botStandIn', {
+      players: getPublicPlayers(room),
+      playerIndex: playerIndex,
+      playerName: seat.name,
+      active: active
+    });
+    console.log(`${seat.name} in room ${room.code} ${active ? 'is played by a bot after missing their turns' : 'took their seat back'}`);
+  }
+
+  // Rules the bots check their own hands against
+  const botRules = { getLaundryType };
+
+  // Give bots a chance to act once the table has settled after a state change
+  // (room.botTurnAt is saved with the room, so a resumed room keeps the bots' timing)
+  function scheduleBotTurns(room, botTurnAt = Date.now() + BOT_DECISION_DELAY_MS) {
+    if (!room.gameState || !room.players.some(p => p.isBot)) return;
+    
+    room.botTurnAt = botTurnAt;
+    scheduler.schedule(room.code, 'botTurn', botTurnAt - Date.now(), () => runBotTurn(room));
+  }
+
+  // Let the first bot that has something to do make its move (one bot per tick)
+  function runBotTurn(room) {
+    room.botTurnAt = null;
+    if (!room.gameState) return;
+    
+    for (let playerIndex = 0; playerIndex < room.players.length; playerIndex++) {
+      const seat = room.players[playerIndex];
+      if (!seat.isBot) continue;
+      
+      const action = decideBotAction(room.gameState, playerIndex, seat, botRules);
+      // A refused move (e.g. while a finished trick is still on the table) lets the next bot try
+      if (action && !applyPlayerAction(room, playerIndex, action).error) {
+        return;
+      }
+    }
+  }
+
+  return {
+    gameRooms,
+    handleConnection,
+    restoreRooms,
+    resumeRoom
+  };
+}
+
+module.exports = {
+  PHASE_TIMEOUT_MS,
+  createGameServer
+};
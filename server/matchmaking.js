@@ -0,0 +1,77 @@
+// Finding a game without being handed a room code: public rooms anyone can pick from a
+// live list, and a quick-match queue that seats waiting players together.
+//
+// A host can list their room publicly with a title. It shows in the list while someone
+// could join it: not started, not locked and with a seat open.
+//
+// Quick match seats players in the order they asked, QUICK_MATCH_MIN_PLAYERS to
+// QUICK_MATCH_MAX_PLAYERS to a table. Once enough are waiting a countdown starts, so
+// more can come along; a full table starts right away. With bots switched on, a table
+// is filled up with bots, so even one waiting player gets a game.
+
+const QUICK_MATCH_MIN_PLAYERS = 2;
+const QUICK_MATCH_MAX_PLAYERS = 4;
+
+// How long a quick match waits for more players once it could start
+const QUICK_MATCH_COUNTDOWN_MS = parseInt(process.env.QUICK_MATCH_COUNTDOWN_MS, 10) || 15000;
+
+// QUICK_MATCH_BOTS=true fills quick-match tables up with bots
+const QUICK_MATCH_BOTS = process.env.QUICK_MATCH_BOTS === 'true';
+
+const ROOM_TITLE_MAX_LENGTH = 30;
+const ROOM_TITLE_PATTERN = /^[\p{L}\p{N} '!?.,&-]+$/u;
+
+// A room title trimmed and checked, or null if it isn't allowed
+function normalizeRoomTitle(title) {
+  if (typeof title !== 'string') return null;
+  const trimmed = title.trim().replace(/\s+/g, ' ');
+  if (trimmed.length === 0 || trimmed.length > ROOM_TITLE_MAX_LENGTH) return null;
+  return ROOM_TITLE_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+// Whether a room belongs in the public list right now
+function isListedRoom(room) {
+  return Boolean(room.isPublic) && !room.isGameStarted && !room.locked &&
+    room.players.length < room.maxPlayers;
+}
+
+// The public list as everyone browsing it is sent it
+function getPublicRoomList(rooms) {
+  return Array.from(rooms).filter(isListedRoom).map(room => {
+    const host = room.players.find(p => p.id === room.host);
+    return {
+      roomCode: room.code,
+      title: room.title,
+      hostName: host ? host.name : null,
+      players: room.players.length,
+      bots: room.players.filter(p => p.isBot).length,
+      maxPlayers: room.maxPlayers,
+      houseRules: room.houseRules
+    };
+  });
+}
+
+// The fewest waiting players a quick-match table starts with
+function getQuickMatchMinimum(bots) {
+  return bots ? 1 : QUICK_MATCH_MIN_PLAYERS;
+}
+
+// Take the players for the next table off the front of the queue: as many as fit, or
+// none if too few are waiting
+function takeQuickMatchTable(queue, bots) {
+  if (queue.length < getQuickMatchMinimum(bots)) return [];
+  return queue.splice(0, QUICK_MATCH_MAX_PLAYERS);
+}
+
+module.exports = {
+  QUICK_MATCH_MIN_PLAYERS,
+  QUICK_MATCH_MAX_PLAYERS,
+  QUICK_MATCH_COUNTDOWN_MS,
+  QUICK_MATCH_BOTS,
+  ROOM_TITLE_MAX_LENGTH,
+  normalizeRoomTitle,
+  isListedRoom,
+  getPublicRoomList,
+  getQuickMatchMinimum,
+  takeQuickMatchTable
+};
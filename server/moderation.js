@@ -0,0 +1,45 @@
+const { isSameName } = require('./accounts');
+
+// What the host of a room may do about the people in it: remove them (optionally for
+// good), hand the host role on, lock the room, and put the seats in another order
+// before the game starts. Bans and the lock live on the room, so they last as long as
+// the room does and are saved with it.
+//
+// A ban remembers whatever could bring the person back: their seat's session token,
+// their account and their name. Any of those matching keeps them out. A guest has
+// nothing but the name to be known by on the next visit (every join gets a new session
+// token), so a banned guest can come back under another name; only a ban on a signed-in
+// player holds. Addresses aren't matched: people at one table often share one.
+
+// Remember someone the host banned: { name, sessionToken, accountId }
+function banFromRoom(room, { name, sessionToken, accountId }) {
+  room.banned = [...(room.banned || []), {
+    name: name,
+    sessionToken: sessionToken || null,
+    accountId: accountId || null
+  }];
+}
+
+// Whether someone coming in with this name, session token and/or account was banned
+function isBannedFromRoom(room, { name, sessionToken, accountId }) {
+  return (room.banned || []).some(ban =>
+    (ban.sessionToken && ban.sessionToken === sessionToken) ||
+    (ban.accountId && ban.accountId === accountId) ||
+    isSameName(ban.name, name));
+}
+
+// Check a new seat order from the host: every current seat index exactly once.
+// Returns the order, or null if it isn't one.
+function readSeatOrder(room, order) {
+  if (!Array.isArray(order) || order.length !== room.players.length) return null;
+  const seen = new Set(order);
+  const isPermutation = seen.size === order.length &&
+    order.every(index => Number.isInteger(index) && index >= 0 && index < room.players.length);
+  return isPermutation ? order : null;
+}
+
+module.exports = {
+  banFromRoom,
+  isBannedFromRoom,
+  readSeatOrder
+};
@@ -0,0 +1,177 @@
+// What each client may see of a game. Game states are never sent as they are: every
+// payload is built from the whitelists below, so a field added to the rules stays
+// server-side until it is listed here on purpose.
+//
+// Viewers:
+//   { role: 'seat', playerIndex }  a player: their own hand, plus whatever is public
+//   { role: 'spectator' }          someone watching live: only what is public
+//   { role: 'admin' }              every hand, the laundry cards, the deck and the discard
+//                                  pile (the delayed omniscient spectator feed, server tools)
+// Nobody gets the seed or generator state, since they give away every future deal.
+//
+// Public cards are the ones the rules put on the table: the current trick, played cards,
+// the hands of players caught bluffing laundry (they play open), and during the laundry
+// phase (and its reveal) the hand a claimer was inspected with. Every other hand is sent as placeholder
+// cards, so clients still know how many cards each player holds.
+
+const VIEWER_ROLES = ['seat', 'spectator', 'admin'];
+
+// Game state fields anyone at or around the table may see
+const PUBLIC_STATE_FIELDS = [
+  'houseRules',
+  'currentPlayer',
+  'round',
+  'stakes',
+  'gamePhase',
+  'currentTrick',
+  'playedCards',
+  'tricksPlayed',
+  'playersInRound',
+  'roundTrickWins',
+  'playerStakesOnEntry',
+  'originalEntryStakes',
+  'consecutiveWins',
+  'missedTurns',
+  'missedTurnsThisRound',
+  'lastToeper',
+  'lastToepTrick',
+  'lastToepAccepted',
+  'blindToepCaller',
+  'toepResponses',
+  'blindToepResponses',
+  'armoedeResponses',
+  'armoedePlayers',
+  'armoedePenalty',
+  'awaitingInspection',
+  'laundryReady',
+  'leadSuit',
+  'lastRoundWinner',
+  'lastTrickWinner',
+  'lastTrickWinnerName'
+];
+
+// Seat fields anyone may see; the hand is projected separately
+const PUBLIC_PLAYER_FIELDS = [
+  'id',
+  'name',
+  'points',
+  'index',
+  'cardsVisible',
+  'hasValidLaundry',
+  'connected',
+  'isBot',
+  'forfeited'
+];
+
+const HIDDEN_CARD = { suit: 'hidden', rank: '?', value: 0 };
+
+const SPECTATOR_VIEWER = Object.freeze({ role: 'spectator' });
+const ADMIN_VIEWER = Object.freeze({ role: 'admin' });
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function pick(source, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) {
+      picked[field] = copy(source[field]);
+    }
+  });
+  return picked;
+}
+
+function seatViewer(playerIndex) {
+  return { role: 'seat', playerIndex };
+}
+
+function isValidViewer(viewer) {
+  return Boolean(viewer) && VIEWER_ROLES.includes(viewer.role) &&
+    (viewer.role !== 'seat' || Number.isInteger(viewer.playerIndex));
+}
+
+// Whether the viewer may see the cards in a player's hand
+function canSeeHand(gameState, viewer, playerIndex) {
+  if (viewer.role === 'admin') return true;
+  if (viewer.role === 'seat' && viewer.playerIndex === playerIndex) return true;
+  // A caught laundry bluff plays the rest of the round with open cards
+  return Boolean(gameState.players[playerIndex].cardsVisible);
+}
+
+// A laundry claim waiting for inspection (or queued behind it): who claimed what, never
+// the cards
+function projectLaundryClaim(claim, viewer) {
+  if (!claim) return null;
+
+  const projected = pick(claim, ['playerIndex', 'type']);
+  if (viewer.role === 'admin') {
+    projected.cards = copy(claim.cards);
+  }
+  return projected;
+}
+
+// Whether the hand from the last inspection is still on show: through the laundry phase,
+// and after it while the claimer's swap is being revealed or they play open after a bluff
+function isInspectedHandShown(gameState) {
+  if (gameState.gamePhase === 'laundry') return true;
+  const claimer = gameState.players[gameState.laundryResult.claimer];
+  return Boolean(claimer && (claimer.hasValidLaundry || claimer.cardsVisible));
+}
+
+// The last inspection's outcome; the inspected hand only while it is on show
+function projectLaundryResult(gameState, viewer) {
+  const laundryResult = gameState.laundryResult;
+  if (!laundryResult) return null;
+
+  const projected = pick(laundryResult, ['type', 'inspector', 'claimer', 'claimType']);
+  if (viewer.role === 'admin' || isInspectedHandShown(gameState)) {
+    projected.actualCards = copy(laundryResult.actualCards);
+  }
+  return projected;
+}
+
+// Build the game state a viewer is allowed to see
+function projectGameState(gameState, viewer) {
+  if (!isValidViewer(viewer)) {
+    throw new Error(`Unknown viewer: ${JSON.stringify(viewer)}`);
+  }
+
+  const projected = pick(gameState, PUBLIC_STATE_FIELDS);
+  projected.players = gameState.players.map((player, index) => {
+    const projectedPlayer = pick(player, PUBLIC_PLAYER_FIELDS);
+    projectedPlayer.hand = canSeeHand(gameState, viewer, index) ?
+      copy(player.hand) :
+      player.hand.map(() => ({ ...HIDDEN_CARD }));
+    return projectedPlayer;
+  });
+  projected.pendingLaundry = projectLaundryClaim(gameState.pendingLaundry, viewer);
+  projected.laundryQueue = (gameState.laundryQueue || []).map(claim => projectLaundryClaim(claim, viewer));
+  projected.laundryResult = projectLaundryResult(gameState, viewer);
+  projected.deckSize = gameState.deck ? gameState.deck.length : 0;
+  projected.discardSize = gameState.discardPile ? gameState.discardPile.length : 0;
+  if (viewer.role === 'admin') {
+    projected.deck = copy(gameState.deck);
+    projected.discardPile = copy(gameState.discardPile);
+  }
+  return projected;
+}
+
+// Private events (e.g. a refused toep) only go to the seat they concern
+function canSeeEvent(event, viewer) {
+  if (!event || !event.private) return true;
+  return viewer.role === 'seat' && viewer.playerIndex === event.playerIndex;
+}
+
+module.exports = {
+  VIEWER_ROLES,
+  PUBLIC_STATE_FIELDS,
+  PUBLIC_PLAYER_FIELDS,
+  HIDDEN_CARD,
+  SPECTATOR_VIEWER,
+  ADMIN_VIEWER,
+  seatViewer,
+  canSeeHand,
+  projectGameState,
+  canSeeEvent
+};
@@ -0,0 +1,133 @@
+// Game records: the deck seed plus every action the rules accepted, in order.
+// Replaying a record through the shared rules rebuilds the game exactly.
+// Each record also keeps an append-only event log of what happened at the table,
+// which players can download once the game is over.
+//
+// From the command line: node server/replay.js <record.json> [--events]
+const crypto = require('crypto');
+const fs = require('fs');
+const { DEFAULT_HOUSE_RULES, applyAction, createGameState } = require('../shared/rules');
+
+// Pick the deck seed for a new game
+function createGameSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+// Start recording a game for the given seats and house rules
+function createGameRecord(seats, seed, houseRules) {
+  return {
+    seed: seed,
+    houseRules: houseRules,
+    seats: seats.map(seat => ({ id: seat.id, name: seat.name, isBot: seat.isBot || false })),
+    startedAt: Date.now(),
+    endedAt: null,
+    actions: [],
+    events: []
+  };
+}
+
+// Add an action the rules accepted to the record, and its events to the log.
+// previousState/state are the game before and after the action.
+function recordAction(record, action, events = [], previousState = null, state = null) {
+  const actionIndex = record.actions.length;
+  record.actions.push(JSON.parse(JSON.stringify(action)));
+
+  events.forEach(event => {
+    const entry = { seq: record.events.length, time: Date.now(), actionIndex, ...event };
+    delete entry.private;
+    if (state) {
+      Object.assign(entry, describeEvent(event, previousState, state));
+    }
+    record.events.push(JSON.parse(JSON.stringify(entry)));
+  });
+
+  if (state && state.gamePhase === 'gameEnd' && !record.endedAt) {
+    record.endedAt = Date.now();
+  }
+}
+
+// The details an event leaves out because clients can't see them yet
+// (dealt hands, laundry cards) or have to work out themselves (penalties)
+function describeEvent(event, previousState, state) {
+  switch (event.type) {
+    case 'newRound':
+    case 'armoede': // An Armoede deal starts with its own event instead of newRound
+      return { hands: state.players.map(player => player.hand) };
+    case 'submitLaundry':
+      // The claim may be queued behind another one; the claimer holds the claimed hand either way
+      return { cards: state.players[event.playerIndex].hand };
+    case 'laundryInspected':
+      return {
+        result: state.laundryResult.type,
+        cards: state.laundryResult.actualCards,
+        newHand: state.players[event.claimerIndex].hand,
+        penalties: getPenalties(previousState, state)
+      };
+    case 'laundryTimeout':
+      return { newHand: state.players[event.playerIndex].hand };
+    case 'roundEnded':
+    case 'seatForfeited': {
+      const { targetScore } = state.houseRules || DEFAULT_HOUSE_RULES;
+      return {
+        penalties: getPenalties(previousState, state),
+        points: state.players.map(player => player.points),
+        eliminated: state.players
+          .map((player, index) => index)
+          .filter(index => previousState.players[index].points < targetScore &&
+            state.players[index].points >= targetScore)
+      };
+    }
+    default:
+      return {};
+  }
+}
+
+// Points each seat picked up between two states
+function getPenalties(previousState, state) {
+  return state.players.map((player, index) => player.points - previousState.players[index].points);
+}
+
+// Rebuild a game from its record. Returns the final state and every event on the way;
+// throws if an action is refused, since that means the record doesn't match the rules.
+function replayGame(record) {
+  let state = createGameState(record.seats, record.seed, record.houseRules);
+  const events = [];
+
+  record.actions.forEach((action, index) => {
+    const result = applyAction(state, action);
+    if (result.error) {
+      throw new Error(`Action ${index} (${action.type}) was refused on replay: ${result.error}`);
+    }
+    state = result.state;
+    result.events.forEach(event => events.push({ actionIndex: index, ...event }));
+  });
+
+  return { state, events };
+}
+
+if (require.main === module) {
+  const [file, flag] = process.argv.slice(2);
+  if (!file) {
+    console.log('Usage: node server/replay.js <record.json> [--events]');
+    process.exit(1);
+  }
+
+  const record = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { state, events } = replayGame(record);
+
+  if (flag === '--events') {
+    events.forEach(event => console.log(JSON.stringify(event)));
+  }
+  console.log(`Seed ${record.seed}, ${record.actions.length} actions`);
+  console.log(`Round ${state.round}, phase ${state.gamePhase}`);
+  state.players.forEach(player => {
+    console.log(`  ${player.name}: ${player.points} points`);
+  });
+}
+
+module.exports = {
+  createGameSeed,
+  createGameRecord,
+  recordAction,
+  replayGame
+};
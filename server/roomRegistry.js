@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { ROOM_CODE_LENGTH, ROOM_CODE_ALPHABET } = require('../shared/roomCodes');
+
+// Where rooms come from and when they go: every room gets a code no other room has (see
+// shared/roomCodes.js for what codes look like), and a room nobody has done anything in
+// for ROOM_IDLE_TIMEOUT_MS is closed. Joining, playing, chatting and the host changing
+// the lobby count as doing something; bots and timers playing on don't.
+
+// ROOM_IDLE_TIMEOUT_MS=600000 closes rooms after 10 quiet minutes
+const ROOM_IDLE_TIMEOUT_MS = parseInt(process.env.ROOM_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+
+// With 32^6 codes a free one turns up at the first try; running out of tries means the
+// random source is broken
+const MAX_ROOM_CODE_ATTEMPTS = 100;
+
+// A code isTaken(code) says no room has. randomInt is there for tests.
+function createRoomCode(isTaken, randomInt = crypto.randomInt) {
+  for (let attempt = 0; attempt < MAX_ROOM_CODE_ATTEMPTS; attempt++) {
+    let code = '';
+    for (let position = 0; position < ROOM_CODE_LENGTH; position++) {
+      code += ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)];
+    }
+    if (!isTaken(code)) return code;
+  }
+  throw new Error('Could not find a free room code');
+}
+
+// When a room will be closed if nobody does anything before then
+function getIdleDeadline(room) {
+  return (room.lastActiveAt || Date.now()) + ROOM_IDLE_TIMEOUT_MS;
+}
+
+module.exports = {
+  ROOM_IDLE_TIMEOUT_MS,
+  createRoomCode,
+  getIdleDeadline
+};
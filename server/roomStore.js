@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+// Room stores keep a copy of every room with a game in progress, so a restart or
+// crash doesn't wipe them. Each store has the same three methods:
+//   loadRooms()       -> every saved room
+//   saveRoom(room)    -> store the room as it is now (replaces any older copy)
+//   deleteRoom(code)  -> forget a room
+// Rooms are saved as plain JSON; timers live outside the room and are re-armed on load.
+
+// Keeps rooms in this process only - for tests, or when nothing should survive a restart
+function createMemoryRoomStore() {
+  const rooms = new Map();
+
+  return {
+    loadRooms() {
+      return Array.from(rooms.values(), json => JSON.parse(json));
+    },
+    saveRoom(room) {
+      rooms.set(room.code, JSON.stringify(room));
+    },
+    deleteRoom(code) {
+      rooms.delete(code);
+    }
+  };
+}
+
+// Keeps one JSON file per room in the given directory
+function createFileRoomStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+  const fileFor = code => path.join(directory, `${code}.json`);
+
+  return {
+    loadRooms() {
+      return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          try {
+            return JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+          } catch (error) {
+            console.error(`Skipping unreadable room file ${file}: ${error.message}`);
+            return null;
+          }
+        })
+        .filter(room => room !== null);
+    },
+    saveRoom(room) {
+      // Write to a temporary file first so a crash mid-write never leaves half a room
+      const file = fileFor(room.code);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(room));
+      fs.renameSync(`${file}.tmp`, file);
+    },
+    deleteRoom(code) {
+      fs.rmSync(fileFor(code), { force: true });
+    }
+  };
+}
+
+// Pick the store from the environment: ROOM_STORE=memory, or files in ROOM_STORE_DIR
+function createRoomStore(env = process.env) {
+  if (env.ROOM_STORE === 'memory') {
+    return createMemoryRoomStore();
+  }
+  return createFileRoomStore(env.ROOM_STORE_DIR || path.join(__dirname, '..', 'data', 'rooms'));
+}
+
+module.exports = {
+  createMemoryRoomStore,
+  createFileRoomStore,
+  createRoomStore
+};
@@ -0,0 +1,134 @@
+// Named, cancellable timers grouped by room code. A room has at most one timer per
+// name (e.g. 'phase', 'botTurn', 'forfeit:<token>'); scheduling a name again replaces
+// the old timer, and cancelRoom drops everything when a room goes away, so no callback
+// ever fires against a room or phase that no longer exists.
+function createScheduler() {
+  const rooms = new Map();
+
+  // Run callback after delayMs unless it is cancelled or replaced first
+  function schedule(roomCode, name, delayMs, callback) {
+    cancel(roomCode, name);
+    if (!rooms.has(roomCode)) {
+      rooms.set(roomCode, new Map());
+    }
+
+    const timers = rooms.get(roomCode);
+    const entry = {
+      deadline: Date.now() + delayMs,
+      timer: setTimeout(() => {
+        // Forget the timer before running it, so the callback may schedule the name again
+        if (timers.get(name) === entry) {
+          timers.delete(name);
+          if (timers.size === 0 && rooms.get(roomCode) === timers) {
+            rooms.delete(roomCode);
+          }
+        }
+        callback();
+      }, Math.max(0, delayMs))
+    };
+    timers.set(name, entry);
+  }
+
+  function cancel(roomCode, name) {
+    const timers = rooms.get(roomCode);
+    const entry = timers && timers.get(name);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    timers.delete(name);
+    if (timers.size === 0) {
+      rooms.delete(roomCode);
+    }
+  }
+
+  function cancelRoom(roomCode) {
+    const timers = rooms.get(roomCode);
+    if (!timers) return;
+
+    timers.forEach(entry => clearTimeout(entry.timer));
+    rooms.delete(roomCode);
+  }
+
+  // When a pending timer is due (epoch ms), or null if nothing is scheduled under that name
+  function getDeadline(roomCode, name) {
+    const timers = rooms.get(roomCode);
+    const entry = timers && timers.get(name);
+    return entry ? entry.deadline : null;
+  }
+
+  return {
+    schedule,
+    cancel,
+    cancelRoom,
+    getDeadline
+  };
+}
+
+// The same timers for hosts that keep no process running between requests: nothing
+// fires on its own, and runDue() runs whatever is due when a request comes in. The
+// timers themselves only last for the request; the game server re-arms them from the
+// deadlines saved with each room (see resumeRoom in server/gameServer.js).
+function createDeferredScheduler() {
+  const timers = new Map(); // `${roomCode}/${name}` -> { roomCode, name, deadline, callback }
+
+  function keyFor(roomCode, name) {
+    return `${roomCode}/${name}`;
+  }
+
+  function schedule(roomCode, name, delayMs, callback) {
+    timers.set(keyFor(roomCode, name), {
+      roomCode,
+      name,
+      deadline: Date.now() + Math.max(0, delayMs),
+      callback
+    });
+  }
+
+  function cancel(roomCode, name) {
+    timers.delete(keyFor(roomCode, name));
+  }
+
+  function cancelRoom(roomCode) {
+    timers.forEach((entry, key) => {
+      if (entry.roomCode === roomCode) {
+        timers.delete(key);
+      }
+    });
+  }
+
+  function getDeadline(roomCode, name) {
+    const entry = timers.get(keyFor(roomCode, name));
+    return entry ? entry.deadline : null;
+  }
+
+  // Run every due timer, earliest first, including ones the callbacks make due right
+  // away. maxRuns guards against a callback that keeps rescheduling itself with no delay.
+  function runDue(maxRuns = 1000) {
+    for (let runs = 0; runs < maxRuns; runs++) {
+      let next = null;
+      timers.forEach((entry, key) => {
+        if (entry.deadline <= Date.now() && (!next || entry.deadline < next.entry.deadline)) {
+          next = { key, entry };
+        }
+      });
+      if (!next) return runs;
+
+      timers.delete(next.key);
+      next.entry.callback();
+    }
+    return maxRuns;
+  }
+
+  return {
+    schedule,
+    cancel,
+    cancelRoom,
+    getDeadline,
+    runDue
+  };
+}
+
+module.exports = {
+  createScheduler,
+  createDeferredScheduler
+};
@@ -0,0 +1,108 @@
+// A room can play a series of games at the same table: best of SERIES_LENGTHS games,
+// with standings kept across them (games won, penalty points, Boertoeps and
+// Vijfkruizen wins). Once a game is over everyone at the table votes to play the next
+// one, and bots always vote yes. The lead of the first round moves one seat on with
+// every game.
+//
+// A series is decided once someone has won more than half of its games, or all of them
+// have been played. Voting to play again after that starts a new series at the table.
+
+const SERIES_LENGTHS = [1, 3, 5, 7];
+
+// A series length from the host, or 1 (a single game) if it isn't one of SERIES_LENGTHS
+function normalizeSeriesLength(bestOf) {
+  const length = Number(bestOf);
+  return SERIES_LENGTHS.includes(length) ? length : 1;
+}
+
+// A new series for these seats
+function createSeries(seats, bestOf) {
+  return {
+    bestOf: normalizeSeriesLength(bestOf),
+    games: [],
+    standings: seats.map(seat => ({
+      name: seat.name,
+      gamesWon: 0,
+      penaltyPoints: 0,
+      boertoeps: 0,
+      vijfkruizenWins: 0
+    })),
+    playAgainVotes: []
+  };
+}
+
+// Add a finished game to the standings, from its record's event log and final state
+function recordSeriesGame(series, gameRecord, gameState) {
+  const events = gameRecord.events;
+  const ended = events.find(event => event.type === 'gameEnded' || event.type === 'vijfkruizenVictory');
+  const winners = ended ? ended.winners : [];
+  const isVijfkruizen = Boolean(ended) && ended.type === 'vijfkruizenVictory';
+
+  series.standings.forEach((standing, index) => {
+    const won = winners.includes(index);
+    standing.gamesWon += won ? 1 : 0;
+    standing.penaltyPoints += gameState.players[index].points;
+    standing.boertoeps += events.filter(event => event.type === 'boertoep' && event.playerIndex === index).length;
+    standing.vijfkruizenWins += won && isVijfkruizen ? 1 : 0;
+  });
+  series.games.push({
+    winners: winners,
+    points: gameState.players.map(player => player.points),
+    vijfkruizen: isVijfkruizen
+  });
+  series.playAgainVotes = [];
+}
+
+// Games a player has to win to take the series
+function getWinsNeeded(series) {
+  return Math.floor(series.bestOf / 2) + 1;
+}
+
+function isSeriesDecided(series) {
+  return series.games.length >= series.bestOf ||
+    series.standings.some(standing => standing.gamesWon >= getWinsNeeded(series));
+}
+
+// Who leads the series: the most games won, then the fewest penalty points. Everyone
+// level with the leader shares the lead.
+function getSeriesLeaders(series) {
+  const better = (a, b) => a.gamesWon !== b.gamesWon ? a.gamesWon > b.gamesWon : a.penaltyPoints < b.penaltyPoints;
+  const best = series.standings.reduce((leader, standing) => (better(standing, leader) ? standing : leader));
+  return series.standings
+    .map((standing, index) => index)
+    .filter(index => !better(best, series.standings[index]));
+}
+
+// Count a seat's vote to play again; returns whether it is new
+function votePlayAgain(series, playerIndex) {
+  if (series.playAgainVotes.includes(playerIndex)) return false;
+  series.playAgainVotes = [...series.playAgainVotes, playerIndex].sort((a, b) => a - b);
+  return true;
+}
+
+// The series as everyone at the table is sent it. tableComplete says whether every
+// seat is still taken; without that there is no next game, so the series is over.
+function getPublicSeries(series, tableComplete) {
+  return {
+    bestOf: series.bestOf,
+    winsNeeded: getWinsNeeded(series),
+    gamesPlayed: series.games.length,
+    games: series.games,
+    standings: series.standings,
+    over: isSeriesDecided(series) || !tableComplete,
+    canPlayAgain: tableComplete,
+    leaders: series.games.length > 0 ? getSeriesLeaders(series) : [],
+    playAgainVotes: series.playAgainVotes
+  };
+}
+
+module.exports = {
+  SERIES_LENGTHS,
+  normalizeSeriesLength,
+  createSeries,
+  recordSeriesGame,
+  isSeriesDecided,
+  getSeriesLeaders,
+  votePlayAgain,
+  getPublicSeries
+};
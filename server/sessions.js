@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// How long a disconnected player's seat is held before it is forfeited
+const SEAT_GRACE_PERIOD_MS = parseInt(process.env.SEAT_GRACE_PERIOD_MS, 10) || 60000;
+
+// Generate an unguessable token that lets a returning client reclaim their seat
+function createSessionToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Find the seat index that belongs to a session token (-1 if none)
+function findSeatIndexByToken(room, sessionToken) {
+  if (!room || typeof sessionToken !== 'string' || sessionToken.length === 0) {
+    return -1;
+  }
+  return room.players.findIndex(p => p.sessionToken === sessionToken);
+}
+
+// Strip private seat data (session tokens, accounts, bot memory) before players are sent to clients
+function getPublicPlayers(room) {
+  return room.players.map(({ sessionToken, accountId, botMemory, ...player }) => player);
+}
+
+module.exports = {
+  SEAT_GRACE_PERIOD_MS,
+  createSessionToken,
+  findSeatIndexByToken,
+  getPublicPlayers
+};
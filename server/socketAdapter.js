@@ -0,0 +1,32 @@
+const socketIo = require('socket.io');
+const { createGameServer } = require('./gameServer');
+const { createScheduler } = require('./scheduler');
+
+// The transport for a long-running process: a Socket.IO server on the HTTP server,
+// real timers, and rooms kept in memory (and saved to roomStore, so games survive a
+// restart). Socket.IO servers and sockets already have the shape the core expects.
+// accounts signs players in (server/accounts.js). socketOptions are passed on to the
+// Socket.IO server (tests stretch its heartbeat). quickMatchBots fills quick-match tables
+// up with bots (server/matchmaking.js reads the default from QUICK_MATCH_BOTS).
+function attachSocketServer(httpServer, { roomStore, accounts, scheduler = createScheduler(), socketOptions = {}, quickMatchBots }) {
+  const io = socketIo(httpServer, {
+    cors: {
+      origin: "*",
+      methods: ["GET", "POST"]
+    },
+    ...socketOptions
+  });
+  const gameServer = createGameServer({ io, roomStore, scheduler, accounts, quickMatchBots });
+
+  io.on('connection', (socket) => {
+    console.log('Player connected:', socket.id);
+    gameServer.handleConnection(socket);
+  });
+  gameServer.restoreRooms();
+
+  return { io, gameServer };
+}
+
+module.exports = {
+  attachSocketServer
+};
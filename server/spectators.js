@@ -0,0 +1,44 @@
+// Spectators watch a room without taking a seat. They can join at any time, even once
+// the game has started or every seat is taken, and never send game actions.
+// A live spectator sees the table like a player without a hand: every hand stays hidden
+// unless the rules reveal it. An omniscient spectator sees every hand, but only after a
+// delay the host picks, so the view can be streamed without helping anyone at the table.
+
+const MAX_SPECTATORS = 20;
+
+// Bounds for the omniscient delay; 0 means the room has no omniscient view
+const OMNISCIENT_DELAY_MIN_MS = 15000;
+const OMNISCIENT_DELAY_MAX_MS = 600000;
+
+// Socket.io channels the spectators of a room listen on, one per kind of view
+function getSpectatorChannel(roomCode, omniscient) {
+  return `${roomCode}:${omniscient ? 'omniscient' : 'spectators'}`;
+}
+
+// Clamp the host's omniscient delay into range; anything that isn't a positive number turns it off
+function normalizeOmniscientDelay(delayMs) {
+  const value = Number(delayMs);
+  if (!Number.isFinite(value) || value <= 0) {
+    return 0;
+  }
+  return Math.round(Math.min(OMNISCIENT_DELAY_MAX_MS, Math.max(OMNISCIENT_DELAY_MIN_MS, value)));
+}
+
+function findSpectatorIndex(room, socketId) {
+  return room.spectators.findIndex(s => s.id === socketId);
+}
+
+// The spectator list as shown in the lobby
+function getPublicSpectators(room) {
+  return room.spectators.map(({ id, name, omniscient }) => ({ id, name, omniscient }));
+}
+
+module.exports = {
+  MAX_SPECTATORS,
+  OMNISCIENT_DELAY_MIN_MS,
+  OMNISCIENT_DELAY_MAX_MS,
+  getSpectatorChannel,
+  normalizeOmniscientDelay,
+  findSpectatorIndex,
+  getPublicSpectators
+};
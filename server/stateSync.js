@@ -0,0 +1,91 @@
+const { diffState } = require('../shared/statePatch');
+
+// Every full snapshot is followed by at most this many patches for the same view
+const FULL_SNAPSHOT_INTERVAL = 20;
+
+// What each view of each room was sent last, grouped by room code. A view is a seat
+// ('seat:<index>') or a spectator channel ('spectators', 'omniscient'). The first
+// update for a view is the full game state; after that it gets a patch against its
+// last state (see shared/statePatch.js), with a full snapshot every
+// FULL_SNAPSHOT_INTERVAL updates so a client that drifted catches up by itself.
+//
+// gameStateUpdate payloads:
+//   { gameState, lastAction }                         full state
+//   { patch, baseVersion, version, lastAction }       changes since the state with baseVersion
+function createStateSync() {
+  const rooms = new Map();
+
+  function getViews(roomCode) {
+    if (!rooms.has(roomCode)) {
+      rooms.set(roomCode, new Map());
+    }
+    return rooms.get(roomCode);
+  }
+
+  // The gameStateUpdate payload for a view, remembering the state as its new base
+  function createUpdate(roomCode, view, gameState, lastAction) {
+    const views = getViews(roomCode);
+    const base = views.get(view);
+
+    if (!base || base.updates >= FULL_SNAPSHOT_INTERVAL) {
+      views.set(view, { gameState, updates: 0 });
+      return { gameState, lastAction };
+    }
+
+    const update = {
+      patch: diffState(base.gameState, gameState),
+      baseVersion: base.gameState.version,
+      version: gameState.version,
+      lastAction: lastAction
+    };
+    views.set(view, { gameState, updates: base.updates + 1 });
+    return update;
+  }
+
+  // Record a full state sent outside the update stream (joining, rejoining, a resync)
+  // as the view's base, so the next update patches from there
+  function setBase(roomCode, view, gameState) {
+    getViews(roomCode).set(view, { gameState, updates: 0 });
+  }
+
+  // The state a view's next update patches from, or null before its first one
+  function getBase(roomCode, view) {
+    const base = getViews(roomCode).get(view);
+    return base ? base.gameState : null;
+  }
+
+  function forgetView(roomCode, view) {
+    const views = rooms.get(roomCode);
+    if (views) {
+      views.delete(view);
+    }
+  }
+
+  function forgetRoom(roomCode) {
+    rooms.delete(roomCode);
+  }
+
+  return {
+    createUpdate,
+    setBase,
+    getBase,
+    forgetView,
+    forgetRoom
+  };
+}
+
+// View names for seats and spectator channels
+function getSeatView(playerIndex) {
+  return `seat:${playerIndex}`;
+}
+
+function getSpectatorView(omniscient) {
+  return omniscient ? 'omniscient' : 'spectators';
+}
+
+module.exports = {
+  FULL_SNAPSHOT_INTERVAL,
+  createStateSync,
+  getSeatView,
+  getSpectatorView
+};
@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const { createGameServer } = require('./gameServer');
+const { createMemoryRoomStore } = require('./roomStore');
+const { createDeferredScheduler } = require('./scheduler');
+const { normalizeRoomCode } = require('../shared/roomCodes');
+
+// The transport for hosts that only answer short requests and keep nothing in memory
+// between them (serverless functions, see api/game.js). Clients poll over HTTP
+// (shared/pollingSocket.js): each request loads its room's record from an external
+// store (server/externalRoomStore.js), replays the room into a fresh game server with
+// stand-ins for the Socket.IO server and sockets, runs the timers that have come due,
+// handles the client's event and saves the record again.
+//
+// A record holds the room and everyone connected to it:
+//   { room, clients: { <clientId>: { roomCode, isSpectator, channels, lastSeen } },
+//     mailboxes: { <clientId>: [[event, payload], ...] } }
+// Messages wait in a client's mailbox until its next request picks them up. A room
+// that is gone keeps its record (room: null) until every mailbox is empty.
+//
+// Patch bases don't outlive a request, so each view's first game state update in a
+// request is a full state. The delayed spectator view is off, and so are the public
+// room list and quick match, since a request only ever sees one room.
+
+// A client that hasn't polled for this long counts as disconnected
+const CLIENT_TIMEOUT_MS = 15000;
+
+// Messages kept for a client that isn't picking them up; the oldest go first
+const MAX_MAILBOX_SIZE = 200;
+
+// How often a request starts over after another request saved the same record first
+const MAX_SAVE_ATTEMPTS = 5;
+
+// Events that name the room they are for; every other event goes to the client's room
+const ROOM_ENTRY_EVENTS = ['joinRoom', 'spectateRoom', 'rejoinRoom'];
+
+// Client secrets are random hex strings (see shared/pollingSocket.js)
+const SECRET_PATTERN = /^[0-9a-f]{32,64}$/;
+
+// The id everyone else sees for a client. Only its secret proves who is asking, and
+// only the client itself ever sends that.
+function getClientId(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 20);
+}
+
+// A payload as the client would receive it, detached from the objects it came from
+function toMessage(event, payload) {
+  return payload === undefined ? [event] : [event, JSON.parse(JSON.stringify(payload))];
+}
+
+// Read { secret, roomCode, event, payload } from a request body; event is left out
+// (or null) for a plain poll. Returns the request, or { error } if it is malformed.
+function parseGameRequest(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body must be a JSON object' };
+  }
+  if (typeof body.secret !== 'string' || !SECRET_PATTERN.test(body.secret)) {
+    return { error: 'Invalid client secret' };
+  }
+  if (body.roomCode != null && typeof body.roomCode !== 'string') {
+    return { error: 'Invalid room code' };
+  }
+  if (body.event != null && typeof body.event !== 'string') {
+    return { error: 'Invalid event' };
+  }
+  return {
+    secret: body.secret,
+    roomCode: body.roomCode || null,
+    event: body.event || null,
+    payload: body.payload
+  };
+}
+
+// The room a request is for, or null when it has none yet (creating a room, polling
+// before joining one). A typed code is read the way the game server reads it.
+function getTargetRoomCode(request) {
+  if (request.event === 'createRoom') return null;
+  if (ROOM_ENTRY_EVENTS.includes(request.event)) {
+    const code = request.payload && request.payload.roomCode;
+    return typeof code === 'string' ? normalizeRoomCode(code) || code : null;
+  }
+  return request.roomCode;
+}
+
+// Stand-ins for the Socket.IO server and its sockets, working on one record. A client's
+// channels (room codes, spectator channels) are kept with it in the record; like with
+// Socket.IO, every client is also reachable on a channel named by its id.
+function createRecordTransport(record, now) {
+  const sockets = new Map();
+  let gameServer = null;
+
+  function deliver(clientId, event, payload) {
+    const mailbox = record.mailboxes[clientId] || (record.mailboxes[clientId] = []);
+    mailbox.push(toMessage(event, payload));
+    if (mailbox.length > MAX_MAILBOX_SIZE) {
+      mailbox.shift();
+    }
+  }
+
+  function getMembers(channel) {
+    if (record.clients[channel]) return [channel];
+    return Object.keys(record.clients).filter(clientId => record.clients[clientId].channels.includes(channel));
+  }
+
+  function getSocket(clientId) {
+    if (sockets.has(clientId)) return sockets.get(clientId);
+
+    const client = record.clients[clientId];
+    const handlers = new Map();
+    const socket = {
+      id: clientId,
+      get roomCode() { return client.roomCode; },
+      set roomCode(roomCode) { client.roomCode = roomCode; },
+      get isSpectator() { return client.isSpectator; },
+      set isSpectator(isSpectator) { client.isSpectator = isSpectator; },
+      on(event, handler) {
+        handlers.set(event, handler);
+      },
+      emit(event, payload) {
+        deliver(clientId, event, payload);
+      },
+      join(channel) {
+        if (!client.channels.includes(channel)) {
+          client.channels.push(channel);
+        }
+      },
+      leave(channel) {
+        client.channels = client.channels.filter(c => c !== channel);
+      },
+      to(channel) {
+        return {
+          emit: (event, payload) => getMembers(channel)
+            .filter(memberId => memberId !== clientId)
+            .forEach(memberId => deliver(memberId, event, payload))
+        };
+      },
+      disconnect() {
+        disconnectClient(clientId);
+      },
+      trigger(event, payload) {
+        const handler = handlers.get(event);
+        if (handler) {
+          handler(payload);
+        }
+      }
+    };
+    sockets.set(clientId, socket);
+    gameServer.handleConnection(socket);
+    return socket;
+  }
+
+  // The client's socket, adding the client to the record if it is new here
+  function connectClient(clientId) {
+    if (!record.clients[clientId]) {
+      record.clients[clientId] = { roomCode: null, isSpectator: false, channels: [], lastSeen: now };
+    }
+    record.clients[clientId].lastSeen = now;
+    return getSocket(clientId);
+  }
+
+  // Take a client out of the record the way a dropped connection leaves a room
+  function disconnectClient(clientId) {
+    if (!record.clients[clientId]) return;
+
+    const socket = getSocket(clientId);
+    delete record.clients[clientId];
+    delete record.mailboxes[clientId];
+    socket.trigger('disconnect');
+  }
+
+  function expireIdleClients(exceptId) {
+    Object.keys(record.clients)
+      .filter(clientId => clientId !== exceptId && now - record.clients[clientId].lastSeen > CLIENT_TIMEOUT_MS)
+      .forEach(disconnectClient);
+  }
+
+  function takeMailbox(clientId) {
+    const messages = record.mailboxes[clientId] || [];
+    delete record.mailboxes[clientId];
+    return messages;
+  }
+
+  const io = {
+    to(channel) {
+      return { emit: (event, payload) => getMembers(channel).forEach(clientId => deliver(clientId, event, payload)) };
+    },
+    sockets: {
+      sockets: {
+        get: clientId => (record.clients[clientId] ? getSocket(clientId) : undefined)
+      }
+    }
+  };
+
+  return {
+    io,
+    setGameServer(server) {
+      gameServer = server;
+    },
+    connectClient,
+    disconnectClient,
+    expireIdleClients,
+    takeMailbox
+  };
+}
+
+// One try at a request: load the record, run the event, save. Returns the response,
+// or null if another request saved the record first and this one has to start over.
+async function attemptGameRequest(store, request, clientId) {
+  const now = Date.now();
+  const targetCode = getTargetRoomCode(request);
+  const loaded = targetCode ? await store.load(targetCode) : null;
+  const record = loaded ? loaded.record : { room: null, clients: {}, mailboxes: {} };
+  const revision = loaded ? loaded.revision : 0;
+  const before = JSON.stringify(record);
+
+  const transport = createRecordTransport(record, now);
+  const scheduler = createDeferredScheduler();
+  const gameServer = createGameServer({
+    io: transport.io,
+    roomStore: createMemoryRoomStore(),
+    scheduler,
+    allowDelayedView: false,
+    allowMatchmaking: false
+  });
+  transport.setGameServer(gameServer);
+
+  // Catch up on whatever happened since the room was last touched
+  if (record.room) {
+    gameServer.resumeRoom(record.room);
+  }
+  transport.expireIdleClients(clientId);
+  scheduler.runDue();
+
+  if (request.event === 'disconnect') {
+    transport.disconnectClient(clientId);
+  } else {
+    const socket = transport.connectClient(clientId);
+    if (request.event) {
+      socket.trigger(request.event, request.payload);
+    }
+  }
+  scheduler.runDue();
+
+  // A new room turns up under its own code; an existing one may have been deleted
+  const roomCode = targetCode || (gameServer.gameRooms.size > 0 ? gameServer.gameRooms.keys().next().value : null);
+  record.room = (roomCode && gameServer.gameRooms.get(roomCode)) || null;
+
+  const client = record.clients[clientId];
+  const response = {
+    clientId: clientId,
+    roomCode: client && record.room && client.roomCode === roomCode ? roomCode : null,
+    events: transport.takeMailbox(clientId)
+  };
+  if (client && !response.roomCode) {
+    delete record.clients[clientId];
+  }
+
+  if (!roomCode) return response;
+
+  const hasMessages = Object.values(record.mailboxes).some(messages => messages.length > 0);
+  if (!record.room && !hasMessages) {
+    if (!loaded) return response;
+    return (await store.remove(roomCode, revision)) ? response : null;
+  }
+
+  // Polls only refresh lastSeen; skip the write unless the client is getting close
+  // to timing out
+  const lastSeen = loaded && loaded.record.clients[clientId] ? loaded.record.clients[clientId].lastSeen : 0;
+  if (client && now - lastSeen < CLIENT_TIMEOUT_MS / 3) {
+    record.clients[clientId].lastSeen = lastSeen;
+    if (JSON.stringify(record) === before) return response;
+    record.clients[clientId].lastSeen = now;
+  }
+
+  return (await store.save(roomCode, record, revision)) ? response : null;
+}
+
+// Handle one request from a polling client: { clientId, roomCode, events }, where
+// roomCode is the room the client is in now and events is everything sent to it since
+// its last request
+async function handleGameRequest(store, request) {
+  const clientId = getClientId(request.secret);
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+    const response = await attemptGameRequest(store, request, clientId);
+    if (response) return response;
+  }
+  throw new Error('The room is too busy, try again');
+}
+
+// Request bodies arrive parsed on most hosts; read them ourselves otherwise
+async function readJsonBody(req) {
+  if (req.body && typeof req.body === 'object') return req.body;
+  if (typeof req.body === 'string') return JSON.parse(req.body);
+
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+    if (text.length > 64 * 1024) {
+      throw new Error('Request body too large');
+    }
+  }
+  return JSON.parse(text);
+}
+
+// The HTTP endpoint for polling clients: POST a JSON body { secret, roomCode, event,
+// payload } and get back the handleGameRequest response
+function createStatelessHandler({ store }) {
+  function send(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(body));
+  }
+
+  return async function handleHttpRequest(req, res) {
+    if (req.method !== 'POST') {
+      send(res, 405, { error: 'Use POST' });
+      return;
+    }
+
+    let request;
+    try {
+      request = parseGameRequest(await readJsonBody(req));
+    } catch (error) {
+      request = { error: 'Request body must be valid JSON' };
+    }
+    if (request.error) {
+      send(res, 400, { error: request.error });
+      return;
+    }
+
+    try {
+      send(res, 200, await handleGameRequest(store, request));
+    } catch (error) {
+      console.error(`Game request ${request.event || 'poll'} failed:`, error.message);
+      send(res, 500, { error: 'The server could not handle that request' });
+    }
+  };
+}
+
+module.exports = {
+  CLIENT_TIMEOUT_MS,
+  getClientId,
+  parseGameRequest,
+  handleGameRequest,
+  createStatelessHandler
+};
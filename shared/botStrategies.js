@@ -0,0 +1,596 @@
+// Bot strategies shared by the offline game and server-side bot seats.
+//
+// A strategy gets a player-visible view of the game (see createPlayerView) and
+// returns the action that seat wants to take, in the same shape the server's
+// `gameAction` handler accepts, or null when it has nothing to do.
+//
+// Works as a CommonJS module (server) and as a browser global (ToepenBotStrategies).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ToepenBotStrategies = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const SUITS = ['♠', '♥', '♦', '♣'];
+  const CARD_VALUES = [1, 2, 3, 4, 5, 6, 7, 8]; // J, Q, K, A, 7, 8, 9, 10
+  const ELIMINATION_POINTS = 10; // Target score when the game has no house rules
+  const FACE_CARD_MAX_VALUE = 3; // J, Q and K count as face cards under every laundry rule
+
+  // Fixed odds used by the random level (the original offline AI's numbers)
+  const RANDOM_CONFIG = {
+    TOEP_PROBABILITY: 0.12,
+    FOLD_PROBABILITY_BASE: 0.25,
+    FOLD_PROBABILITY_HIGH_STAKES: 0.4,
+    HIGH_STAKES_THRESHOLD: 4,
+    BLIND_TOEP_FOLD_PROBABILITY: 0.3,
+    BLIND_TOEP_PROBABILITY: 0.1,
+    ARMOEDE_FOLD_PROBABILITY: 0.3,
+    LAUNDRY_BLUFF_PROBABILITY: 0.05,
+    INSPECT_PROBABILITY: 0.1
+  };
+
+  const HEURISTIC_CONFIG = {
+    TOEP_WIN_CHANCE: 0.7,
+    WEAK_HAND_MAX_VALUE: 4, // Nothing above an ace
+    LAUNDRY_BLUFF_PROBABILITY: 0.25,
+    INSPECT_BASE_PROBABILITY: 0.05,
+    INSPECT_PER_SEEN_FACE_CARD: 0.05,
+    INSPECT_MAX_PROBABILITY: 0.5,
+    BLIND_TOEP_PRESSURE_MARGIN: 3, // Opponents this close to the target score are under pressure
+    BLIND_TOEP_OWN_MARGIN: 5,      // ...as long as we are at least this far from it ourselves
+    BLIND_TOEP_PRESSURE_PROBABILITY: 0.5,
+    BLIND_TOEP_PROBABILITY: 0.05
+  };
+
+  const MONTE_CARLO_CONFIG = {
+    SAMPLES: 80,
+    TOEP_WIN_CHANCE: 0.65
+  };
+
+  // Build the view one seat is allowed to see from a full game state.
+  // Works on the server's gameState and on the offline engines, which share field names.
+  // options.gamePhase overrides the phase (the offline game asks for decisions between phases),
+  // options.getLaundryType lets the host apply its own laundry rules to the bot's hand,
+  // options.maxStakes caps toeping where the host has a limit.
+  // House rules come from state.houseRules (see ToepenRules); without them the defaults apply.
+  function createPlayerView(state, playerIndex, options = {}) {
+    const copyCard = card => ({ suit: card.suit, rank: card.rank, value: card.value });
+    const copyList = list => (Array.isArray(list) ? [...list] : null);
+    const hand = state.players[playerIndex].hand || [];
+    const houseRules = state.houseRules || {};
+
+    return {
+      playerIndex,
+      gamePhase: options.gamePhase || state.gamePhase,
+      targetScore: houseRules.targetScore || ELIMINATION_POINTS,
+      laundryVariant: houseRules.laundry || 'both',
+      blindToepAllowed: houseRules.blindToep !== false,
+      foldCostsEntryStakes: houseRules.foldCostsEntryStakes !== false,
+      round: state.round,
+      stakes: state.stakes,
+      maxStakes: options.maxStakes || Infinity,
+      hand: hand.map(copyCard),
+      laundryType: options.getLaundryType ? options.getLaundryType(hand) : null,
+      players: state.players.map((player, index) => ({
+        name: player.name,
+        points: player.points,
+        handSize: (player.hand || []).length,
+        visibleHand: index !== playerIndex && player.cardsVisible ? player.hand.map(copyCard) : null,
+        forfeited: !!player.forfeited
+      })),
+      currentPlayer: state.currentPlayer,
+      currentTrick: (state.currentTrick || []).map(play => ({ card: copyCard(play.card), player: play.player })),
+      leadSuit: state.leadSuit || null,
+      tricksPlayed: state.tricksPlayed || 0,
+      playersInRound: [...state.playersInRound],
+      playerStakesOnEntry: copyList(state.playerStakesOnEntry) || state.players.map(() => 1),
+      lastToeper: state.lastToeper === undefined ? -1 : state.lastToeper,
+      blindToepCaller: state.blindToepCaller === undefined ? -1 : state.blindToepCaller,
+      toepResponses: copyList(state.toepResponses),
+      blindToepResponses: copyList(state.blindToepResponses),
+      armoedeResponses: copyList(state.armoedeResponses),
+      armoedePenalty: state.armoedePenalty || 2,
+      pendingLaundry: state.pendingLaundry ?
+        { playerIndex: state.pendingLaundry.playerIndex, type: state.pendingLaundry.type } : null,
+      awaitingInspection: !!state.awaitingInspection,
+      laundryReady: copyList(state.laundryReady),
+      deckSize: state.deck ? state.deck.length : 0,
+      playedCards: (state.playedCards || []).map(copyCard)
+    };
+  }
+
+  // --- Rule helpers (pure, view based) ---
+
+  function isPlayingForDeath(view, playerIndex) {
+    const entryStakes = view.playerStakesOnEntry[playerIndex] || 1;
+    return view.players[playerIndex].points + entryStakes >= view.targetScore;
+  }
+
+  function canFollowSuit(hand, leadSuit) {
+    return hand.some(card => card.suit === leadSuit);
+  }
+
+  function isValidCard(hand, card, leadSuit, trickStarted) {
+    if (!trickStarted || !leadSuit) return true;
+    return !canFollowSuit(hand, leadSuit) || card.suit === leadSuit;
+  }
+
+  // Indexes into view.hand that may legally be played right now
+  function getValidCardIndices(view) {
+    const trickStarted = view.currentTrick.length > 0;
+    return view.hand
+      .map((card, index) => (isValidCard(view.hand, card, view.leadSuit, trickStarted) ? index : -1))
+      .filter(index => index !== -1);
+  }
+
+  function canToep(view) {
+    const me = view.playerIndex;
+    return view.lastToeper !== me && view.stakes < view.maxStakes && !isPlayingForDeath(view, me);
+  }
+
+  function isLaundryClaimAllowed(view, laundryType) {
+    return view.laundryVariant === 'both' || view.laundryVariant === laundryType;
+  }
+
+  // Cards this seat has not seen this round: still in the deck, in other hands or discarded
+  function getUnseenCards(view) {
+    const seen = new Set();
+    const mark = card => seen.add(`${card.suit}${card.value}`);
+    view.hand.forEach(mark);
+    view.playedCards.forEach(mark);
+    view.currentTrick.forEach(play => mark(play.card));
+    view.players.forEach(player => (player.visibleHand || []).forEach(mark));
+
+    const unseen = [];
+    SUITS.forEach(suit => {
+      CARD_VALUES.forEach(value => {
+        if (!seen.has(`${suit}${value}`)) unseen.push({ suit, value });
+      });
+    });
+    return unseen;
+  }
+
+  // Nobody can hold a higher card of the same suit
+  function isTopCard(card, unseen) {
+    return !unseen.some(other => other.suit === card.suit && other.value > card.value);
+  }
+
+  // Plays by players still in the round; a folded player's card can't win the trick
+  function getActivePlays(view) {
+    return view.currentTrick.filter(play => view.playersInRound.includes(play.player));
+  }
+
+  function getOpponentsInRound(view) {
+    return view.playersInRound.filter(index => index !== view.playerIndex);
+  }
+
+  function highestCard(cards) {
+    return cards.reduce((best, card) => (card.value > best.value ? card : best));
+  }
+
+  function lowestCard(cards) {
+    return cards.reduce((worst, card) => (card.value < worst.value ? card : worst));
+  }
+
+  // Best card currently on the table
+  function getTrickLeader(trick, leadSuit) {
+    return trick.reduce((best, play) => {
+      if (play.card.suit !== leadSuit) return best;
+      if (!best || play.card.value > best.card.value) return play;
+      return best;
+    }, null);
+  }
+
+  function getNextInRound(playersInRound, playerCount, playerIndex) {
+    let next = playerIndex;
+    do {
+      next = (next + 1) % playerCount;
+    } while (!playersInRound.includes(next));
+    return next;
+  }
+
+  // Is folding cheaper than playing on at these stakes?
+  // Losing a round that knocks us out counts double.
+  function isFoldCheaper(view, winChance, foldPenalty, stakesIfPlaying) {
+    const points = view.players[view.playerIndex].points;
+    const eliminatedIfLost = points + stakesIfPlaying >= view.targetScore;
+    const eliminatedIfFolded = points + foldPenalty >= view.targetScore;
+    if (eliminatedIfFolded) return false;
+    const lossIfPlaying = stakesIfPlaying * (eliminatedIfLost ? 2 : 1);
+    return (1 - winChance) * lossIfPlaying > foldPenalty;
+  }
+
+  // What a fold costs and what we play for if we don't, per kind of decision
+  function getFoldStakes(view, kind) {
+    const me = view.playerIndex;
+    if (kind === 'armoede') return { foldPenalty: 1, stakesIfPlaying: view.armoedePenalty };
+    if (kind === 'blindToep') return { foldPenalty: 1, stakesIfPlaying: view.stakes };
+    const entryStakes = view.playerStakesOnEntry[me] || 1;
+    return { foldPenalty: view.foldCostsEntryStakes ? entryStakes : 1, stakesIfPlaying: view.stakes };
+  }
+
+  function countSeenFaceCards(view) {
+    const unseen = getUnseenCards(view);
+    const unseenFaces = unseen.filter(card => card.value <= FACE_CARD_MAX_VALUE).length;
+    return SUITS.length * FACE_CARD_MAX_VALUE - unseenFaces;
+  }
+
+  // --- Strategy plumbing ---
+
+  // Turn a set of decision hooks into a strategy. The phase handling and the hard
+  // rules (who may respond, playing for death, toep restrictions) live here so
+  // every level only makes choices it is actually allowed to make.
+  function createStrategy(name, label, description, hooks) {
+    function decide(view, random = Math.random) {
+      const me = view.playerIndex;
+      const player = view.players[me];
+      const inRound = view.playersInRound.includes(me);
+      if (!player || player.forfeited) return null;
+
+      switch (view.gamePhase) {
+        case 'armoede': {
+          if (!inRound || !view.armoedeResponses || view.armoedeResponses[me] !== null) return null;
+          // Folding one point short of the target would eliminate us, so the Armoede player always plays
+          if (player.points + 1 >= view.targetScore) return { type: 'acceptArmoede' };
+          return { type: hooks.shouldFold(view, 'armoede', random) ? 'foldToArmoede' : 'acceptArmoede' };
+        }
+
+        case 'blindToepResponse': {
+          if (!view.blindToepResponses || view.blindToepResponses[me] !== null) return null;
+          return { type: hooks.shouldFold(view, 'blindToep', random) ? 'foldToToep' : 'acceptToep' };
+        }
+
+        case 'toepResponse': {
+          if (!inRound || !view.toepResponses || view.toepResponses[me] !== null) return null;
+          if (isPlayingForDeath(view, me)) return { type: 'acceptToep' };
+          return { type: hooks.shouldFold(view, 'toep', random) ? 'foldToToep' : 'acceptToep' };
+        }
+
+        case 'laundry': {
+          if (view.awaitingInspection && view.pendingLaundry) {
+            if (view.pendingLaundry.playerIndex === me || !inRound) return null;
+            return hooks.shouldInspect(view, random) ? { type: 'inspectLaundry' } : null;
+          }
+          if (!inRound || (view.laundryReady && view.laundryReady[me])) return null;
+          const laundryType = view.deckSize >= 4 ? hooks.chooseLaundryClaim(view, random) : null;
+          // Nothing worth claiming: pass, so the round needn't wait out the laundry window
+          return laundryType && isLaundryClaimAllowed(view, laundryType) ?
+            { type: 'submitLaundry', laundryType } : { type: 'passLaundry' };
+        }
+
+        case 'playing': {
+          if (view.currentPlayer !== me || !inRound ||
+              getActivePlays(view).length >= view.playersInRound.length) {
+            return null;
+          }
+          if (canToep(view) && hooks.shouldToep(view, random)) return { type: 'toep' };
+          const validIndices = getValidCardIndices(view);
+          if (validIndices.length === 0) return null;
+          return { type: 'playCard', cardIndex: hooks.chooseCard(view, validIndices, random) };
+        }
+
+        case 'roundEnd': {
+          if (!view.blindToepAllowed || view.blindToepCaller !== -1 || player.points >= view.targetScore) return null;
+          return hooks.shouldBlindToep(view, random) ? { type: 'blindToep' } : null;
+        }
+
+        default:
+          return null;
+      }
+    }
+
+    return { name, label, description, decide };
+  }
+
+  // --- Random: legal moves, fixed odds ---
+
+  const randomStrategy = createStrategy('random', 'Easy', 'Plays a random legal card and toeps, folds and bluffs at fixed odds', {
+    shouldFold(view, kind, random) {
+      if (kind === 'armoede') return random() < RANDOM_CONFIG.ARMOEDE_FOLD_PROBABILITY;
+      if (kind === 'blindToep') return random() < RANDOM_CONFIG.BLIND_TOEP_FOLD_PROBABILITY;
+      return random() < (view.stakes >= RANDOM_CONFIG.HIGH_STAKES_THRESHOLD ?
+        RANDOM_CONFIG.FOLD_PROBABILITY_HIGH_STAKES : RANDOM_CONFIG.FOLD_PROBABILITY_BASE);
+    },
+
+    shouldInspect(view, random) {
+      return random() < RANDOM_CONFIG.INSPECT_PROBABILITY;
+    },
+
+    chooseLaundryClaim(view, random) {
+      if (view.laundryType) return view.laundryType;
+      if (random() < RANDOM_CONFIG.LAUNDRY_BLUFF_PROBABILITY) {
+        return random() < 0.7 ? 'vuile' : 'witte';
+      }
+      return null;
+    },
+
+    shouldToep(view, random) {
+      return random() < RANDOM_CONFIG.TOEP_PROBABILITY;
+    },
+
+    chooseCard(view, validIndices, random) {
+      return validIndices[Math.floor(random() * validIndices.length)];
+    },
+
+    shouldBlindToep(view, random) {
+      return random() < RANDOM_CONFIG.BLIND_TOEP_PROBABILITY;
+    }
+  });
+
+  // --- Heuristic: hand strength and last-trick planning ---
+
+  // Rough chance that our best card takes the last trick: nobody still holding a
+  // higher card of its suit. Treats every unseen card as equally likely to be held.
+  function estimateWinChance(view) {
+    const opponents = getOpponentsInRound(view);
+    if (opponents.length === 0) return 1;
+    if (view.hand.length === 0) return 1 / view.playersInRound.length;
+
+    const unseen = getUnseenCards(view);
+    const best = highestCard(view.hand);
+    const opponentCards = opponents.reduce((total, index) => total + view.players[index].handSize, 0);
+    const higherCards = unseen.filter(card => card.suit === best.suit && card.value > best.value).length;
+    if (higherCards === 0 || unseen.length === 0) return 1;
+
+    return Math.pow(1 - higherCards / unseen.length, Math.min(opponentCards, unseen.length));
+  }
+
+  // Keep the strongest card for the last trick and spend the others as cheaply as possible
+  function chooseHeuristicCard(view, validIndices) {
+    if (validIndices.length === 1) return validIndices[0];
+
+    const unseen = getUnseenCards(view);
+    const hand = view.hand;
+    const reserve = highestCard(hand);
+    const spendable = validIndices.filter(index => hand[index] !== reserve);
+    const candidates = spendable.length > 0 ? spendable : validIndices;
+    const cardsOf = indices => indices.map(index => hand[index]);
+    const indexOf = card => hand.indexOf(card);
+
+    // Leading: keep the lead with a sure winner, otherwise get rid of the weakest card
+    if (view.currentTrick.length === 0) {
+      const sureWinners = cardsOf(candidates).filter(card => isTopCard(card, unseen));
+      if (sureWinners.length > 0 && isTopCard(reserve, unseen)) {
+        return indexOf(lowestCard(sureWinners));
+      }
+      return indexOf(lowestCard(cardsOf(candidates)));
+    }
+
+    const following = cardsOf(candidates).filter(card => card.suit === view.leadSuit);
+    if (following.length === 0) {
+      // Can't follow suit: discard the weakest card
+      return indexOf(lowestCard(cardsOf(candidates)));
+    }
+
+    // Win the second-to-last trick cheaply when our last card is a sure winner, so we lead it
+    const trickLeader = getTrickLeader(getActivePlays(view), view.leadSuit);
+    const beatsTable = following.filter(card => !trickLeader || card.value > trickLeader.card.value);
+    if (hand.length === 2 && beatsTable.length > 0 && isTopCard(reserve, unseen)) {
+      return indexOf(lowestCard(beatsTable));
+    }
+    return indexOf(lowestCard(following));
+  }
+
+  // Last trick: a card that can't be beaten is a free toep
+  function isSureLastTrick(view) {
+    if (view.hand.length !== 1) return false;
+    const card = view.hand[0];
+    const unseen = getUnseenCards(view);
+    if (view.currentTrick.length === 0) return isTopCard(card, unseen);
+
+    const trickLeader = getTrickLeader(getActivePlays(view), view.leadSuit);
+    return card.suit === view.leadSuit &&
+      (!trickLeader || card.value > trickLeader.card.value) &&
+      isTopCard(card, unseen);
+  }
+
+  function shouldHeuristicInspect(view, random) {
+    const me = view.playerIndex;
+    // A wrong inspection costs a point; never risk elimination on it
+    if (view.players[me].points + 1 >= view.targetScore) return false;
+    // The more face cards we've seen, the less likely the claim is real
+    const chance = Math.min(
+      HEURISTIC_CONFIG.INSPECT_MAX_PROBABILITY,
+      HEURISTIC_CONFIG.INSPECT_BASE_PROBABILITY + HEURISTIC_CONFIG.INSPECT_PER_SEEN_FACE_CARD * countSeenFaceCards(view)
+    );
+    return random() < chance;
+  }
+
+  function chooseHeuristicLaundryClaim(view, random) {
+    if (view.laundryType) return view.laundryType;
+    // A hand of low cards is worth swapping even if someone might check
+    const weakHand = view.hand.length > 0 &&
+      highestCard(view.hand).value <= HEURISTIC_CONFIG.WEAK_HAND_MAX_VALUE;
+    const me = view.playerIndex;
+    if (weakHand && view.players[me].points + 1 < view.targetScore &&
+        random() < HEURISTIC_CONFIG.LAUNDRY_BLUFF_PROBABILITY) {
+      return 'witte';
+    }
+    return null;
+  }
+
+  function shouldHeuristicBlindToep(view, random) {
+    const me = view.playerIndex;
+    const ownPoints = view.players[me].points;
+    // Put pressure on opponents that can't afford to play at 3
+    const opponentUnderPressure = view.players.some((player, index) =>
+      index !== me && player.points < view.targetScore &&
+      player.points >= view.targetScore - HEURISTIC_CONFIG.BLIND_TOEP_PRESSURE_MARGIN);
+    if (ownPoints <= view.targetScore - HEURISTIC_CONFIG.BLIND_TOEP_OWN_MARGIN && opponentUnderPressure) {
+      return random() < HEURISTIC_CONFIG.BLIND_TOEP_PRESSURE_PROBABILITY;
+    }
+    return random() < HEURISTIC_CONFIG.BLIND_TOEP_PROBABILITY;
+  }
+
+  const heuristicStrategy = createStrategy('heuristic', 'Normal', 'Toeps on strong hands and saves its best card for the last trick', {
+    shouldFold(view, kind) {
+      const { foldPenalty, stakesIfPlaying } = getFoldStakes(view, kind);
+      return isFoldCheaper(view, estimateWinChance(view), foldPenalty, stakesIfPlaying);
+    },
+
+    shouldInspect: shouldHeuristicInspect,
+    chooseLaundryClaim: chooseHeuristicLaundryClaim,
+
+    shouldToep(view) {
+      return isSureLastTrick(view) || estimateWinChance(view) >= HEURISTIC_CONFIG.TOEP_WIN_CHANCE;
+    },
+
+    chooseCard: chooseHeuristicCard,
+    shouldBlindToep: shouldHeuristicBlindToep
+  });
+
+  // --- Monte Carlo: sample the hidden hands and play the round out ---
+
+  function shuffle(cards, random) {
+    const shuffled = [...cards];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  // Deal the unseen cards to the other seats so every hand has its real size
+  function sampleHands(view, unseen, random) {
+    const pool = shuffle(unseen, random);
+    return view.players.map((player, index) => {
+      if (index === view.playerIndex) return view.hand.map(card => ({ ...card }));
+      if (player.visibleHand) return player.visibleHand.map(card => ({ ...card }));
+      if (!view.playersInRound.includes(index)) return [];
+      return pool.splice(0, player.handSize);
+    });
+  }
+
+  // Cheap playout policy: follow with the lowest card, keep the highest for last
+  function chooseRolloutCard(hand, leadSuit, trickStarted) {
+    const valid = hand.filter(card => isValidCard(hand, card, leadSuit, trickStarted));
+    if (valid.length === 1) return valid[0];
+    const reserve = highestCard(hand);
+    const spendable = valid.filter(card => card !== reserve);
+    return lowestCard(spendable.length > 0 ? spendable : valid);
+  }
+
+  // Play the round out from the view's position; returns the last trick's winner
+  function playOut(view, hands, firstCard) {
+    const playersInRound = view.playersInRound;
+    let trick = view.currentTrick.map(play => ({ ...play }));
+    let leadSuit = view.leadSuit;
+    let current = view.currentPlayer;
+    let lastWinner = current;
+    let nextCard = firstCard;
+
+    // Response phases can start with the trick still open at someone else's turn
+    if (!playersInRound.includes(current)) {
+      current = getNextInRound(playersInRound, hands.length, current);
+    }
+
+    while (playersInRound.some(index => hands[index].length > 0)) {
+      const hand = hands[current];
+      if (hand.length === 0) break;
+
+      const card = nextCard || chooseRolloutCard(hand, leadSuit, trick.length > 0);
+      nextCard = null;
+      hand.splice(hand.indexOf(card), 1);
+      trick.push({ card, player: current });
+      if (trick.length === 1) leadSuit = card.suit;
+
+      const contenders = trick.filter(play => playersInRound.includes(play.player));
+      if (contenders.length >= playersInRound.length) {
+        lastWinner = (getTrickLeader(contenders, leadSuit) || contenders[0]).player;
+        trick = [];
+        leadSuit = null;
+        current = lastWinner;
+      } else {
+        current = getNextInRound(playersInRound, hands.length, current);
+      }
+    }
+    return lastWinner;
+  }
+
+  // Share of sampled deals we win, optionally starting with a given card from our hand
+  function simulateWinChance(view, cardIndex, random) {
+    if (getOpponentsInRound(view).length === 0) return 1;
+    if (view.hand.length === 0) return 1 / view.playersInRound.length;
+
+    const unseen = getUnseenCards(view);
+    let wins = 0;
+    for (let sample = 0; sample < MONTE_CARLO_CONFIG.SAMPLES; sample++) {
+      const hands = sampleHands(view, unseen, random);
+      const firstCard = cardIndex === null ? null : hands[view.playerIndex][cardIndex];
+      if (playOut(view, hands, firstCard) === view.playerIndex) wins++;
+    }
+    return wins / MONTE_CARLO_CONFIG.SAMPLES;
+  }
+
+  // Best card to play now and how often it wins the round
+  function findBestCard(view, validIndices, random) {
+    return validIndices.reduce((best, cardIndex) => {
+      const winChance = simulateWinChance(view, cardIndex, random);
+      return !best || winChance > best.winChance ? { cardIndex, winChance } : best;
+    }, null);
+  }
+
+  const monteCarloStrategy = createStrategy('montecarlo', 'Hard', 'Samples the hidden hands and plays each option out before deciding', {
+    shouldFold(view, kind, random) {
+      const { foldPenalty, stakesIfPlaying } = getFoldStakes(view, kind);
+      return isFoldCheaper(view, simulateWinChance(view, null, random), foldPenalty, stakesIfPlaying);
+    },
+
+    shouldInspect: shouldHeuristicInspect,
+    chooseLaundryClaim: chooseHeuristicLaundryClaim,
+
+    shouldToep(view, random) {
+      if (isSureLastTrick(view)) return true;
+      const best = findBestCard(view, getValidCardIndices(view), random);
+      return !!best && best.winChance >= MONTE_CARLO_CONFIG.TOEP_WIN_CHANCE;
+    },
+
+    chooseCard(view, validIndices, random) {
+      if (validIndices.length === 1) return validIndices[0];
+      return findBestCard(view, validIndices, random).cardIndex;
+    },
+
+    shouldBlindToep: shouldHeuristicBlindToep
+  });
+
+  // --- Registry ---
+
+  const STRATEGIES = {};
+  const DEFAULT_STRATEGY = 'heuristic';
+
+  // Make a strategy loadable by name
+  function registerStrategy(strategy) {
+    STRATEGIES[strategy.name] = strategy;
+  }
+
+  function hasStrategy(name) {
+    return Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+  }
+
+  // Look up a strategy by name, falling back to the default
+  function getStrategy(name) {
+    return hasStrategy(name) ? STRATEGIES[name] : STRATEGIES[DEFAULT_STRATEGY];
+  }
+
+  // Names and labels for difficulty pickers
+  function listStrategies() {
+    return Object.values(STRATEGIES).map(({ name, label, description }) => ({ name, label, description }));
+  }
+
+  [randomStrategy, heuristicStrategy, monteCarloStrategy].forEach(registerStrategy);
+
+  return {
+    DEFAULT_STRATEGY,
+    createPlayerView,
+    createStrategy,
+    registerStrategy,
+    hasStrategy,
+    getStrategy,
+    listStrategies,
+    getValidCardIndices,
+    isPlayingForDeath
+  };
+}));
@@ -0,0 +1,45 @@
+// Room chat rules both sides agree on: how long a message may be, what counts as
+// empty, and the quick reactions. Messages stay plain text all the way; clients escape
+// them when they show them.
+//
+// Works as a CommonJS module (server) and as a browser global (ToepenChat).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ToepenChat = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const CHAT_MAX_LENGTH = 200;
+
+  // Sent with one click; a reaction is sent by id and shown as its text
+  const QUICK_REACTIONS = [
+    { id: 'toep', text: 'Toep!' },
+    { id: 'pass', text: 'Ik pas' },
+    { id: 'bluff', text: 'Bluf!' },
+    { id: 'laugh', text: '😂' },
+    { id: 'thumbsUp', text: '👍' },
+    { id: 'eyes', text: '👀' },
+    { id: 'laundry', text: '🧺' }
+  ];
+
+  // A message as it will be sent and shown: control characters dropped, runs of
+  // whitespace (newlines too) turned into one space, trimmed
+  function cleanChatText(text) {
+    if (typeof text !== 'string') return '';
+    return text.replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  function getQuickReaction(id) {
+    return QUICK_REACTIONS.find(reaction => reaction.id === id) || null;
+  }
+
+  return {
+    CHAT_MAX_LENGTH,
+    QUICK_REACTIONS,
+    cleanChatText,
+    getQuickReaction
+  };
+}));
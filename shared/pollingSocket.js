@@ -0,0 +1,168 @@
+// A Socket.IO look-alike over plain HTTP requests, for game servers on hosts that only
+// answer short requests (server/statelessAdapter.js). It has the part of the socket
+// API the clients use: id, connected, on, once, off, emit, connect and disconnect.
+// Every emit is a POST; the response carries everything the server sent since the
+// last request, and an idle socket polls every POLL_INTERVAL_MS to pick that up.
+// Requests go out one at a time, in the order they were made.
+//
+// Works as a CommonJS module (tests) and as a browser global (ToepenPollingSocket).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ToepenPollingSocket = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const POLL_INTERVAL_MS = 1000;
+
+  // The client's secret for this connection; the server only ever shows a hash of it
+  function createSecret() {
+    const bytes = new Uint8Array(16);
+    globalThis.crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Connect to the endpoint at url right away, like io(url) does.
+  // options.fetch and options.pollIntervalMs are there for tests.
+  function connect(url, options = {}) {
+    const fetchRequest = options.fetch || ((...args) => globalThis.fetch(...args));
+    const pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    const handlers = new Map();
+    // The current connection: { secret, roomCode }, roomCode being the room the server
+    // last put us in. Requests made on a connection keep using it after a disconnect.
+    let connection = null;
+    let pollTimer = null;
+    let queue = Promise.resolve();
+
+    const socket = {
+      id: undefined,
+      connected: false,
+      on,
+      once,
+      off,
+      emit,
+      connect: open,
+      disconnect: close
+    };
+
+    function on(event, handler) {
+      if (!handlers.has(event)) {
+        handlers.set(event, []);
+      }
+      handlers.get(event).push(handler);
+      return socket;
+    }
+
+    function once(event, handler) {
+      function wrapper(payload) {
+        off(event, wrapper);
+        handler(payload);
+      }
+      return on(event, wrapper);
+    }
+
+    function off(event, handler) {
+      if (!handler) {
+        handlers.delete(event);
+      } else if (handlers.has(event)) {
+        handlers.set(event, handlers.get(event).filter(h => h !== handler));
+      }
+      return socket;
+    }
+
+    function dispatch(event, payload) {
+      (handlers.get(event) || []).slice().forEach(handler => handler(payload));
+    }
+
+    function schedulePoll() {
+      clearTimeout(pollTimer);
+      if (connection) {
+        pollTimer = setTimeout(() => send(null), pollIntervalMs);
+      }
+    }
+
+    // Queue a request on the current connection. Events emitted before a disconnect
+    // still go out, but polls don't, and whatever comes back after the disconnect is dropped.
+    function send(event, payload) {
+      const requestConnection = connection;
+      clearTimeout(pollTimer);
+
+      queue = queue.then(async () => {
+        if (connection !== requestConnection && event === null) return;
+
+        const response = await fetchRequest(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            secret: requestConnection.secret,
+            roomCode: requestConnection.roomCode,
+            event,
+            payload
+          })
+        });
+        if (!response.ok) {
+          throw new Error(`Game server answered ${response.status}`);
+        }
+        const data = await response.json();
+        requestConnection.roomCode = data.roomCode;
+        if (connection !== requestConnection) return;
+
+        socket.id = data.clientId;
+        if (!socket.connected) {
+          socket.connected = true;
+          dispatch('connect');
+        }
+        data.events.forEach(([name, body]) => dispatch(name, body));
+      }).catch(error => {
+        if (connection === requestConnection) {
+          dispatch('connect_error', error);
+        }
+      }).then(() => {
+        if (connection === requestConnection) {
+          schedulePoll();
+        }
+      });
+      return queue;
+    }
+
+    function emit(event, payload) {
+      if (connection) {
+        send(event, payload);
+      }
+      return socket;
+    }
+
+    function open() {
+      if (!connection) {
+        connection = { secret: createSecret(), roomCode: null };
+        send(null);
+      }
+      return socket;
+    }
+
+    // Tell the server we're gone, so the seat is released without waiting for a timeout
+    function close() {
+      if (!connection) return socket;
+
+      send('disconnect');
+      connection = null;
+      clearTimeout(pollTimer);
+      const wasConnected = socket.connected;
+      socket.connected = false;
+      socket.id = undefined;
+      if (wasConnected) {
+        dispatch('disconnect', 'io client disconnect');
+      }
+      return socket;
+    }
+
+    return open();
+  }
+
+  return {
+    POLL_INTERVAL_MS,
+    connect
+  };
+}));
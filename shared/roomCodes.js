@@ -0,0 +1,48 @@
+// Room codes as both sides read them: ROOM_CODE_LENGTH characters from Crockford's base
+// 32 alphabet, which leaves out I, L, O and U, so a code read off a screen or over the
+// phone can't be taken for another. Typing them is forgiving: case, spaces and dashes
+// don't matter, and O, I and L are read as 0, 1 and 1.
+//
+// An invite link is the game's address with /join/<code> as its path.
+//
+// Works as a CommonJS module (server) and as a browser global (ToepenRoomCodes).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ToepenRoomCodes = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const ROOM_CODE_LENGTH = 6;
+  const ROOM_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+  const ROOM_CODE_PATTERN = /^[0-9A-HJKMNP-TV-Z]{6}$/;
+
+  // A typed or linked room code the way the server hands them out, or null if it can't
+  // be one
+  function normalizeRoomCode(text) {
+    if (typeof text !== 'string') return null;
+    const code = text.toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+    return ROOM_CODE_PATTERN.test(code) ? code : null;
+  }
+
+  function getInvitePath(code) {
+    return `/join/${code}`;
+  }
+
+  // The room code of an invite link's path, or null if the path isn't one
+  function readInvitePath(pathname) {
+    const match = /^\/join\/([^/]+)\/?$/.exec(pathname || '');
+    return match ? normalizeRoomCode(decodeURIComponent(match[1])) : null;
+  }
+
+  return {
+    ROOM_CODE_LENGTH,
+    ROOM_CODE_ALPHABET,
+    ROOM_CODE_PATTERN,
+    normalizeRoomCode,
+    getInvitePath,
+    readInvitePath
+  };
+}));
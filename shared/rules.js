@@ -0,0 +1,1296 @@
+// Toepen rules engine shared by the server and the offline clients.
+//
+// Pure and headless: applyAction(state, action) returns the next state plus the
+// events that happened, and never touches timers, sockets or the DOM. Anything
+// that used to happen "after a delay" is an explicit action (evaluateTrick,
+// endLaundryPhase, toepTimeout, ...) that the host dispatches when its own timer
+// fires; getPendingTimeout tells the host which one is due next.
+//
+// Works as a CommonJS module (server) and as a browser global (ToepenRules).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ToepenRules = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const SUITS = ['♠', '♥', '♦', '♣'];
+  const RANKS = [
+    { symbol: 'J', value: 1 }, // Jack is lowest
+    { symbol: 'Q', value: 2 },
+    { symbol: 'K', value: 3 },
+    { symbol: 'A', value: 4 },
+    { symbol: '7', value: 5 },
+    { symbol: '8', value: 6 },
+    { symbol: '9', value: 7 },
+    { symbol: '10', value: 8 } // 10 is highest
+  ];
+  const LAUNDRY_FACE_CARDS = ['J', 'Q', 'K', 'A'];
+
+  const CARDS_PER_PLAYER = 4;
+  const TRICKS_PER_ROUND = 4;
+  const ELIMINATION_POINTS = 10;
+  const ARMOEDE_PENALTY = 2;
+  const BLIND_TOEP_STAKES = 3;
+  const VIJFKRUIZEN_WINS = 5;
+  // Letting the turn clock run out this many times in a row in one round folds a player
+  // out of it
+  const MISSED_TURNS_BEFORE_FOLD = 2;
+
+  // House rules a room can pick. Anything missing or invalid falls back to these,
+  // which are the rules the game has always been played with.
+  const DEFAULT_HOUSE_RULES = {
+    targetScore: ELIMINATION_POINTS, // Reaching this many points knocks a player out
+    armoede: true,                   // One point short of the target: everyone decides on double stakes
+    blindToep: true,
+    boertoep: true,                  // Winning the last trick with a toeped jack scores -1
+    vijfkruizen: true,               // Five round wins in a row wins the game
+    laundry: 'both',                 // 'both', 'vuile' or 'witte' (only that claim), or 'off'
+    foldCostsEntryStakes: true,      // Otherwise folding always costs 1 point
+    turnTime: 0                      // Seconds to play a card before one is played for you; 0 is no clock
+  };
+  const LAUNDRY_VARIANTS = ['both', 'vuile', 'witte', 'off'];
+  const TARGET_SCORE_MIN = 5;
+  const TARGET_SCORE_MAX = 30;
+  const TURN_TIME_MIN = 10;
+  const TURN_TIME_MAX = 300;
+
+  // Actions a seat may send; everything else is dispatched by the host itself
+  const PLAYER_ACTIONS = [
+    'playCard',
+    'toep',
+    'acceptToep',
+    'foldToToep',
+    'fold',
+    'acceptArmoede',
+    'foldToArmoede',
+    'submitLaundry',
+    'inspectLaundry',
+    'passLaundry',
+    'blindToep'
+  ];
+
+  // Actions the host dispatches for one seat (with its playerIndex)
+  const SEAT_ACTIONS = ['forfeitSeat', 'setBotStandIn'];
+
+  // Fields a player action carries besides its type (the host adds playerIndex)
+  const PLAYER_ACTION_FIELDS = {
+    playCard: ['cardIndex'],
+    submitLaundry: ['laundryType']
+  };
+  const ACTION_FIELD_CHECKS = {
+    cardIndex: value => Number.isInteger(value) && value >= 0,
+    laundryType: value => value === 'vuile' || value === 'witte'
+  };
+
+  // Why an action was refused. applyAction reports the code as `errorCode` next to the
+  // message in `error`, so clients can word each case themselves.
+  const ACTION_ERRORS = {
+    INVALID_ACTION: 'Malformed action',
+    UNKNOWN_ACTION: 'Unknown action',
+    UNKNOWN_PLAYER: 'Unknown player',
+    WRONG_PHASE: 'Cannot do that right now',
+    NOT_YOUR_TURN: 'Not your turn',
+    NOT_IN_ROUND: 'You are not in this round',
+    INVALID_CARD: 'Invalid card',
+    MUST_FOLLOW_SUIT: 'You must follow suit if possible',
+    TRICK_BEING_EVALUATED: 'The trick is being evaluated',
+    ALREADY_TOEPED: 'You already toeped',
+    ALREADY_RESPONDED: 'You already responded',
+    ALREADY_CALLED: 'Blind toep was already called',
+    RULE_NOT_PLAYED: 'That is not played in this room',
+    NOT_ENOUGH_CARDS: 'Not enough cards left for laundry',
+    OWN_LAUNDRY: 'You cannot inspect your own laundry',
+    ALREADY_CLAIMED: 'Your laundry claim is still waiting',
+    SEAT_FORFEITED: 'Seat was already forfeited'
+  };
+
+  function createDeck() {
+    const deck = [];
+    SUITS.forEach(suit => {
+      RANKS.forEach(rank => {
+        deck.push({
+          suit: suit,
+          rank: rank.symbol,
+          value: rank.value,
+          color: (suit === '♥' || suit === '♦') ? 'red' : 'black'
+        });
+      });
+    });
+    return deck;
+  }
+
+  // --- Seeded randomness ---
+
+  // A random 32-bit seed for a new game
+  function createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  // One mulberry32 step: advances the 32-bit generator state and returns [0, 1)
+  function mulberry32(rngState) {
+    const next = (rngState + 0x6D2B79F5) >>> 0;
+    let t = next;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { next, value: ((t ^ (t >>> 14)) >>> 0) / 4294967296 };
+  }
+
+  // Standalone seeded generator, e.g. for tests and simulations
+  function createRandom(seed) {
+    let rngState = seed >>> 0;
+    return function random() {
+      const step = mulberry32(rngState);
+      rngState = step.next;
+      return step.value;
+    };
+  }
+
+  // Draw from the generator stored in the game state, so every deal follows from the seed
+  function nextRandom(state) {
+    const step = mulberry32(state.rngState);
+    state.rngState = step.next;
+    return step.value;
+  }
+
+  // --- Cards ---
+
+  // Fisher-Yates shuffle in place
+  function shuffleDeck(deck, random = Math.random) {
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    return deck;
+  }
+
+  function drawHand(deck) {
+    const hand = [];
+    for (let i = 0; i < CARDS_PER_PLAYER; i++) {
+      if (deck.length > 0) {
+        hand.push(deck.pop());
+      }
+    }
+    return hand;
+  }
+
+  // --- Laundry ---
+
+  // Vuile was: three face cards and a seven
+  function isVuileWas(hand) {
+    const faceCards = hand.filter(card => LAUNDRY_FACE_CARDS.includes(card.rank));
+    const sevens = hand.filter(card => card.rank === '7');
+    return faceCards.length === 3 && sevens.length === 1;
+  }
+
+  // Witte was: four face cards
+  function isWitteWas(hand) {
+    const faceCards = hand.filter(card => LAUNDRY_FACE_CARDS.includes(card.rank));
+    return faceCards.length === 4;
+  }
+
+  function hasLaundry(hand) {
+    return isVuileWas(hand) || isWitteWas(hand);
+  }
+
+  function getLaundryType(hand) {
+    if (isWitteWas(hand)) return 'witte';
+    if (isVuileWas(hand)) return 'vuile';
+    return null;
+  }
+
+  // --- House rules ---
+
+  // A complete, valid rule set from whatever the host sent
+  function normalizeHouseRules(input) {
+    const rules = { ...DEFAULT_HOUSE_RULES };
+    if (!input || typeof input !== 'object') return rules;
+
+    const targetScore = Number(input.targetScore);
+    if (Number.isInteger(targetScore) && targetScore >= TARGET_SCORE_MIN && targetScore <= TARGET_SCORE_MAX) {
+      rules.targetScore = targetScore;
+    }
+    ['armoede', 'blindToep', 'boertoep', 'vijfkruizen', 'foldCostsEntryStakes'].forEach(key => {
+      if (typeof input[key] === 'boolean') rules[key] = input[key];
+    });
+    if (LAUNDRY_VARIANTS.includes(input.laundry)) {
+      rules.laundry = input.laundry;
+    }
+    const turnTime = Number(input.turnTime);
+    if (turnTime === 0 || (Number.isInteger(turnTime) && turnTime >= TURN_TIME_MIN && turnTime <= TURN_TIME_MAX)) {
+      rules.turnTime = turnTime;
+    }
+    return rules;
+  }
+
+  // States from before house rules existed play by the defaults
+  function getHouseRules(state) {
+    return state.houseRules || DEFAULT_HOUSE_RULES;
+  }
+
+  function isLaundryAllowed(state, laundryType) {
+    const { laundry } = getHouseRules(state);
+    return laundry === 'both' || laundry === laundryType;
+  }
+
+  // What folding costs a player who entered the round at entryStakes
+  function getFoldPenalty(state, entryStakes) {
+    return getHouseRules(state).foldCostsEntryStakes ? entryStakes : 1;
+  }
+
+  // --- State queries ---
+
+  // Must follow the lead suit if possible
+  function isValidPlay(state, playerIndex, card) {
+    if (!state.leadSuit || state.currentTrick.length === 0) {
+      return true;
+    }
+    const hasSuit = state.players[playerIndex].hand.some(c => c.suit === state.leadSuit);
+    return !hasSuit || card.suit === state.leadSuit;
+  }
+
+  // The index of the lowest card a player may play now (the first one of equal value),
+  // or -1 if they have none
+  function getLowestPlayableCardIndex(state, playerIndex) {
+    const hand = state.players[playerIndex].hand;
+    let lowest = -1;
+    hand.forEach((card, index) => {
+      if (isValidPlay(state, playerIndex, card) && (lowest === -1 || card.value < hand[lowest].value)) {
+        lowest = index;
+      }
+    });
+    return lowest;
+  }
+
+  // A player who would be eliminated by losing this round is playing for death
+  function isPlayingForDeath(state, playerIndex) {
+    const player = state.players[playerIndex];
+    return (player.points + state.playerStakesOnEntry[playerIndex]) >= getHouseRules(state).targetScore;
+  }
+
+  // Armoede: one point short of the target (9 of 10 by default)
+  function getArmoedePlayers(state) {
+    const rules = getHouseRules(state);
+    if (!rules.armoede) return [];
+    return state.playersInRound.filter(index => state.players[index].points === rules.targetScore - 1);
+  }
+
+  function getNextPlayer(state) {
+    const currentIndex = state.playersInRound.indexOf(state.currentPlayer);
+    const nextIndex = (currentIndex + 1) % state.playersInRound.length;
+    return state.playersInRound[nextIndex];
+  }
+
+  // Plays in the current trick by players still in the round.
+  // A player who folds mid-trick leaves their card on the table, but it can't complete or win the trick.
+  function getActiveTrickPlays(state) {
+    return state.currentTrick.filter(play => state.playersInRound.includes(play.player));
+  }
+
+  // Everyone still in the round has played; the trick is waiting to be evaluated
+  function isTrickComplete(state) {
+    return state.currentTrick.length > 0 &&
+      getActiveTrickPlays(state).length >= state.playersInRound.length;
+  }
+
+  // Highest card of the lead suit wins
+  function findTrickWinner(state) {
+    const activePlays = getActiveTrickPlays(state);
+    const contenders = activePlays.length > 0 ? activePlays : state.currentTrick;
+    let winner = contenders[0];
+
+    contenders.forEach(play => {
+      if (play.card.suit !== state.leadSuit) return;
+      // The lead may have come from a folded player, so the first contender can be off-suit
+      if (winner.card.suit !== state.leadSuit || play.card.value > winner.card.value) {
+        winner = play;
+      }
+    });
+
+    return winner;
+  }
+
+  // Players who can still take part in a round
+  function getPlayersInGame(state) {
+    return state.players
+      .map((_, index) => index)
+      .filter(index => state.players[index].points < getHouseRules(state).targetScore && !state.players[index].forfeited);
+  }
+
+  function isPlayerAction(type) {
+    return PLAYER_ACTIONS.includes(type);
+  }
+
+  // A refused action: one of ACTION_ERRORS, with a more specific message if there is one
+  function reject(code, message = ACTION_ERRORS[code]) {
+    return { code, message };
+  }
+
+  function refusal(rejection) {
+    return { error: rejection.message, errorCode: rejection.code };
+  }
+
+  function hasValidFields(action) {
+    return (PLAYER_ACTION_FIELDS[action.type] || []).every(field => ACTION_FIELD_CHECKS[field](action[field]));
+  }
+
+  // Check an action as a client sent it: a known player action with well-formed fields.
+  // Returns { action } holding only the fields that action uses, or { error, errorCode }.
+  function parsePlayerAction(payload) {
+    if (!payload || typeof payload !== 'object' || typeof payload.type !== 'string') {
+      return refusal(reject('INVALID_ACTION'));
+    }
+    if (!isPlayerAction(payload.type)) {
+      return refusal(reject('UNKNOWN_ACTION'));
+    }
+
+    const action = { type: payload.type };
+    for (const field of PLAYER_ACTION_FIELDS[payload.type] || []) {
+      if (!ACTION_FIELD_CHECKS[field](payload[field])) {
+        return refusal(reject('INVALID_ACTION', `Missing or invalid ${field}`));
+      }
+      action[field] = payload[field];
+    }
+    return { action };
+  }
+
+  // The timed transition the host should schedule for this state, or null.
+  // `key` changes whenever the deadline should restart, `kind` picks the delay.
+  function getPendingTimeout(state) {
+    switch (state.gamePhase) {
+      case 'laundry':
+        if (state.awaitingInspection && state.pendingLaundry) {
+          return {
+            kind: 'laundryInspection',
+            key: `laundryInspection:${state.round}:${state.deck.length}:${state.pendingLaundry.playerIndex}`,
+            action: { type: 'laundryTimeout' }
+          };
+        }
+        return {
+          kind: 'laundryWindow',
+          key: `laundryWindow:${state.round}:${state.deck.length}`,
+          action: { type: 'endLaundryPhase' }
+        };
+
+      case 'playing':
+        if (isTrickComplete(state)) {
+          return {
+            kind: 'trickComplete',
+            key: `trickComplete:${state.round}:${state.tricksPlayed}`,
+            action: { type: 'evaluateTrick' }
+          };
+        }
+        if (state.players.some(player => player.hasValidLaundry)) {
+          return {
+            kind: 'laundryReveal',
+            key: `laundryReveal:${state.round}`,
+            action: { type: 'clearValidLaundryFlags' }
+          };
+        }
+        // The current player's turn clock; a toep or a fold starts a new turn
+        if (getHouseRules(state).turnTime > 0) {
+          return {
+            kind: 'turn',
+            key: `turn:${state.round}:${state.tricksPlayed}:${state.currentTrick.length}:${state.stakes}:${state.currentPlayer}`,
+            action: { type: 'turnTimeout' }
+          };
+        }
+        return null;
+
+      case 'toepResponse':
+        return {
+          kind: 'toepResponse',
+          key: `toepResponse:${state.round}:${state.tricksPlayed}:${state.stakes}`,
+          action: { type: 'toepTimeout' }
+        };
+
+      // Answered in the same time as a toep, but nobody is held to stakes they never took
+      case 'blindToepResponse':
+        return {
+          kind: 'toepResponse',
+          key: `blindToepResponse:${state.round}`,
+          action: { type: 'blindToepTimeout' }
+        };
+
+      case 'armoede':
+        return {
+          kind: 'armoede',
+          key: `armoede:${state.round}`,
+          action: { type: 'armoedeTimeout' }
+        };
+
+      case 'roundEnd':
+        return {
+          kind: 'nextRound',
+          key: `nextRound:${state.round}`,
+          action: { type: 'startRound' }
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  // --- Game setup ---
+
+  // Fresh game for the given seats ({ id, name, isBot }); dispatch startRound to deal.
+  // The same seed and the same actions always produce the same game.
+  function createGameState(seats, seed = createSeed(), houseRules = DEFAULT_HOUSE_RULES) {
+    const playerCount = seats.length;
+    return {
+      seed: seed >>> 0,
+      rngState: seed >>> 0,
+      houseRules: normalizeHouseRules(houseRules),
+      players: seats.map((seat, index) => ({
+        id: seat.id,
+        name: seat.name,
+        points: 0,
+        hand: [],
+        index: index,
+        cardsVisible: false,
+        connected: true,
+        isBot: seat.isBot || false
+      })),
+      currentPlayer: 0,
+      round: 1,
+      stakes: 1,
+      gamePhase: 'setup',
+      deck: [],
+      currentTrick: [],
+      playedCards: [],
+      tricksPlayed: 0,
+      playersInRound: [...Array(playerCount).keys()],
+      roundTrickWins: new Array(playerCount).fill(0),
+      playerStakesOnEntry: new Array(playerCount).fill(1),
+      consecutiveWins: new Array(playerCount).fill(0),
+      missedTurns: new Array(playerCount).fill(0), // Turn clocks run out in a row, per seat
+      missedTurnsThisRound: new Array(playerCount).fill(0), // The same, counted from this round's deal
+      lastToeper: -1,
+      lastToepTrick: -1, // The trick (0 is the first) the last toep was made in
+      lastToepAccepted: false, // Whether anyone but the toeper played on after it
+      blindToepCaller: -1,
+      awaitingInspection: false,
+      pendingLaundry: null, // The claim being inspected: { playerIndex, type, cards }
+      laundryQueue: [], // Claims made while another was being inspected, in order
+      laundryReady: new Array(playerCount).fill(false), // Who said they have no (more) laundry
+      discardPile: [], // Hands swapped away by laundry
+      leadSuit: null,
+      lastRoundWinner: undefined,
+      lastTrickWinner: undefined
+    };
+  }
+
+  // --- Transitions (mutate the working copy made by applyAction) ---
+
+  // Take players out of the round; if it was one of their turns, it passes on in seat order
+  function removeFromRound(state, leaving) {
+    if (leaving.includes(state.currentPlayer)) {
+      const playerCount = state.players.length;
+      for (let offset = 1; offset < playerCount; offset++) {
+        const candidate = (state.currentPlayer + offset) % playerCount;
+        if (state.playersInRound.includes(candidate) && !leaving.includes(candidate)) {
+          state.currentPlayer = candidate;
+          break;
+        }
+      }
+    }
+    state.playersInRound = state.playersInRound.filter(p => !leaving.includes(p));
+  }
+
+  function startLaundryPhase(state) {
+    const laundryPlayed = getHouseRules(state).laundry !== 'off';
+    state.gamePhase = laundryPlayed && state.deck.length >= CARDS_PER_PLAYER ? 'laundry' : 'playing';
+  }
+
+  function finishLaundryPhase(state, events) {
+    state.gamePhase = 'playing';
+    events.push({ type: 'laundryPhaseEnd' });
+  }
+
+  // Claims waiting for inspection, the one being inspected first
+  function getLaundryClaims(state) {
+    return state.pendingLaundry ? [state.pendingLaundry, ...(state.laundryQueue || [])] : [];
+  }
+
+  // The laundry phase is over early once nothing is left to inspect and everyone still
+  // in the round has passed
+  function checkLaundryReady(state, events) {
+    if (state.gamePhase !== 'laundry' || state.pendingLaundry) return;
+    if (state.playersInRound.every(playerIndex => state.laundryReady[playerIndex])) {
+      finishLaundryPhase(state, events);
+    }
+  }
+
+  function startBlindToepResponse(state, events) {
+    state.stakes = BLIND_TOEP_STAKES;
+    // Folding keeps the stakes the player had before the blind toep
+    state.originalEntryStakes = [...state.playerStakesOnEntry];
+    // Everyone who continues and loses pays the blind toep stakes
+    state.playerStakesOnEntry = new Array(state.players.length).fill(BLIND_TOEP_STAKES);
+    // The blind toeper can't toep again until someone else has
+    state.lastToeper = state.blindToepCaller;
+    state.lastToepTrick = -1; // Made before the first trick
+    state.lastToepAccepted = false;
+    state.blindToepCaller = -1;
+
+    state.gamePhase = 'blindToepResponse';
+    state.blindToepResponses = state.players.map((_, index) => {
+      if (index === state.lastToeper) return 'accept';
+      return state.playersInRound.includes(index) ? null : 'fold';
+    });
+
+    events.push({ type: 'blindToepResponse', blindToeper: state.lastToeper });
+  }
+
+  function checkToepResponses(state, events) {
+    // Players who are playing for death can't fold, so they accept right away
+    state.playersInRound.forEach(playerIndex => {
+      if (state.toepResponses[playerIndex] === null && isPlayingForDeath(state, playerIndex)) {
+        state.toepResponses[playerIndex] = 'accept';
+        state.playerStakesOnEntry[playerIndex] = state.stakes;
+        events.push({
+          type: 'autoAcceptToep',
+          playerIndex: playerIndex,
+          message: `${state.players[playerIndex].name} is playing for death - automatically accepts toep!`
+        });
+      }
+    });
+
+    const allResponded = state.playersInRound.every(playerIndex => state.toepResponses[playerIndex] !== null);
+    if (!allResponded) return;
+
+    const foldedPlayers = state.playersInRound.filter(playerIndex => state.toepResponses[playerIndex] === 'fold');
+    foldedPlayers.forEach(playerIndex => {
+      state.players[playerIndex].points += getFoldPenalty(state, state.playerStakesOnEntry[playerIndex]);
+    });
+    removeFromRound(state, foldedPlayers);
+    state.lastToepAccepted = state.playersInRound.length > 1;
+    state.toepResponses = null;
+    state.gamePhase = 'playing';
+
+    events.push({ type: 'toepResponsesComplete', foldedPlayers });
+
+    if (state.playersInRound.length === 1) {
+      endRound(state, events);
+    }
+  }
+
+  // Folding to a blind toep costs the stakes from before it (1 point, not 3)
+  function foldToBlindToep(state, playerIndex) {
+    state.blindToepResponses[playerIndex] = 'fold';
+    state.players[playerIndex].points += getFoldPenalty(state,
+      state.originalEntryStakes ? state.originalEntryStakes[playerIndex] : 1);
+    removeFromRound(state, [playerIndex]);
+  }
+
+  function checkBlindToepResponses(state, events) {
+    if (!state.blindToepResponses.every(response => response !== null)) return;
+
+    state.blindToepResponses = null;
+    if (state.playersInRound.length === 1) {
+      endRound(state, events);
+    } else {
+      startLaundryPhase(state);
+      events.push({ type: 'blindToepResponsesComplete' });
+    }
+  }
+
+  function checkArmoedeResponses(state, events) {
+    const allResponded = state.playersInRound.every(playerIndex => state.armoedeResponses[playerIndex] !== null);
+    if (!allResponded) return;
+
+    // Folding to Armoede costs 1 point
+    const foldedPlayers = state.playersInRound.filter(playerIndex => state.armoedeResponses[playerIndex] === 'fold');
+    foldedPlayers.forEach(playerIndex => {
+      state.players[playerIndex].points += 1;
+    });
+    removeFromRound(state, foldedPlayers);
+    state.armoedeResponses = null;
+
+    events.push({ type: 'armoedeResponsesComplete', foldedPlayers });
+
+    if (state.playersInRound.length === 1) {
+      endRound(state, events);
+    } else if (state.blindToepCaller >= 0) {
+      startBlindToepResponse(state, events);
+    } else {
+      startLaundryPhase(state);
+    }
+  }
+
+  // Take a player out of the round, charging the stakes they entered at
+  function foldPlayer(state, playerIndex, events) {
+    removeFromRound(state, [playerIndex]);
+    state.players[playerIndex].points += getFoldPenalty(state, state.playerStakesOnEntry[playerIndex]);
+
+    // Close out any decision the player still owed so the phase can finish
+    ['toepResponses', 'blindToepResponses', 'armoedeResponses'].forEach(key => {
+      if (state[key] && state[key][playerIndex] === null) {
+        state[key][playerIndex] = 'fold';
+      }
+    });
+    // A laundry claim of theirs is dropped; they keep the hand they claimed with
+    if (state.laundryQueue) {
+      state.laundryQueue = state.laundryQueue.filter(claim => claim.playerIndex !== playerIndex);
+    }
+    if (state.pendingLaundry && state.pendingLaundry.playerIndex === playerIndex) {
+      nextLaundryClaim(state);
+    }
+
+    events.push({ type: 'fold', playerIndex });
+
+    if (state.playersInRound.length === 1) {
+      endRound(state, events);
+    } else if (state.gamePhase === 'toepResponse' && state.toepResponses) {
+      checkToepResponses(state, events);
+    } else if (state.gamePhase === 'blindToepResponse' && state.blindToepResponses) {
+      checkBlindToepResponses(state, events);
+    } else if (state.gamePhase === 'armoede' && state.armoedeResponses) {
+      checkArmoedeResponses(state, events);
+    } else if (state.gamePhase === 'laundry') {
+      checkLaundryReady(state, events);
+    }
+  }
+
+  // Put the next queued claim up for inspection, if there is one
+  function nextLaundryClaim(state) {
+    const queue = state.laundryQueue || [];
+    state.pendingLaundry = queue.length > 0 ? queue.shift() : null;
+    state.laundryQueue = queue;
+    state.awaitingInspection = Boolean(state.pendingLaundry);
+  }
+
+  // The inspected claim is settled: the claimer's hand goes on the discard pile and they
+  // get four new cards from the deck. Then the next claim is up, or the window reopens.
+  function replaceLaundry(state, events) {
+    const player = state.players[state.pendingLaundry.playerIndex];
+    state.discardPile = [...(state.discardPile || []), ...player.hand];
+    player.hand = drawHand(state.deck);
+    nextLaundryClaim(state);
+    if (state.pendingLaundry) return;
+
+    // More laundry is possible while the deck can deal another hand
+    if (state.deck.length < CARDS_PER_PLAYER) {
+      finishLaundryPhase(state, events);
+    } else {
+      checkLaundryReady(state, events);
+    }
+  }
+
+  function checkBoertoep(state, winnerIndex) {
+    // Boertoep conditions:
+    // 1. Player toeps on 4th/final trick
+    // 2. Player has only Jack left
+    // 3. At least one other player accepts the toep
+    // 4. Player wins that final trick with the Jack
+    const toepedFinalTrick = state.lastToeper === winnerIndex &&
+      state.lastToepTrick === TRICKS_PER_ROUND - 1 && state.lastToepAccepted;
+    if (state.tricksPlayed === TRICKS_PER_ROUND && toepedFinalTrick) {
+      const winnerCard = state.currentTrick.find(c => c.player === winnerIndex);
+      if (winnerCard && winnerCard.card.rank === 'J') {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function endRound(state, events) {
+    // The winner of the LAST trick wins the round, but only if they didn't fold
+    let winners = [];
+    if (state.playersInRound.length === 1) {
+      winners = [state.playersInRound[0]];
+    } else if (state.lastTrickWinner !== undefined && state.playersInRound.includes(state.lastTrickWinner)) {
+      winners = [state.lastTrickWinner];
+    } else {
+      // Fallback: the player still in the round who won the most tricks
+      const maxTricks = Math.max(...state.playersInRound.map(p => state.roundTrickWins[p] || 0));
+      winners = state.playersInRound.filter(p => (state.roundTrickWins[p] || 0) === maxTricks);
+    }
+
+    const rules = getHouseRules(state);
+    const boertoepWinner = rules.boertoep && checkBoertoep(state, winners[0]);
+    state.currentTrick = [];
+    state.leadSuit = null;
+    // Everyone entered at the blind toep stakes, so losers pay the current stakes
+    const isBlindToepRound = state.stakes === BLIND_TOEP_STAKES &&
+      state.playerStakesOnEntry.every(s => s === BLIND_TOEP_STAKES);
+
+    state.playersInRound.forEach(playerIndex => {
+      if (!winners.includes(playerIndex)) {
+        state.players[playerIndex].points += isBlindToepRound ? state.stakes : state.playerStakesOnEntry[playerIndex];
+      } else if (boertoepWinner) {
+        // Boertoep: winner gets -1 point instead of 0
+        state.players[playerIndex].points -= 1;
+        events.push({
+          type: 'boertoep',
+          playerIndex: playerIndex,
+          message: `🃏 BOERTOEP! ${state.players[playerIndex].name} wins with Jack on final trick and gets -1 point! 🃏`
+        });
+      }
+    });
+
+    // Vijfkruizenregel: streaks persist across rounds
+    state.players.forEach((_, index) => {
+      state.consecutiveWins[index] = winners.includes(index) ? state.consecutiveWins[index] + 1 : 0;
+    });
+
+    events.push({ type: 'roundEnded', round: state.round, winners });
+
+    const vijfkruizenWinners = rules.vijfkruizen ?
+      winners.filter(w => state.consecutiveWins[w] >= VIJFKRUIZEN_WINS) : [];
+    if (vijfkruizenWinners.length > 0) {
+      const vijfkruizenNames = vijfkruizenWinners.map(w => state.players[w].name).join(', ');
+      state.gamePhase = 'gameEnd';
+      events.push({
+        type: 'vijfkruizenVictory',
+        winners: vijfkruizenWinners,
+        message: `🏆 VIJFKRUIZENREGEL! ${vijfkruizenNames} wins with 5 consecutive round victories! 🏆`
+      });
+      return;
+    }
+
+    // If tied, the first winner starts the next round
+    state.lastRoundWinner = winners[0];
+
+    state.round++;
+    state.stakes = 1;
+    state.lastToeper = -1;
+    state.lastToepTrick = -1;
+    state.lastToepAccepted = false;
+    state.blindToepCaller = -1;
+    state.roundTrickWins = new Array(state.players.length).fill(0);
+    state.playerStakesOnEntry = new Array(state.players.length).fill(1);
+    state.tricksPlayed = 0;
+    state.lastTrickWinner = undefined;
+    state.gamePhase = 'roundEnd';
+
+    // Eliminated and forfeited players sit out from now on
+    state.playersInRound = getPlayersInGame(state);
+    if (state.playersInRound.length <= 1) {
+      state.gamePhase = 'gameEnd';
+      events.push({ type: 'gameEnded', winners: state.playersInRound });
+    }
+  }
+
+  // Refuse a toep response: already answered, or there is no toep to answer
+  function rejectToepResponse(state, playerIndex) {
+    const responses = state.gamePhase === 'toepResponse' ? state.toepResponses :
+      state.gamePhase === 'blindToepResponse' ? state.blindToepResponses : null;
+    if (responses && responses[playerIndex] !== null) return reject('ALREADY_RESPONDED');
+    return reject('WRONG_PHASE', 'No toep to respond to');
+  }
+
+  function rejectArmoedeResponse(state, playerIndex) {
+    if (state.gamePhase !== 'armoede' || !state.armoedeResponses) return reject('WRONG_PHASE', 'No Armoede to respond to');
+    if (state.armoedeResponses[playerIndex] !== null) return reject('ALREADY_RESPONDED');
+    return null;
+  }
+
+  // --- Action handlers: return reject(code) to refuse the action ---
+
+  const ACTION_HANDLERS = {
+    // Deal a new round (first round from 'setup', later ones after 'roundEnd')
+    startRound(state, action, events) {
+      if (state.gamePhase !== 'setup' && state.gamePhase !== 'roundEnd') {
+        return reject('WRONG_PHASE', 'A round is already in progress');
+      }
+
+      if (state.gamePhase === 'roundEnd') {
+        // The last round's winner starts, if they're still in the game
+        state.currentPlayer = state.playersInRound.includes(state.lastRoundWinner) ?
+          state.lastRoundWinner : state.playersInRound[0];
+      } else if (Number.isInteger(action.firstPlayer) && state.playersInRound.includes(action.firstPlayer)) {
+        // The host may pick who leads the first round (a series passes it on every game)
+        state.currentPlayer = action.firstPlayer;
+      }
+
+      state.players.forEach(player => {
+        player.cardsVisible = false;
+        player.hasValidLaundry = false;
+      });
+      state.laundryResult = null;
+      state.pendingLaundry = null;
+      state.laundryQueue = [];
+      state.awaitingInspection = false;
+      state.laundryReady = new Array(state.players.length).fill(false);
+      state.discardPile = [];
+      state.missedTurnsThisRound = new Array(state.players.length).fill(0);
+
+      // A host may stack the deck (scripted tests): action.deck lists the cards in the
+      // order they are dealt, seat 0's hand first
+      state.deck = Array.isArray(action.deck) ?
+        action.deck.map(card => ({ ...card })).reverse() :
+        shuffleDeck(createDeck(), () => nextRandom(state));
+      state.playedCards = [];
+      state.players.forEach(player => {
+        player.hand = drawHand(state.deck);
+      });
+
+      const armoedePlayers = getArmoedePlayers(state);
+      if (armoedePlayers.length > 0) {
+        // Someone has 9 points - everyone decides on Armoede first
+        state.gamePhase = 'armoede';
+        state.armoedePlayers = armoedePlayers;
+        state.armoedePenalty = ARMOEDE_PENALTY;
+        state.armoedeResponses = new Array(state.players.length).fill(null);
+        events.push({ type: 'armoede', armoedePlayers });
+        return;
+      }
+
+      if (state.blindToepCaller >= 0) {
+        startBlindToepResponse(state, events);
+      } else {
+        startLaundryPhase(state);
+      }
+      events.push({ type: 'newRound', round: state.round });
+    },
+
+    playCard(state, action, events) {
+      const { playerIndex, cardIndex } = action;
+      if (state.gamePhase !== 'playing') return reject('WRONG_PHASE', 'Cannot play a card right now');
+      if (state.currentPlayer !== playerIndex || !state.playersInRound.includes(playerIndex)) return reject('NOT_YOUR_TURN');
+      if (isTrickComplete(state)) return reject('TRICK_BEING_EVALUATED');
+
+      const hand = state.players[playerIndex].hand;
+      if (!Number.isInteger(cardIndex) || cardIndex < 0 || cardIndex >= hand.length) return reject('INVALID_CARD');
+
+      const card = hand[cardIndex];
+      if (!isValidPlay(state, playerIndex, card)) return reject('MUST_FOLLOW_SUIT');
+
+      hand.splice(cardIndex, 1);
+      state.currentTrick.push({ card: card, player: playerIndex });
+      if (state.currentTrick.length === 1) {
+        state.leadSuit = card.suit;
+      }
+
+      // A complete trick stays on the table until the host dispatches evaluateTrick
+      if (!isTrickComplete(state)) {
+        state.currentPlayer = getNextPlayer(state);
+      }
+
+      events.push({ type: 'playCard', playerIndex, cardIndex, card });
+    },
+
+    // The current player's turn clock ran out: their lowest legal card is played for them,
+    // or they are folded out of the round once they've missed MISSED_TURNS_BEFORE_FOLD
+    // turns in a row in it. missedTurns keeps counting across rounds (the server hands
+    // the seat to a bot on that count), so a player who stays away folds at most once.
+    turnTimeout(state, action, events) {
+      if (state.gamePhase !== 'playing' || isTrickComplete(state)) return reject('WRONG_PHASE', 'No turn is running');
+
+      const playerIndex = state.currentPlayer;
+      if (!state.missedTurns) {
+        state.missedTurns = new Array(state.players.length).fill(0); // States from before turn clocks
+      }
+      if (!state.missedTurnsThisRound) {
+        state.missedTurnsThisRound = new Array(state.players.length).fill(0);
+      }
+      state.missedTurns[playerIndex]++;
+      state.missedTurnsThisRound[playerIndex]++;
+      const missedTurns = state.missedTurns[playerIndex];
+      const folded = state.missedTurnsThisRound[playerIndex] >= MISSED_TURNS_BEFORE_FOLD;
+      events.push({ type: 'turnTimeout', playerIndex, missedTurns, folded });
+
+      if (folded) {
+        foldPlayer(state, playerIndex, events);
+        return;
+      }
+      const cardIndex = getLowestPlayableCardIndex(state, playerIndex);
+      return ACTION_HANDLERS.playCard(state, { type: 'playCard', playerIndex, cardIndex }, events);
+    },
+
+    evaluateTrick(state, action, events) {
+      if (state.gamePhase !== 'playing' || !isTrickComplete(state)) return reject('WRONG_PHASE', 'No trick to evaluate');
+
+      const winner = findTrickWinner(state);
+      state.roundTrickWins[winner.player]++;
+      state.tricksPlayed++;
+      state.currentPlayer = winner.player;
+      state.lastTrickWinner = winner.player;
+      state.lastTrickWinnerName = state.players[winner.player].name;
+
+      state.playedCards.push(...state.currentTrick.map(play => play.card));
+
+      events.push({ type: 'trickComplete', winner: winner.player, card: winner.card });
+
+      if (state.tricksPlayed === TRICKS_PER_ROUND) {
+        // Scored with the final trick still on the table (Boertoep looks at it)
+        endRound(state, events);
+      } else {
+        state.currentTrick = [];
+        state.leadSuit = null;
+      }
+    },
+
+    toep(state, action, events) {
+      const { playerIndex } = action;
+      if (state.gamePhase !== 'playing') return reject('WRONG_PHASE', 'Cannot toep right now');
+      if (state.currentPlayer !== playerIndex) return reject('NOT_YOUR_TURN', 'Not your turn to toep');
+      if (state.lastToeper === playerIndex) return reject('ALREADY_TOEPED');
+      if (isTrickComplete(state)) return reject('TRICK_BEING_EVALUATED');
+
+      if (isPlayingForDeath(state, playerIndex)) {
+        events.push({
+          type: 'playingForDeathToepAttempt',
+          playerIndex: playerIndex,
+          private: true,
+          message: "You're already playing for your death, you can't toep"
+        });
+        return;
+      }
+
+      state.stakes += 1;
+      state.lastToeper = playerIndex;
+      state.lastToepTrick = state.tricksPlayed;
+      state.lastToepAccepted = false;
+      state.gamePhase = 'toepResponse';
+      state.playerStakesOnEntry[playerIndex] = state.stakes;
+      state.toepResponses = new Array(state.players.length).fill(null);
+      state.toepResponses[playerIndex] = 'accept'; // Toeper automatically accepts
+
+      events.push({ type: 'toep', playerIndex, stakes: state.stakes });
+      checkToepResponses(state, events);
+    },
+
+    acceptToep(state, action, events) {
+      const { playerIndex } = action;
+      if (state.gamePhase === 'toepResponse' && state.toepResponses && state.toepResponses[playerIndex] === null) {
+        state.toepResponses[playerIndex] = 'accept';
+        state.playerStakesOnEntry[playerIndex] = state.stakes;
+        events.push({ type: 'acceptToep', playerIndex });
+        checkToepResponses(state, events);
+        return;
+      }
+      if (state.gamePhase === 'blindToepResponse' && state.blindToepResponses && state.blindToepResponses[playerIndex] === null) {
+        // Entry stakes were already raised to the blind toep stakes
+        state.blindToepResponses[playerIndex] = 'accept';
+        events.push({ type: 'acceptBlindToep', playerIndex });
+        checkBlindToepResponses(state, events);
+        return;
+      }
+      return rejectToepResponse(state, playerIndex);
+    },
+
+    foldToToep(state, action, events) {
+      const { playerIndex } = action;
+      if (state.gamePhase === 'toepResponse' && state.toepResponses && state.toepResponses[playerIndex] === null) {
+        if (isPlayingForDeath(state, playerIndex)) {
+          // Playing for death - folding isn't allowed, so the toep is accepted
+          state.toepResponses[playerIndex] = 'accept';
+          state.playerStakesOnEntry[playerIndex] = state.stakes;
+          events.push({
+            type: 'forcedAcceptToep',
+            playerIndex: playerIndex,
+            private: true,
+            message: 'You are playing for death - automatically accept toep!'
+          });
+        } else {
+          state.toepResponses[playerIndex] = 'fold';
+          events.push({ type: 'foldToToep', playerIndex });
+        }
+        checkToepResponses(state, events);
+        return;
+      }
+      if (state.gamePhase === 'blindToepResponse' && state.blindToepResponses && state.blindToepResponses[playerIndex] === null) {
+        foldToBlindToep(state, playerIndex);
+        events.push({ type: 'foldToBlindToep', playerIndex });
+        checkBlindToepResponses(state, events);
+        return;
+      }
+      return rejectToepResponse(state, playerIndex);
+    },
+
+    // Responses nobody gave in time count as accepted
+    toepTimeout(state, action, events) {
+      if (state.gamePhase !== 'toepResponse' || !state.toepResponses) return reject('WRONG_PHASE', 'No toep is waiting for responses');
+
+      state.playersInRound.forEach(playerIndex => {
+        if (state.toepResponses[playerIndex] === null) {
+          state.toepResponses[playerIndex] = 'accept';
+          state.playerStakesOnEntry[playerIndex] = state.stakes;
+        }
+      });
+      events.push({ type: 'autoToepResponse' });
+      checkToepResponses(state, events);
+    },
+
+    // Blind toep answers nobody gave in time count as folded
+    blindToepTimeout(state, action, events) {
+      if (state.gamePhase !== 'blindToepResponse' || !state.blindToepResponses) return reject('WRONG_PHASE', 'No blind toep is waiting for responses');
+
+      const foldedPlayers = state.playersInRound.filter(playerIndex => state.blindToepResponses[playerIndex] === null);
+      foldedPlayers.forEach(playerIndex => foldToBlindToep(state, playerIndex));
+      events.push({ type: 'autoBlindToepResponse', foldedPlayers });
+      checkBlindToepResponses(state, events);
+    },
+
+    fold(state, action, events) {
+      const { playerIndex } = action;
+      if (!state.playersInRound.includes(playerIndex)) return reject('NOT_IN_ROUND');
+      if (['setup', 'roundEnd', 'gameEnd'].includes(state.gamePhase)) return reject('WRONG_PHASE', 'Cannot fold right now');
+
+      foldPlayer(state, playerIndex, events);
+    },
+
+    acceptArmoede(state, action, events) {
+      const { playerIndex } = action;
+      const rejection = rejectArmoedeResponse(state, playerIndex);
+      if (rejection) return rejection;
+
+      state.armoedeResponses[playerIndex] = 'accept';
+      state.playerStakesOnEntry[playerIndex] = state.armoedePenalty;
+      events.push({ type: 'acceptArmoede', playerIndex });
+      checkArmoedeResponses(state, events);
+    },
+
+    foldToArmoede(state, action, events) {
+      const { playerIndex } = action;
+      const rejection = rejectArmoedeResponse(state, playerIndex);
+      if (rejection) return rejection;
+
+      state.armoedeResponses[playerIndex] = 'fold';
+      events.push({ type: 'foldToArmoede', playerIndex });
+      checkArmoedeResponses(state, events);
+    },
+
+    // Armoede responses nobody gave in time count as accepted
+    armoedeTimeout(state, action, events) {
+      if (state.gamePhase !== 'armoede' || !state.armoedeResponses) return reject('WRONG_PHASE', 'No Armoede is waiting for responses');
+
+      state.playersInRound.forEach(playerIndex => {
+        if (state.armoedeResponses[playerIndex] === null) {
+          state.armoedeResponses[playerIndex] = 'accept';
+          state.playerStakesOnEntry[playerIndex] = state.armoedePenalty;
+        }
+      });
+      checkArmoedeResponses(state, events);
+    },
+
+    // Claims made while another is being inspected queue up behind it. Each claim holds
+    // back a hand's worth of the deck, so every queued claimer can be dealt new cards.
+    submitLaundry(state, action, events) {
+      const { playerIndex, laundryType } = action;
+      if (state.gamePhase !== 'laundry') return reject('WRONG_PHASE', 'Cannot claim laundry right now');
+      if (!isLaundryAllowed(state, laundryType)) return reject('RULE_NOT_PLAYED', 'That laundry is not played in this room');
+      if (!state.playersInRound.includes(playerIndex)) return reject('NOT_IN_ROUND');
+
+      const claims = getLaundryClaims(state);
+      if (claims.some(claim => claim.playerIndex === playerIndex)) return reject('ALREADY_CLAIMED');
+      if (state.deck.length < CARDS_PER_PLAYER * (claims.length + 1)) return reject('NOT_ENOUGH_CARDS');
+
+      const claim = {
+        playerIndex: playerIndex,
+        type: laundryType,
+        cards: [...state.players[playerIndex].hand]
+      };
+      if (state.pendingLaundry) {
+        state.laundryQueue = [...(state.laundryQueue || []), claim];
+      } else {
+        state.pendingLaundry = claim;
+        state.awaitingInspection = true;
+      }
+      // Claiming takes back an earlier pass
+      state.laundryReady[playerIndex] = false;
+      events.push({ type: 'submitLaundry', playerIndex, laundryType, queued: claims.length > 0 });
+    },
+
+    inspectLaundry(state, action, events) {
+      const { playerIndex } = action;
+      if (state.gamePhase !== 'laundry' || !state.awaitingInspection || !state.pendingLaundry) return reject('WRONG_PHASE', 'No laundry to inspect');
+      if (!state.playersInRound.includes(playerIndex)) return reject('NOT_IN_ROUND');
+      if (state.pendingLaundry.playerIndex === playerIndex) return reject('OWN_LAUNDRY');
+
+      const { playerIndex: claimerIndex, type, cards } = state.pendingLaundry;
+      const claimer = state.players[claimerIndex];
+      const isValidLaundry = type === 'witte' ? isWitteWas(cards) : isVuileWas(cards);
+
+      if (isValidLaundry) {
+        // Valid laundry - inspector gets the penalty, the claimer's old cards are shown
+        state.players[playerIndex].points += 1;
+        claimer.hasValidLaundry = true;
+      } else {
+        // Bluff caught - claimer gets the penalty and plays with open cards
+        claimer.points += 1;
+        claimer.cardsVisible = true;
+      }
+      state.laundryResult = {
+        type: isValidLaundry ? 'validClaim' : 'invalidClaim',
+        inspector: playerIndex,
+        claimer: claimerIndex,
+        claimType: type,
+        actualCards: cards
+      };
+
+      // The claimer gets a new hand either way
+      events.push({ type: 'laundryInspected', playerIndex, claimerIndex });
+      replaceLaundry(state, events);
+    },
+
+    // Nobody inspected the claim in time - the claimer gets new cards regardless
+    laundryTimeout(state, action, events) {
+      if (!state.awaitingInspection || !state.pendingLaundry) return reject('WRONG_PHASE', 'No laundry claim is pending');
+
+      const claimerIndex = state.pendingLaundry.playerIndex;
+      state.players[claimerIndex].hasValidLaundry = true;
+      // Nobody saw this claim's cards; an earlier claim's result doesn't belong to it
+      state.laundryResult = null;
+      events.push({ type: 'laundryTimeout', playerIndex: claimerIndex });
+      replaceLaundry(state, events);
+    },
+
+    // A player has no (more) laundry to claim; when everyone has, play starts right away
+    passLaundry(state, action, events) {
+      const { playerIndex } = action;
+      if (state.gamePhase !== 'laundry') return reject('WRONG_PHASE', 'Cannot pass on laundry right now');
+      if (!state.playersInRound.includes(playerIndex)) return reject('NOT_IN_ROUND');
+      if (state.laundryReady[playerIndex]) return reject('ALREADY_RESPONDED');
+
+      state.laundryReady[playerIndex] = true;
+      events.push({ type: 'passLaundry', playerIndex });
+      checkLaundryReady(state, events);
+    },
+
+    endLaundryPhase(state, action, events) {
+      if (state.gamePhase !== 'laundry' || state.awaitingInspection) return reject('WRONG_PHASE', 'Laundry phase cannot end yet');
+
+      finishLaundryPhase(state, events);
+    },
+
+    // Stop showing the cards that were swapped by laundry
+    clearValidLaundryFlags(state, action, events) {
+      state.players.forEach(player => {
+        player.hasValidLaundry = false;
+      });
+      events.push({ type: 'clearValidLaundryFlags' });
+    },
+
+    // Called between rounds; the next round starts at blind toep stakes
+    blindToep(state, action, events) {
+      const { playerIndex } = action;
+      if (!getHouseRules(state).blindToep) return reject('RULE_NOT_PLAYED', 'Blind toep is not played in this room');
+      if (state.gamePhase !== 'roundEnd') return reject('WRONG_PHASE', 'Blind toep can only be called between rounds');
+      if (state.blindToepCaller >= 0) return reject('ALREADY_CALLED');
+      if (!state.playersInRound.includes(playerIndex)) return reject('NOT_IN_ROUND', 'You are out of the game');
+
+      state.blindToepCaller = playerIndex;
+      events.push({
+        type: 'blindToepCalled',
+        playerIndex: playerIndex,
+        message: `${state.players[playerIndex].name} called Blind Toep! Next round starts at 3 stakes.`
+      });
+    },
+
+    // A seat was given up for good: the player folds out of the round and the game
+    forfeitSeat(state, action, events) {
+      const { playerIndex } = action;
+      const player = state.players[playerIndex];
+      if (player.forfeited) return reject('SEAT_FORFEITED');
+
+      player.connected = false;
+      player.forfeited = true;
+
+      if (state.playersInRound.includes(playerIndex)) {
+        if (state.gamePhase === 'roundEnd') {
+          // Round already scored - just leave the player out of the next deal
+          removeFromRound(state, [playerIndex]);
+        } else if (state.gamePhase !== 'gameEnd' && state.gamePhase !== 'setup') {
+          foldPlayer(state, playerIndex, events);
+        }
+      }
+
+      // Game ends when fewer than two players are left who can still play
+      if (getPlayersInGame(state).length <= 1 && state.gamePhase !== 'gameEnd') {
+        state.gamePhase = 'gameEnd';
+        events.push({ type: 'gameEnded', winners: getPlayersInGame(state) });
+      }
+
+      events.push({ type: 'seatForfeited', playerIndex });
+    },
+
+    // A bot starts or stops playing for a seat that is still the player's (the host
+    // decides when, e.g. after too many missed turns)
+    setBotStandIn(state, action, events) {
+      const { playerIndex } = action;
+      const player = state.players[playerIndex];
+      if (player.forfeited) return reject('SEAT_FORFEITED');
+
+      player.isBot = Boolean(action.active);
+      events.push({ type: 'botStandIn', playerIndex, active: player.isBot });
+    }
+  };
+
+  // Apply an action and return { state, events }, or { state, events: [], error, errorCode }
+  // when the action is not allowed (errorCode is one of ACTION_ERRORS). The given state is
+  // never modified. Player actions carry the acting seat as `playerIndex`.
+  function applyAction(state, action) {
+    const handler = action && Object.prototype.hasOwnProperty.call(ACTION_HANDLERS, action.type) ?
+      ACTION_HANDLERS[action.type] : null;
+    if (!handler) {
+      return { state, events: [], ...refusal(reject('UNKNOWN_ACTION')) };
+    }
+    if (isPlayerAction(action.type) || SEAT_ACTIONS.includes(action.type)) {
+      if (!Number.isInteger(action.playerIndex) || !state.players[action.playerIndex]) {
+        return { state, events: [], ...refusal(reject('UNKNOWN_PLAYER')) };
+      }
+    }
+    if (!hasValidFields(action)) {
+      return { state, events: [], ...refusal(reject('INVALID_ACTION')) };
+    }
+
+    const next = JSON.parse(JSON.stringify(state));
+    const events = [];
+    const rejection = handler(next, action, events);
+    if (rejection) {
+      return { state, events: [], ...refusal(rejection) };
+    }
+    // Any move of their own shows a player is still at the table
+    if (isPlayerAction(action.type) && next.missedTurns) {
+      next.missedTurns[action.playerIndex] = 0;
+      if (next.missedTurnsThisRound) {
+        next.missedTurnsThisRound[action.playerIndex] = 0;
+      }
+    }
+    return { state: next, events };
+  }
+
+  return {
+    SUITS,
+    RANKS,
+    CARDS_PER_PLAYER,
+    TRICKS_PER_ROUND,
+    ELIMINATION_POINTS,
+    DEFAULT_HOUSE_RULES,
+    LAUNDRY_VARIANTS,
+    TARGET_SCORE_MIN,
+    TARGET_SCORE_MAX,
+    TURN_TIME_MIN,
+    TURN_TIME_MAX,
+    MISSED_TURNS_BEFORE_FOLD,
+    PLAYER_ACTIONS,
+    PLAYER_ACTION_FIELDS,
+    ACTION_ERRORS,
+    createSeed,
+    createRandom,
+    createDeck,
+    shuffleDeck,
+    isVuileWas,
+    isWitteWas,
+    hasLaundry,
+    getLaundryType,
+    isValidPlay,
+    getLowestPlayableCardIndex,
+    isPlayingForDeath,
+    getActiveTrickPlays,
+    isTrickComplete,
+    findTrickWinner,
+    isPlayerAction,
+    parsePlayerAction,
+    normalizeHouseRules,
+    isLaundryAllowed,
+    getPendingTimeout,
+    createGameState,
+    applyAction
+  };
+}));
@@ -0,0 +1,89 @@
+// Game state patches, so the server can send each client only what changed since
+// the state it sent them last.
+//
+// A patch is a list of operations on plain JSON values:
+//   { op: 'set', path, value }   put value at path (adding the key if it is new)
+//   { op: 'remove', path }       delete the key at path
+// where path is a list of object keys and array indices from the top of the state.
+// Arrays that grow get their new items set by index; arrays that shrink are set whole.
+// An empty path replaces the whole state.
+//
+// Works as a CommonJS module (server) and as a browser global (ToepenStatePatch).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ToepenStatePatch = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function diffValue(previous, next, path, patch) {
+    if (isPlainObject(previous) && isPlainObject(next)) {
+      Object.keys(previous).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(next, key)) {
+          patch.push({ op: 'remove', path: path.concat(key) });
+        }
+      });
+      Object.keys(next).forEach(key => diffValue(previous[key], next[key], path.concat(key), patch));
+    } else if (Array.isArray(previous) && Array.isArray(next) && previous.length <= next.length) {
+      // Items added at the end (a card played to the trick) are set one by one
+      next.forEach((item, index) => diffValue(previous[index], item, path.concat(index), patch));
+    } else if (previous !== next) {
+      patch.push({ op: 'set', path: path, value: next });
+    }
+  }
+
+  // The operations that turn `previous` into `next` (empty if nothing changed)
+  function diffState(previous, next) {
+    const patch = [];
+    diffValue(previous, next, [], patch);
+    return patch;
+  }
+
+  // Copy the containers along the path and change the value at its end; the rest of
+  // the state is shared with the old one, which is never changed
+  function applyOperation(target, path, operation) {
+    if (path.length === 0) {
+      return operation.value;
+    }
+    if (target === null || typeof target !== 'object') {
+      throw new Error(`Patch path not found: ${operation.path.join('.')}`);
+    }
+
+    const [key, ...rest] = path;
+    const copy = Array.isArray(target) ? target.slice() : { ...target };
+    if (rest.length === 0 && operation.op === 'remove') {
+      delete copy[key];
+    } else {
+      copy[key] = applyOperation(target[key], rest, operation);
+    }
+    return copy;
+  }
+
+  // The state after applying a patch. Throws if the patch doesn't fit the state,
+  // which means the client has fallen out of step and needs a full state again.
+  function applyPatch(state, patch) {
+    if (!Array.isArray(patch)) {
+      throw new Error('Patch must be a list of operations');
+    }
+    return patch.reduce((current, operation) => {
+      if (!operation || !Array.isArray(operation.path) || (operation.op !== 'set' && operation.op !== 'remove')) {
+        throw new Error(`Invalid patch operation: ${JSON.stringify(operation)}`);
+      }
+      if (operation.op === 'remove' && operation.path.length === 0) {
+        throw new Error('Cannot remove the whole state');
+      }
+      return applyOperation(current, operation.path, operation);
+    }, state);
+  }
+
+  return {
+    diffState,
+    applyPatch
+  };
+}));
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  DEVICE_LINK_TTL_MS,
+  SIGN_IN_ATTEMPT_LIMIT,
+  SIGN_IN_ATTEMPT_WINDOW_MS,
+  normalizeDisplayName,
+  createMemoryAccountStore,
+  createFileAccountStore,
+  createAccountService
+} = require('../server/accounts');
+
+test('display names are trimmed and held to the client rule', () => {
+  assert.equal(normalizeDisplayName('  Anna   de Vries '), 'Anna de Vries');
+  assert.equal(normalizeDisplayName(''), null);
+  assert.equal(normalizeDisplayName('   '), null);
+  assert.equal(normalizeDisplayName('<b>Anna</b>'), null);
+  assert.equal(normalizeDisplayName('A'.repeat(21)), null);
+  assert.equal(normalizeDisplayName(42), null);
+});
+
+test('a password account signs in on any device, and only with its password', async () => {
+  const store = createMemoryAccountStore();
+  const accounts = createAccountService(store);
+
+  const registered = await accounts.register({ username: 'Anna_88', password: 'correct horse', displayName: 'Anna' });
+  assert.equal(registered.account.username, 'anna_88');
+  assert.equal(registered.account.displayName, 'Anna');
+
+  assert.match((await accounts.register({ username: 'anna_88', password: 'another one' })).error, /taken/);
+  assert.match((await accounts.register({ username: 'bob', password: 'short' })).error, /at least/);
+  assert.match((await accounts.register({ username: 'no spaces please', password: 'long enough' })).error, /Usernames/);
+  assert.match((await accounts.signIn({ username: 'anna_88', password: 'wrong horse' })).error, /Wrong/);
+  assert.match((await accounts.signIn({ username: 'nobody', password: 'correct horse' })).error, /Wrong/);
+
+  const otherDevice = await accounts.signIn({ username: ' ANNA_88 ', password: 'correct horse' });
+  assert.notEqual(otherDevice.deviceToken, registered.deviceToken);
+  assert.equal(accounts.authenticate(registered.deviceToken).id, registered.account.id);
+  assert.equal(accounts.authenticate(otherDevice.deviceToken).id, registered.account.id);
+
+  // Signing out only ends that device's sign-in
+  accounts.signOut(registered.deviceToken);
+  assert.equal(accounts.authenticate(registered.deviceToken), null);
+  assert.equal(accounts.authenticate(otherDevice.deviceToken).id, registered.account.id);
+
+  // Neither the password nor a device token is ever stored
+  const saved = JSON.stringify(store.loadAccounts());
+  assert.ok(!saved.includes('correct horse'));
+  assert.ok(!saved.includes(otherDevice.deviceToken));
+});
+
+test('a device-only account reaches another device through a one-time link code', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+  const accounts = createAccountService(createMemoryAccountStore());
+
+  assert.match((await accounts.register({})).error, /Names/);
+  const { account, deviceToken } = await accounts.register({ displayName: 'Kees' });
+  assert.equal(account.username, null);
+  assert.equal(accounts.authenticate(deviceToken).displayName, 'Kees');
+
+  const { code } = accounts.createDeviceLink(account.id);
+  const linked = accounts.redeemDeviceLink(code.toLowerCase());
+  assert.equal(linked.account.id, account.id);
+  assert.ok(accounts.redeemDeviceLink(code).error, 'a link code works once');
+
+  const late = accounts.createDeviceLink(account.id);
+  t.mock.timers.tick(DEVICE_LINK_TTL_MS);
+  assert.ok(accounts.redeemDeviceLink(late.code).error, 'a link code runs out');
+});
+
+test('password guesses are limited per account and per client', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+  const accounts = createAccountService(createMemoryAccountStore());
+  await accounts.register({ username: 'anna', password: 'correct horse' });
+  await accounts.register({ username: 'bert', password: 'battery staple' });
+
+  // Guesses from all over count against the account; then even the password is turned away
+  for (let guess = 0; guess < SIGN_IN_ATTEMPT_LIMIT; guess++) {
+    const result = await accounts.signIn({ username: 'Anna', password: `guess ${guess}` }, `10.0.0.${guess}`);
+    assert.match(result.error, /Wrong/);
+  }
+  const locked = await accounts.signIn({ username: 'anna', password: 'correct horse' }, '10.0.0.99');
+  assert.match(locked.error, /Too many tries/);
+  assert.ok((await accounts.signIn({ username: 'bert', password: 'battery staple' }, '10.0.0.99')).deviceToken);
+
+  // One client's guesses count against it, whichever accounts they are aimed at
+  for (let guess = 0; guess < SIGN_IN_ATTEMPT_LIMIT; guess++) {
+    await accounts.signIn({ username: `nobody${guess}`, password: 'whatever it is' }, '10.0.0.66');
+  }
+  assert.match((await accounts.signIn({ username: 'bert', password: 'battery staple' }, '10.0.0.66')).error, /Too many tries/);
+
+  t.mock.timers.tick(SIGN_IN_ATTEMPT_WINDOW_MS);
+  assert.ok((await accounts.signIn({ username: 'anna', password: 'correct horse' }, '10.0.0.66')).deviceToken);
+});
+
+test('wrong link codes are limited per client and leave other people\'s codes working', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+  const accounts = createAccountService(createMemoryAccountStore());
+  const anna = (await accounts.register({ displayName: 'Anna' })).account;
+  const bert = (await accounts.register({ displayName: 'Bert' })).account;
+
+  // Someone guessing from one address runs out of tries, even with a real code
+  const annasCode = accounts.createDeviceLink(anna.id).code;
+  const bertsCode = accounts.createDeviceLink(bert.id).code;
+  for (let guess = 0; guess < SIGN_IN_ATTEMPT_LIMIT; guess++) {
+    assert.match(accounts.redeemDeviceLink(`GUESS${guess}`, '10.0.0.66').error, /not valid/);
+  }
+  assert.match(accounts.redeemDeviceLink(annasCode, '10.0.0.66').error, /Too many tries/);
+
+  // Their wrong codes didn't touch Bert's, which still signs in another of Bert's devices
+  assert.equal(accounts.redeemDeviceLink(bertsCode, '10.0.0.1').account.id, bert.id);
+
+  t.mock.timers.tick(SIGN_IN_ATTEMPT_WINDOW_MS);
+  assert.equal(accounts.redeemDeviceLink(annasCode, '10.0.0.66').account.id, anna.id);
+});
+
+test('profiles keep only known settings, and history keeps the newest games', async () => {
+  const accounts = createAccountService(createMemoryAccountStore());
+  const { account } = await accounts.register({ displayName: 'Kees' });
+
+  const updated = accounts.updateProfile(account.id, {
+    displayName: 'Kees K',
+    settings: { houseRules: { targetScore: 15, laundry: 'nonsense' }, botStrategy: 'montecarlo', theme: 'dark' }
+  }).account;
+  assert.equal(updated.displayName, 'Kees K');
+  assert.equal(updated.settings.houseRules.targetScore, 15);
+  assert.equal(updated.settings.houseRules.laundry, 'both');
+  assert.equal(updated.settings.botStrategy, 'montecarlo');
+  assert.equal(updated.settings.theme, undefined);
+  assert.ok(accounts.updateProfile(account.id, { displayName: '!!' }).error);
+
+  for (let game = 0; game < 60; game++) {
+    accounts.recordGame(account.id, { roomCode: `ROOM${game}` });
+  }
+  const { history } = accounts.getAccount(account.id);
+  assert.equal(history.length, 50);
+  assert.equal(history[0].roomCode, 'ROOM59');
+});
+
+test('accounts in the file store are there again after a restart', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'toepen-accounts-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'accounts.json');
+
+  const before = createAccountService(createFileAccountStore(file));
+  const { account, deviceToken } = await before.register({ username: 'anna', password: 'correct horse' });
+  before.updateProfile(account.id, { settings: { botStrategy: 'random' } });
+
+  const after = createAccountService(createFileAccountStore(file));
+  assert.equal(after.authenticate(deviceToken).id, account.id);
+  assert.equal(after.getAccount(account.id).settings.botStrategy, 'random');
+  assert.ok((await after.signIn({ username: 'anna', password: 'correct horse' })).deviceToken);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MAX_HANDLED_ACTIONS,
+  readActionSequence,
+  isHandledAction,
+  rememberHandledAction,
+  noteTableChange,
+  isStaleAction
+} = require('../server/actionSequence');
+
+function createRoom() {
+  return { stateVersion: 4, handledActionIds: [] };
+}
+
+test('sequencing fields are optional but must be well formed', () => {
+  assert.deepEqual(readActionSequence({ type: 'toep' }), { actionId: undefined, expectedVersion: undefined });
+  assert.deepEqual(readActionSequence({ type: 'toep', actionId: 'a1', expectedVersion: 0 }), { actionId: 'a1', expectedVersion: 0 });
+
+  [{ actionId: '' }, { actionId: 7 }, { actionId: 'x'.repeat(65) }, { expectedVersion: -1 }, { expectedVersion: '3' }, { expectedVersion: 1.5 }]
+    .forEach(fields => assert.equal(readActionSequence({ type: 'toep', ...fields }).errorCode, 'INVALID_ACTION'));
+});
+
+test('an accepted action id only counts once per seat', () => {
+  const room = createRoom();
+  rememberHandledAction(room, 1, 'a1');
+
+  assert.equal(isHandledAction(room, 1, 'a1'), true);
+  assert.equal(isHandledAction(room, 2, 'a1'), false);
+  assert.equal(isHandledAction(room, 1, 'a2'), false);
+  assert.equal(isHandledAction(room, 1, undefined), false);
+});
+
+test('only the most recent action ids are remembered', () => {
+  const room = createRoom();
+  for (let i = 0; i <= MAX_HANDLED_ACTIONS; i++) {
+    rememberHandledAction(room, 0, `a${i}`);
+  }
+
+  assert.equal(room.handledActionIds.length, MAX_HANDLED_ACTIONS);
+  assert.equal(isHandledAction(room, 0, 'a0'), false);
+  assert.equal(isHandledAction(room, 0, `a${MAX_HANDLED_ACTIONS}`), true);
+});
+
+test('actions made on an older state are stale', () => {
+  const room = createRoom();
+
+  assert.equal(isStaleAction(room, 3), true);
+  assert.equal(isStaleAction(room, 4), false);
+  assert.equal(isStaleAction(room, undefined), false);
+});
+
+test('only a change at the table makes an action stale, not every new version', () => {
+  const room = createRoom();
+  const laundry = { gamePhase: 'laundry', round: 1, tricksPlayed: 0, stakes: 1, currentPlayer: 0, pendingLaundry: null };
+  noteTableChange(room, null, laundry);
+
+  // Someone else passing their laundry bumps the version but leaves the table as it was
+  room.stateVersion = 5;
+  noteTableChange(room, laundry, { ...laundry });
+  assert.equal(isStaleAction(room, 4), false);
+
+  // A claim up for inspection is a new table: an inspection made before it is out of date
+  const claimed = { ...laundry, pendingLaundry: { playerIndex: 2 } };
+  room.stateVersion = 6;
+  noteTableChange(room, laundry, claimed);
+  assert.equal(isStaleAction(room, 5), true);
+  assert.equal(isStaleAction(room, 6), false);
+
+  // So is the next player's turn
+  const playing = { ...laundry, gamePhase: 'playing' };
+  room.stateVersion = 7;
+  noteTableChange(room, claimed, playing);
+  room.stateVersion = 8;
+  noteTableChange(room, playing, { ...playing, currentPlayer: 1 });
+  assert.equal(isStaleAction(room, 7), true);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ACTION_ERRORS,
+  applyAction,
+  createGameState,
+  parsePlayerAction
+} = require('../shared/rules');
+
+function createSeats(count) {
+  return Array.from({ length: count }, (_, index) => ({ id: `socket-${index}`, name: `Player ${index + 1}` }));
+}
+
+// A dealt round past the laundry phase, with the first player to move
+function startPlaying(seed) {
+  let state = applyAction(createGameState(createSeats(3), seed), { type: 'startRound' }).state;
+  state = applyAction(state, { type: 'endLaundryPhase' }).state;
+  assert.equal(state.gamePhase, 'playing');
+  return state;
+}
+
+test('malformed payloads are refused before they reach the rules', () => {
+  [null, 'playCard', 42, {}, { type: 7 }].forEach(payload => {
+    assert.equal(parsePlayerAction(payload).errorCode, 'INVALID_ACTION');
+  });
+  assert.equal(parsePlayerAction({ type: 'startRound' }).errorCode, 'UNKNOWN_ACTION');
+  assert.equal(parsePlayerAction({ type: 'playCard' }).errorCode, 'INVALID_ACTION');
+  assert.equal(parsePlayerAction({ type: 'playCard', cardIndex: -1 }).errorCode, 'INVALID_ACTION');
+  assert.equal(parsePlayerAction({ type: 'playCard', cardIndex: '0' }).errorCode, 'INVALID_ACTION');
+  assert.equal(parsePlayerAction({ type: 'submitLaundry', laundryType: 'vuileWas' }).errorCode, 'INVALID_ACTION');
+});
+
+test('parsed actions keep only the fields the action uses', () => {
+  assert.deepEqual(
+    parsePlayerAction({ type: 'playCard', cardIndex: 2, playerIndex: 3, gameState: {} }),
+    { action: { type: 'playCard', cardIndex: 2 } }
+  );
+  assert.deepEqual(parsePlayerAction({ type: 'toep', cardIndex: 1 }), { action: { type: 'toep' } });
+});
+
+test('refused actions carry a code and leave the state alone', () => {
+  const state = startPlaying(5);
+  const other = (state.currentPlayer + 1) % state.players.length;
+
+  const result = applyAction(state, { type: 'playCard', playerIndex: other, cardIndex: 0 });
+  assert.equal(result.errorCode, 'NOT_YOUR_TURN');
+  assert.equal(result.error, ACTION_ERRORS.NOT_YOUR_TURN);
+  assert.equal(result.state, state);
+  assert.deepEqual(result.events, []);
+
+  assert.equal(applyAction(state, { type: 'playCard', playerIndex: state.currentPlayer, cardIndex: 9 }).errorCode, 'INVALID_CARD');
+  assert.equal(applyAction(state, { type: 'inspectLaundry', playerIndex: other }).errorCode, 'WRONG_PHASE');
+  assert.equal(applyAction(state, { type: 'playCard', playerIndex: 8, cardIndex: 0 }).errorCode, 'UNKNOWN_PLAYER');
+  assert.equal(applyAction(state, { type: 'shuffle' }).errorCode, 'UNKNOWN_ACTION');
+});
+
+test('a card that does not follow suit is refused with MUST_FOLLOW_SUIT', () => {
+  // Find a deal where the second player holds the lead suit and something else
+  for (let seed = 1; seed < 200; seed++) {
+    let state = startPlaying(seed);
+    const leader = state.currentPlayer;
+    const leadSuit = state.players[leader].hand[0].suit;
+    state = applyAction(state, { type: 'playCard', playerIndex: leader, cardIndex: 0 }).state;
+
+    const next = state.currentPlayer;
+    const hand = state.players[next].hand;
+    const offSuit = hand.findIndex(card => card.suit !== leadSuit);
+    if (offSuit === -1 || !hand.some(card => card.suit === leadSuit)) continue;
+
+    assert.equal(applyAction(state, { type: 'playCard', playerIndex: next, cardIndex: offSuit }).errorCode, 'MUST_FOLLOW_SUIT');
+    return;
+  }
+  assert.fail('no deal to test following suit with');
+});
+
+test('the first deal can name who leads, as long as that seat is at the table', () => {
+  const deal = firstPlayer => applyAction(createGameState(createSeats(3), 9), { type: 'startRound', firstPlayer }).state;
+  assert.equal(deal(2).currentPlayer, 2);
+  assert.equal(deal(3).currentPlayer, 0);
+  assert.equal(deal('1').currentPlayer, 0);
+});
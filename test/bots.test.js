@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  applyAction,
+  createGameState,
+  createRandom,
+  getLaundryType,
+  getPendingTimeout
+} = require('../shared/rules');
+const { listStrategies } = require('../shared/botStrategies');
+const { decideBotAction } = require('../server/bots');
+const { createRulesTable } = require('./scriptedGame');
+
+const STRATEGY_NAMES = listStrategies().map(strategy => strategy.name);
+const botRules = { getLaundryType };
+
+// Seat 0 leads with spades; seat 1 holds a spade it has to follow with
+const HANDS = ['10♠ 9♠ 8♠ J♠', 'J♥ Q♥ K♥ 7♠', '7♦ 8♦ 9♦ 10♦'];
+
+// A bot seat the way a room keeps one
+function botSeat(strategy) {
+  return { isBot: true, botStrategy: strategy, botMemory: {} };
+}
+
+// Ask a fresh bot in this seat what it does, with random always answering `roll`
+// (0 says yes to every toep, fold, bluff and inspection; 0.99 to none of them). Its
+// action, if it has one, has to be one the rules accept.
+function checkBotAction(state, playerIndex, strategy, roll) {
+  const action = decideBotAction(state, playerIndex, botSeat(strategy), botRules, () => roll);
+  if (action) {
+    const result = applyAction(state, { ...action, playerIndex });
+    assert.equal(result.errorCode, undefined,
+      `${strategy} bot in seat ${playerIndex} sent ${JSON.stringify(action)} in ${state.gamePhase}`);
+  }
+  return action;
+}
+
+// The type of every action the bots at this table come up with, both rolls included
+function checkEveryBot(state, strategy) {
+  const types = [];
+  [0, 0.99].forEach(roll => {
+    state.players.forEach((_, playerIndex) => {
+      const action = checkBotAction(state, playerIndex, strategy, roll);
+      if (action) {
+        types.push(action.type);
+      }
+    });
+  });
+  return types;
+}
+
+STRATEGY_NAMES.forEach(strategy => {
+  test(`the ${strategy} bot only makes moves the rules accept, in every phase`, () => {
+    const table = createRulesTable();
+    table.deal(HANDS);
+    assert.deepEqual([...new Set(checkEveryBot(table.state(), strategy))].sort(), ['passLaundry', 'submitLaundry']);
+
+    // Someone else's claim: the claimer waits, everyone else may inspect or let it go
+    table.run([[1, 'submitLaundry', 'witte']]);
+    assert.equal(checkBotAction(table.state(), 1, strategy, 0), null);
+    assert.deepEqual(checkEveryBot(table.state(), strategy), ['inspectLaundry', 'inspectLaundry']);
+
+    // Laundry over: only the player on turn acts, and followers keep to the lead suit
+    table.run([['timeout'], [2, 'passLaundry'], [0, 'passLaundry'], [1, 'passLaundry']]);
+    assert.equal(table.phase(), 'playing');
+    const plays = checkEveryBot(table.state(), strategy);
+    assert.equal(plays.length, 2);
+    assert.ok(plays.every(type => ['playCard', 'toep'].includes(type)));
+    table.run([[0, 'playCard', '10♠']]);
+    const follower = table.state().currentPlayer;
+    const cardIndex = checkBotAction(table.state(), follower, strategy, 0.99).cardIndex;
+    assert.equal(table.state().players[follower].hand[cardIndex].suit, '♠');
+
+    // A toep: the others answer it, the toeper has nothing more to say
+    table.run([[follower, 'toep']]);
+    assert.equal(table.phase(), 'toepResponse');
+    const answers = checkEveryBot(table.state(), strategy);
+    assert.equal(answers.length, 4);
+    assert.ok(answers.every(type => ['acceptToep', 'foldToToep'].includes(type)));
+    assert.equal(checkBotAction(table.state(), follower, strategy, 0), null);
+  });
+
+  test(`a table of ${strategy} bots plays a seeded game to the end, the same way every time`, () => {
+    const playGame = () => {
+      const random = createRandom(7);
+      const seats = [0, 1, 2].map(index => ({ id: `bot-${index}`, name: `Bot ${index + 1}`, ...botSeat(strategy) }));
+      let state = createGameState(seats, 7, { targetScore: 5 });
+      state = applyAction(state, { type: 'startRound' }).state;
+
+      for (let step = 0; step < 5000 && state.gamePhase !== 'gameEnd'; step++) {
+        // The first bot with something to do acts, as if its decision delay ran out first
+        const playerIndex = seats.findIndex((seat, index) => {
+          const action = decideBotAction(state, index, seat, botRules, random);
+          if (!action) return false;
+          const result = applyAction(state, { ...action, playerIndex: index });
+          assert.equal(result.errorCode, undefined, `${JSON.stringify(action)} from seat ${index} was refused`);
+          state = result.state;
+          return true;
+        });
+        if (playerIndex === -1) {
+          const pending = getPendingTimeout(state);
+          assert.ok(pending, `the game stalled in ${state.gamePhase}`);
+          state = applyAction(state, pending.action).state;
+        }
+      }
+      return state;
+    };
+
+    const finished = playGame();
+    assert.equal(finished.gamePhase, 'gameEnd');
+    assert.ok(finished.players.some(player => player.points >= 5));
+    assert.deepEqual(playGame(), finished);
+  });
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CHAT_HISTORY_LENGTH,
+  CHAT_RATE_LIMIT,
+  CHAT_RATE_WINDOW_MS,
+  getRoomChat,
+  readChatMessage,
+  isChatRateLimited,
+  isChatMuted,
+  setChatMuted,
+  addChatMessage
+} = require('../server/chat');
+const { CHAT_MAX_LENGTH } = require('../shared/chat');
+
+test('chat text is cleaned and held to the length limit, reactions go by id', () => {
+  assert.deepEqual(readChatMessage({ text: '  twee\n\nkaarten   <b>vuil</b> ' }), { text: 'twee kaarten <b>vuil</b>', reaction: null });
+  assert.ok(readChatMessage({ text: ' \n ' }).error);
+  assert.ok(readChatMessage({ text: 42 }).error);
+  assert.ok(readChatMessage(null).error);
+  assert.equal(readChatMessage({ text: 'x'.repeat(CHAT_MAX_LENGTH) }).text.length, CHAT_MAX_LENGTH);
+  assert.ok(readChatMessage({ text: 'x'.repeat(CHAT_MAX_LENGTH + 1) }).error);
+
+  assert.deepEqual(readChatMessage({ reaction: 'toep', text: 'ignored' }), { text: 'Toep!', reaction: 'toep' });
+  assert.ok(readChatMessage({ reaction: '<script>' }).error);
+});
+
+test('each sender gets a few messages per window, counted from the history', () => {
+  const chat = getRoomChat({});
+  const start = 1000000;
+  for (let message = 0; message < CHAT_RATE_LIMIT; message++) {
+    assert.equal(isChatRateLimited(chat, 'Anna', start + message), false);
+    addChatMessage(chat, { name: 'Anna', text: 'hoi' }, start + message);
+  }
+  assert.equal(isChatRateLimited(chat, 'anna', start + CHAT_RATE_LIMIT), true);
+  assert.equal(isChatRateLimited(chat, 'Bob', start + CHAT_RATE_LIMIT), false);
+  assert.equal(isChatRateLimited(chat, 'Anna', start + CHAT_RATE_WINDOW_MS), false);
+});
+
+test('the history keeps the newest messages, and mutes go by name', () => {
+  const room = {};
+  const chat = getRoomChat(room);
+  for (let message = 0; message < CHAT_HISTORY_LENGTH + 5; message++) {
+    addChatMessage(chat, { name: 'Anna', text: `${message}` }, message);
+  }
+  assert.equal(room.chat.messages.length, CHAT_HISTORY_LENGTH);
+  assert.equal(room.chat.messages[0].text, '5');
+  assert.equal(room.chat.messages[CHAT_HISTORY_LENGTH - 1].id, CHAT_HISTORY_LENGTH + 5);
+
+  setChatMuted(chat, 'Bob', true);
+  assert.equal(isChatMuted(chat, ' BOB'), true);
+  setChatMuted(chat, 'bob', true);
+  assert.deepEqual(chat.muted, ['bob']);
+  setChatMuted(chat, 'Bob', false);
+  assert.equal(isChatMuted(chat, 'Bob'), false);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  QUICK_MATCH_MAX_PLAYERS,
+  ROOM_TITLE_MAX_LENGTH,
+  normalizeRoomTitle,
+  getPublicRoomList,
+  takeQuickMatchTable
+} = require('../server/matchmaking');
+
+function lobby(code, fields = {}) {
+  return {
+    code,
+    host: `${code}-host`,
+    players: [{ id: `${code}-host`, name: 'Anna' }],
+    maxPlayers: 4,
+    houseRules: {},
+    isPublic: true,
+    title: `Table ${code}`,
+    isGameStarted: false,
+    ...fields
+  };
+}
+
+test('only public rooms someone could join are listed', () => {
+  const fullSeats = [1, 2, 3, 4].map(seat => ({ id: `seat-${seat}`, name: `Bot ${seat}`, isBot: true }));
+  const rooms = [
+    lobby('OPEN'),
+    lobby('HIDDEN', { isPublic: false }),
+    lobby('LOCKED', { locked: true }),
+    lobby('PLAYING', { isGameStarted: true }),
+    lobby('FULL', { players: fullSeats })
+  ];
+
+  assert.deepEqual(getPublicRoomList(rooms), [{
+    roomCode: 'OPEN',
+    title: 'Table OPEN',
+    hostName: 'Anna',
+    players: 1,
+    bots: 0,
+    maxPlayers: 4,
+    houseRules: {}
+  }]);
+});
+
+test('room titles are trimmed and held to letters, numbers and punctuation', () => {
+  assert.equal(normalizeRoomTitle('  Vrijdag   avond! '), 'Vrijdag avond!');
+  assert.equal(normalizeRoomTitle("Anna's table"), "Anna's table");
+  assert.equal(normalizeRoomTitle('<b>toep</b>'), null);
+  assert.equal(normalizeRoomTitle(' '), null);
+  assert.equal(normalizeRoomTitle('x'.repeat(ROOM_TITLE_MAX_LENGTH + 1)), null);
+  assert.equal(normalizeRoomTitle(42), null);
+});
+
+test('quick-match tables come off the front of the queue, bots or not', () => {
+  const queue = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, name: id }));
+  assert.deepEqual(takeQuickMatchTable(queue, false).map(entry => entry.id), ['a', 'b', 'c', 'd']);
+  assert.equal(QUICK_MATCH_MAX_PLAYERS, 4);
+
+  assert.deepEqual(takeQuickMatchTable(queue, false), []);
+  assert.equal(queue.length, 1);
+  assert.deepEqual(takeQuickMatchTable(queue, true).map(entry => entry.id), ['e']);
+});
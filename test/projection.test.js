@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  applyAction,
+  createGameState,
+  createRandom,
+  getLaundryType,
+  getPendingTimeout
+} = require('../shared/rules');
+const { createPlayerView, getStrategy } = require('../shared/botStrategies');
+const {
+  PUBLIC_STATE_FIELDS,
+  PUBLIC_PLAYER_FIELDS,
+  SPECTATOR_VIEWER,
+  ADMIN_VIEWER,
+  seatViewer,
+  projectGameState,
+  canSeeEvent
+} = require('../server/projection');
+
+// State fields that are never sent as they are: projected separately or kept server-side
+const PROJECTED_STATE_FIELDS = [
+  'players', 'pendingLaundry', 'laundryQueue', 'laundryResult', 'deck', 'discardPile', 'seed', 'rngState'
+];
+
+const cardKey = card => `${card.rank}${card.suit}`;
+
+function createSeats(count) {
+  return Array.from({ length: count }, (_, index) => ({ id: `socket-${index}`, name: `Player ${index + 1}` }));
+}
+
+// Play a whole game with bots in every seat (the random bot claims and inspects laundry
+// at random, so bluffs get caught too) and report every step with the state before and
+// after it and the events it produced
+function playGame(seed, playerCount, onStep) {
+  const random = createRandom(seed);
+  let state = createGameState(createSeats(playerCount), seed);
+
+  const apply = action => {
+    const result = applyAction(state, action);
+    if (result.error) return false;
+    onStep({ before: state, after: result.state, events: result.events });
+    state = result.state;
+    return true;
+  };
+
+  apply({ type: 'startRound' });
+  for (let step = 0; step < 5000 && state.gamePhase !== 'gameEnd'; step++) {
+    let acted = false;
+    for (let playerIndex = 0; playerIndex < playerCount && !acted; playerIndex++) {
+      const strategy = getStrategy(playerIndex % 2 === 0 ? 'random' : 'heuristic');
+      const action = strategy.decide(createPlayerView(state, playerIndex, { getLaundryType }), random);
+      acted = Boolean(action) && apply({ ...action, playerIndex });
+    }
+    if (!acted) {
+      const pending = getPendingTimeout(state);
+      assert.ok(pending && apply(pending.action), `game ${seed} stalled in ${state.gamePhase}`);
+    }
+  }
+  return state;
+}
+
+function getViewers(state) {
+  return [...state.players.map((_, index) => seatViewer(index)), SPECTATOR_VIEWER];
+}
+
+// Every real card anywhere in a payload (placeholders for hidden cards don't count)
+function collectCards(value, cards = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectCards(item, cards));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.suit === 'string' && typeof value.rank === 'string' && value.suit !== 'hidden') {
+      cards.push(cardKey(value));
+    }
+    Object.values(value).forEach(item => collectCards(item, cards));
+  }
+  return cards;
+}
+
+// The cards a viewer is entitled to know: their own hand, open hands, the table, and a
+// laundry hand that was turned over for inspection this round
+function getKnownCards(state, viewer) {
+  const known = new Set();
+  const add = cards => (cards || []).forEach(card => known.add(cardKey(card)));
+
+  state.players.forEach((player, index) => {
+    if (player.cardsVisible || (viewer.role === 'seat' && viewer.playerIndex === index)) {
+      add(player.hand);
+    }
+  });
+  add(state.currentTrick.map(play => play.card));
+  add(state.playedCards);
+  if (state.laundryResult) {
+    add(state.laundryResult.actualCards);
+  }
+  return known;
+}
+
+test('no seat or spectator is ever sent a card they may not know', () => {
+  let laundryClaims = 0;
+  let checkedPayloads = 0;
+
+  [[101, 2], [202, 3], [303, 4], [404, 4], [505, 3]].forEach(([seed, playerCount]) => {
+    playGame(seed, playerCount, ({ before, after, events }) => {
+      laundryClaims += events.filter(event => event.type === 'submitLaundry').length;
+
+      getViewers(after).forEach(viewer => {
+        const known = new Set([...getKnownCards(before, viewer), ...getKnownCards(after, viewer)]);
+        // What the server sends for each event: the event itself with the projected state
+        events.filter(event => canSeeEvent(event, viewer)).forEach(event => {
+          const payload = { gameState: projectGameState(after, viewer), lastAction: event };
+          collectCards(payload).forEach(card => {
+            assert.ok(known.has(card), `${card} leaked to ${JSON.stringify(viewer)} in ${after.gamePhase} (seed ${seed})`);
+          });
+          checkedPayloads++;
+        });
+      });
+    });
+  });
+
+  // Make sure the games actually went through laundry claims, not just plain tricks
+  assert.ok(laundryClaims > 0);
+  assert.ok(checkedPayloads > 1000);
+});
+
+test('projections never carry the seed, generator state or deck', () => {
+  playGame(7, 3, ({ after }) => {
+    getViewers(after).forEach(viewer => {
+      const projected = projectGameState(after, viewer);
+      assert.equal(projected.seed, undefined);
+      assert.equal(projected.rngState, undefined);
+      assert.equal(projected.deck, undefined);
+      assert.equal(projected.deckSize, after.deck.length);
+    });
+  });
+});
+
+test('hidden hands keep their size', () => {
+  const state = applyAction(createGameState(createSeats(4), 11), { type: 'startRound' }).state;
+  const projected = projectGameState(state, seatViewer(2));
+
+  projected.players.forEach((player, index) => {
+    assert.equal(player.hand.length, state.players[index].hand.length);
+    if (index === 2) {
+      assert.deepEqual(player.hand, state.players[2].hand);
+    } else {
+      player.hand.forEach(card => assert.equal(card.suit, 'hidden'));
+    }
+  });
+});
+
+test('a pending laundry claim shows nobody else the claimer\'s cards', () => {
+  let state = applyAction(createGameState(createSeats(3), 21), { type: 'startRound' }).state;
+  assert.equal(state.gamePhase, 'laundry');
+  state = applyAction(state, { type: 'submitLaundry', playerIndex: 0, laundryType: 'vuile' }).state;
+
+  const claimerHand = state.players[0].hand.map(cardKey);
+  [seatViewer(1), seatViewer(2), SPECTATOR_VIEWER].forEach(viewer => {
+    const projected = projectGameState(state, viewer);
+    assert.deepEqual(projected.pendingLaundry, { playerIndex: 0, type: 'vuile' });
+    collectCards(projected).forEach(card => assert.ok(!claimerHand.includes(card)));
+  });
+  assert.deepEqual(projectGameState(state, seatViewer(0)).players[0].hand, state.players[0].hand);
+});
+
+test('an inspected laundry hand is shown while the inspection is on show', () => {
+  let state = applyAction(createGameState(createSeats(3), 21), { type: 'startRound' }).state;
+  state = applyAction(state, { type: 'submitLaundry', playerIndex: 0, laundryType: 'vuile' }).state;
+  const claimedHand = state.players[0].hand;
+  state = applyAction(state, { type: 'inspectLaundry', playerIndex: 1 }).state;
+
+  assert.deepEqual(projectGameState(state, seatViewer(2)).laundryResult.actualCards, claimedHand);
+
+  // Once the round has moved on and the claimer is no longer on show, only the outcome is left
+  state = applyAction(state, { type: 'endLaundryPhase' }).state;
+  state = applyAction(state, { type: 'clearValidLaundryFlags' }).state;
+  const claimer = state.players[0];
+  if (!claimer.cardsVisible) {
+    const laundryResult = projectGameState(state, seatViewer(2)).laundryResult;
+    assert.equal(laundryResult.actualCards, undefined);
+    assert.equal(laundryResult.claimer, 0);
+  }
+});
+
+test('admins see every hand, the laundry cards and the deck', () => {
+  let state = applyAction(createGameState(createSeats(3), 31), { type: 'startRound' }).state;
+  state = applyAction(state, { type: 'submitLaundry', playerIndex: 1, laundryType: 'witte' }).state;
+  const projected = projectGameState(state, ADMIN_VIEWER);
+
+  projected.players.forEach((player, index) => assert.deepEqual(player.hand, state.players[index].hand));
+  assert.deepEqual(projected.pendingLaundry.cards, state.pendingLaundry.cards);
+  assert.deepEqual(projected.deck, state.deck);
+  assert.equal(projected.seed, undefined);
+  assert.equal(projected.rngState, undefined);
+});
+
+test('private events only reach the seat they concern', () => {
+  const event = { type: 'playingForDeathToepAttempt', playerIndex: 1, private: true };
+
+  assert.equal(canSeeEvent(event, seatViewer(1)), true);
+  assert.equal(canSeeEvent(event, seatViewer(0)), false);
+  assert.equal(canSeeEvent(event, SPECTATOR_VIEWER), false);
+  assert.equal(canSeeEvent(event, ADMIN_VIEWER), false);
+  assert.equal(canSeeEvent({ type: 'toep', playerIndex: 1 }, SPECTATOR_VIEWER), true);
+});
+
+test('unknown viewers are refused', () => {
+  const state = createGameState(createSeats(2), 1);
+
+  assert.throws(() => projectGameState(state, { role: 'host' }));
+  assert.throws(() => projectGameState(state, { role: 'seat' }));
+  assert.throws(() => projectGameState(state));
+});
+
+// A new field in the rules must be added to a whitelist (or kept back) on purpose
+test('every game state field is either whitelisted or deliberately projected', () => {
+  const stateFields = new Set();
+  const playerFields = new Set();
+
+  [[8, 4], [9, 2]].forEach(([seed, playerCount]) => {
+    playGame(seed, playerCount, ({ after }) => {
+      Object.keys(after).forEach(field => stateFields.add(field));
+      after.players.forEach(player => Object.keys(player).forEach(field => playerFields.add(field)));
+    });
+  });
+
+  stateFields.forEach(field => {
+    assert.ok(PUBLIC_STATE_FIELDS.includes(field) || PROJECTED_STATE_FIELDS.includes(field), `state field ${field} is not covered`);
+  });
+  playerFields.forEach(field => {
+    assert.ok(PUBLIC_PLAYER_FIELDS.includes(field) || field === 'hand', `player field ${field} is not covered`);
+  });
+});
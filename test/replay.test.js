@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  applyAction,
+  createGameState,
+  createRandom,
+  getLaundryType,
+  getPendingTimeout
+} = require('../shared/rules');
+const { createPlayerView, getStrategy } = require('../shared/botStrategies');
+const { createGameRecord, recordAction, replayGame } = require('../server/replay');
+const { stackDeck } = require('./scriptedGame');
+
+const SEATS = [0, 1, 2].map(index => ({ id: `seat-${index}`, name: `Player ${index + 1}` }));
+const HOUSE_RULES = { targetScore: 5 };
+
+// Play a game the way the server does, recording every accepted action: a stacked first
+// deal with a laundry claim that gets inspected, then seeded bots play it out
+function playRecordedGame(seed) {
+  const record = createGameRecord(SEATS, seed, HOUSE_RULES);
+  let state = createGameState(SEATS, seed, HOUSE_RULES);
+  const events = [];
+
+  const play = action => {
+    const result = applyAction(state, action);
+    assert.equal(result.errorCode, undefined, `${JSON.stringify(action)} was refused`);
+    recordAction(record, action, result.events, state, result.state);
+    result.events.forEach(event => events.push({ actionIndex: record.actions.length - 1, ...event }));
+    state = result.state;
+  };
+
+  // Seat 1 really has vuile was (three face cards and a seven); seat 2 inspects it
+  play({ type: 'startRound', deck: stackDeck(['10♠ 9♠ 8♠ J♠', 'J♥ Q♥ K♥ 7♠', '7♦ 8♦ 9♦ 10♦']) });
+  play({ type: 'submitLaundry', playerIndex: 1, laundryType: 'vuile' });
+  play({ type: 'inspectLaundry', playerIndex: 2 });
+
+  const random = createRandom(seed);
+  for (let step = 0; step < 5000 && state.gamePhase !== 'gameEnd'; step++) {
+    const acted = state.players.some((_, playerIndex) => {
+      const action = getStrategy('random').decide(createPlayerView(state, playerIndex, { getLaundryType }), random);
+      if (action) {
+        play({ ...action, playerIndex });
+      }
+      return Boolean(action);
+    });
+    if (!acted) {
+      play(getPendingTimeout(state).action);
+    }
+  }
+  return { record, state, events };
+}
+
+test('replaying a record rebuilds the game exactly, event for event', () => {
+  const { record, state, events } = playRecordedGame(31);
+  assert.equal(state.gamePhase, 'gameEnd');
+
+  // The record goes through a file on its way to the replay tool
+  const replayed = replayGame(JSON.parse(JSON.stringify(record)));
+  assert.deepEqual(replayed.state, state);
+  assert.deepEqual(replayed.events, events);
+  assert.equal(record.events.length, events.length);
+  assert.ok(record.endedAt);
+
+  // A record that doesn't match the rules is refused, not replayed into another game
+  const tampered = JSON.parse(JSON.stringify(record));
+  tampered.actions[1].playerIndex = 0;
+  tampered.actions[2].playerIndex = 0;
+  assert.throws(() => replayGame(tampered), /Action 2 \(inspectLaundry\) was refused/);
+});
+
+test('the event log adds what the table could not see at the time', () => {
+  const { record, state } = playRecordedGame(31);
+  const entries = type => record.events.filter(entry => entry.type === type);
+
+  // Every deal is logged with its hands, Armoede deals included
+  const deals = record.events.filter(entry => entry.type === 'newRound' || entry.type === 'armoede');
+  const [firstDeal] = deals;
+  assert.deepEqual(firstDeal.hands[1].map(card => `${card.rank}${card.suit}`), ['J♥', 'Q♥', 'K♥', '7♠']);
+  assert.ok(entries('armoede').length > 0);
+  assert.equal(deals.length, entries('roundEnded').length);
+  deals.forEach(deal => assert.ok(deal.hands.every(hand => hand.length === 4)));
+
+  const [claim] = entries('submitLaundry');
+  assert.deepEqual(claim.cards, firstDeal.hands[1]);
+  const [inspection] = entries('laundryInspected');
+  assert.equal(inspection.result, 'validClaim');
+  assert.deepEqual(inspection.cards, firstDeal.hands[1]);
+  assert.deepEqual(inspection.penalties, [0, 0, 1]);
+  assert.equal(inspection.newHand.length, 4);
+
+  // Each round's end has what it cost everyone and the points after it, and whoever
+  // went over the target is named in the round that put them there
+  const rounds = entries('roundEnded');
+  rounds.forEach(round => {
+    assert.ok(round.penalties.some(points => points !== 0));
+    assert.equal(round.points.length, 3);
+  });
+  const lastRound = rounds[rounds.length - 1];
+  assert.deepEqual(lastRound.points, state.players.map(player => player.points));
+  const eliminated = rounds.flatMap(round => round.eliminated);
+  assert.ok(eliminated.length > 0);
+  assert.deepEqual(eliminated.sort(), state.players
+    .map((player, index) => index)
+    .filter(index => state.players[index].points >= HOUSE_RULES.targetScore));
+
+  // Every entry knows its place in the log and the action behind it, and nothing private
+  // is kept
+  record.events.forEach((entry, seq) => {
+    assert.equal(entry.seq, seq);
+    assert.ok(entry.actionIndex < record.actions.length);
+    assert.equal(entry.private, undefined);
+  });
+});
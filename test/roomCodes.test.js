@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ROOM_CODE_PATTERN,
+  normalizeRoomCode,
+  getInvitePath,
+  readInvitePath
+} = require('../shared/roomCodes');
+const { createRoomCode } = require('../server/roomRegistry');
+
+test('room codes are read however they were typed, but only the alphabet gets through', () => {
+  assert.equal(normalizeRoomCode('7xk2qm'), '7XK2QM');
+  assert.equal(normalizeRoomCode(' 7XK-2QM '), '7XK2QM');
+  assert.equal(normalizeRoomCode('OIL9AB'), '0119AB');
+  assert.equal(normalizeRoomCode('7XK2Q'), null);
+  assert.equal(normalizeRoomCode('7XK2QMM'), null);
+  assert.equal(normalizeRoomCode('7XK2QU'), null);
+  assert.equal(normalizeRoomCode(null), null);
+
+  assert.equal(readInvitePath(getInvitePath('7XK2QM')), '7XK2QM');
+  assert.equal(readInvitePath('/join/7xk2qm/'), '7XK2QM');
+  assert.equal(readInvitePath('/join/nope'), null);
+  assert.equal(readInvitePath('/'), null);
+});
+
+test('new room codes are fixed length and skip codes that are taken', () => {
+  const taken = new Set(['000000']);
+  // The first try lands on a taken code, the second on a free one
+  const rolls = [0, 0, 0, 0, 0, 0, 1, 2, 3, 4, 5, 31];
+  const code = createRoomCode(candidate => taken.has(candidate), () => rolls.shift());
+  assert.equal(code, '12345Z');
+
+  for (let room = 0; room < 50; room++) {
+    assert.match(createRoomCode(() => false), ROOM_CODE_PATTERN);
+  }
+  assert.throws(() => createRoomCode(() => true), /free room code/);
+});
+
+test('the js/ client checks room codes by the same rule as the server', async () => {
+  const { VALIDATION } = await import('../js/constants.js');
+  assert.equal(VALIDATION.ROOM_CODE_PATTERN, ROOM_CODE_PATTERN);
+  assert.doesNotMatch('7XK2QU', VALIDATION.ROOM_CODE_PATTERN);
+});
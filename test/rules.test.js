@@ -0,0 +1,341 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyAction, getPendingTimeout, normalizeHouseRules } = require('../shared/rules');
+const { cards, createRulesTable, createEngineTable, TABLES } = require('./scriptedGame');
+
+// Seat 0 holds the spades and wins every trick, the others can't follow
+const SPADES_WIN = ['10♠ 9♠ 8♠ J♠', '7♥ 8♥ 9♥ 10♥', '7♦ 8♦ 9♦ 10♦'];
+
+// A room that put a turn clock on
+const TURN_CLOCK = { turnTime: 60 };
+
+const sortedNames = list => list.map(c => `${c.rank}${c.suit}`).sort();
+
+// The plays of one trick, then the timeout that scores it
+function trick(plays) {
+  return [...plays, ['timeout']];
+}
+
+TABLES.forEach(createTable => {
+  const tableName = createTable === createRulesTable ? 'rules' : 'engine';
+
+  test(`stacked deals are dealt as stacked and out-of-turn moves are refused (${tableName})`, async () => {
+    const table = await createTable();
+    table.deal(SPADES_WIN);
+
+    assert.deepEqual(table.state().players[1].hand.map(c => `${c.rank}${c.suit}`), ['7♥', '8♥', '9♥', '10♥']);
+    assert.equal(table.phase(), 'laundry');
+    table.run([['timeout']]);
+    assert.equal(table.act([1, 'playCard', '7♥']).errorCode, 'NOT_YOUR_TURN');
+    assert.equal(table.act([0, 'playCard', '10♠']).error, undefined);
+    assert.equal(table.act([1, 'playCard', '7♥']).error, undefined);
+    assert.equal(table.act([2, 'playCard', '7♦']).error, undefined);
+    assert.equal(table.act([2, 'toep']).errorCode, 'TRICK_BEING_EVALUATED');
+  });
+
+  test(`boertoep: winning the toeped last trick with a jack scores -1 (${tableName})`, async () => {
+    const table = await createTable();
+    table.deal(SPADES_WIN);
+    table.run([
+      ['timeout'],
+      ...trick([[0, 'playCard', '10♠'], [1, 'playCard', '7♥'], [2, 'playCard', '7♦']]),
+      ...trick([[0, 'playCard', '9♠'], [1, 'playCard', '8♥'], [2, 'playCard', '8♦']]),
+      ...trick([[0, 'playCard', '8♠'], [1, 'playCard', '9♥'], [2, 'playCard', '9♦']]),
+      [0, 'toep'], [1, 'acceptToep'], [2, 'acceptToep'],
+      ...trick([[0, 'playCard', 'J♠'], [1, 'playCard', '10♥'], [2, 'playCard', '10♦']])
+    ]);
+
+    assert.deepEqual(table.points(), [-1, 2, 2]);
+    assert.equal(table.phase(), 'roundEnd');
+    assert.ok(table.hasEvent('boertoep'));
+  });
+
+  test(`no boertoep without the house rule or without a toep (${tableName})`, async () => {
+    const withoutRule = await createTable({ houseRules: { boertoep: false } });
+    withoutRule.deal(SPADES_WIN);
+    withoutRule.run([
+      ['timeout'],
+      ...trick([[0, 'playCard', '10♠'], [1, 'playCard', '7♥'], [2, 'playCard', '7♦']]),
+      ...trick([[0, 'playCard', '9♠'], [1, 'playCard', '8♥'], [2, 'playCard', '8♦']]),
+      ...trick([[0, 'playCard', '8♠'], [1, 'playCard', '9♥'], [2, 'playCard', '9♦']]),
+      [0, 'toep'], [1, 'acceptToep'], [2, 'acceptToep'],
+      ...trick([[0, 'playCard', 'J♠'], [1, 'playCard', '10♥'], [2, 'playCard', '10♦']])
+    ]);
+    assert.deepEqual(withoutRule.points(), [0, 2, 2]);
+
+    const withoutToep = await createTable();
+    withoutToep.deal(SPADES_WIN);
+    withoutToep.run([
+      ['timeout'],
+      ...trick([[0, 'playCard', '10♠'], [1, 'playCard', '7♥'], [2, 'playCard', '7♦']]),
+      ...trick([[0, 'playCard', '9♠'], [1, 'playCard', '8♥'], [2, 'playCard', '8♦']]),
+      ...trick([[0, 'playCard', '8♠'], [1, 'playCard', '9♥'], [2, 'playCard', '9♦']]),
+      ...trick([[0, 'playCard', 'J♠'], [1, 'playCard', '10♥'], [2, 'playCard', '10♦']])
+    ]);
+    assert.deepEqual(withoutToep.points(), [0, 1, 1]);
+    assert.equal(withoutToep.hasEvent('boertoep'), false);
+  });
+
+  test(`no boertoep for a toep made before the last trick (${tableName})`, async () => {
+    const table = await createTable();
+    table.deal(SPADES_WIN);
+    table.run([
+      ['timeout'],
+      [0, 'toep'], [1, 'acceptToep'], [2, 'acceptToep'],
+      ...trick([[0, 'playCard', '10♠'], [1, 'playCard', '7♥'], [2, 'playCard', '7♦']]),
+      ...trick([[0, 'playCard', '9♠'], [1, 'playCard', '8♥'], [2, 'playCard', '8♦']]),
+      ...trick([[0, 'playCard', '8♠'], [1, 'playCard', '9♥'], [2, 'playCard', '9♦']]),
+      ...trick([[0, 'playCard', 'J♠'], [1, 'playCard', '10♥'], [2, 'playCard', '10♦']])
+    ]);
+    assert.deepEqual(table.points(), [0, 2, 2]);
+    assert.equal(table.hasEvent('boertoep'), false);
+  });
+
+  test(`no boertoep for a last-trick toep everyone folded on (${tableName})`, async () => {
+    const table = await createTable();
+    table.deal(SPADES_WIN);
+    table.run([
+      ['timeout'],
+      ...trick([[0, 'playCard', '10♠'], [1, 'playCard', '7♥'], [2, 'playCard', '7♦']]),
+      ...trick([[0, 'playCard', '9♠'], [1, 'playCard', '8♥'], [2, 'playCard', '8♦']]),
+      ...trick([[0, 'playCard', '8♠'], [1, 'playCard', '9♥'], [2, 'playCard', '9♦']]),
+      [0, 'toep'], [1, 'foldToToep'], [2, 'foldToToep']
+    ]);
+    assert.equal(table.phase(), 'roundEnd');
+    assert.deepEqual(table.points(), [0, 1, 1]);
+    assert.equal(table.hasEvent('boertoep'), false);
+  });
+
+  test(`a player playing for death accepts every toep and can't toep (${tableName})`, async () => {
+    const table = await createTable({ houseRules: { armoede: false }, points: [0, 9, 0] });
+    table.deal(['10♠ 9♠ 8♠ 7♠', '7♥ 8♥ 9♥ 10♥', '7♦ 8♦ 9♦ 10♦']);
+    table.run([['timeout'], [0, 'toep']]);
+
+    // Seat 1 answered without being asked; seat 2 still has to
+    assert.deepEqual(table.state().toepResponses, ['accept', 'accept', null]);
+    table.run([[2, 'foldToToep'], [0, 'playCard', '10♠'], [1, 'toep']]);
+    assert.equal(table.state().stakes, 2);
+    assert.equal(table.state().lastToeper, 0);
+    assert.ok(table.hasEvent('playingForDeathToepAttempt'));
+
+    table.run([
+      [1, 'playCard', '7♥'], ['timeout'],
+      ...trick([[0, 'playCard', '9♠'], [1, 'playCard', '8♥']]),
+      ...trick([[0, 'playCard', '8♠'], [1, 'playCard', '9♥']]),
+      ...trick([[0, 'playCard', '7♠'], [1, 'playCard', '10♥']])
+    ]);
+    // The loser pays the toeped stakes and is out; the fold cost its entry stakes
+    assert.deepEqual(table.points(), [0, 11, 1]);
+    assert.deepEqual(table.state().playersInRound, [0, 2]);
+  });
+
+  test(`folding to a blind toep costs the stakes from before it (${tableName})`, async () => {
+    const table = await createTable();
+    table.deal(SPADES_WIN);
+    table.run([['timeout'], [1, 'fold'], [2, 'fold']]);
+    assert.deepEqual(table.points(), [0, 1, 1]);
+    assert.equal(table.phase(), 'roundEnd');
+
+    table.run([[1, 'blindToep']]);
+    table.deal(['7♦ 8♦ 9♦ 10♦', '10♠ 9♠ 8♠ 7♠', '7♥ 8♥ 9♥ 10♥']);
+    assert.equal(table.phase(), 'blindToepResponse');
+    assert.equal(table.state().stakes, 3);
+
+    table.run([[0, 'foldToToep'], [2, 'acceptToep']]);
+    assert.deepEqual(table.points(), [1, 1, 1]);
+
+    table.run([
+      ['timeout'],
+      ...trick([[1, 'playCard', '10♠'], [2, 'playCard', '7♥']]),
+      ...trick([[1, 'playCard', '9♠'], [2, 'playCard', '8♥']]),
+      ...trick([[1, 'playCard', '8♠'], [2, 'playCard', '9♥']]),
+      ...trick([[1, 'playCard', '7♠'], [2, 'playCard', '10♥']])
+    ]);
+    // Whoever stayed in and lost pays the blind toep stakes
+    assert.deepEqual(table.points(), [1, 1, 4]);
+  });
+
+  test(`a blind toep nobody answers in time is folded to, so the table never waits (${tableName})`, async () => {
+    const table = await createTable();
+    table.deal(SPADES_WIN);
+    table.run([['timeout'], [1, 'fold'], [2, 'fold'], [1, 'blindToep']]);
+    table.deal(['7♦ 8♦ 9♦ 10♦', '10♠ 9♠ 8♠ 7♠', '7♥ 8♥ 9♥ 10♥']);
+    assert.equal(getPendingTimeout(table.state()).kind, 'toepResponse');
+
+    // Seat 2 answers, seat 0 never does and pays the stakes from before the blind toep
+    table.run([[2, 'acceptToep'], ['timeout']]);
+    assert.deepEqual(table.points(), [1, 1, 1]);
+    assert.deepEqual(table.state().playersInRound, [1, 2]);
+    assert.ok(table.hasEvent('autoBlindToepResponse'));
+    assert.equal(table.phase(), 'laundry');
+  });
+
+  test(`folding to Armoede costs 1 point and accepting plays for 2 (${tableName})`, async () => {
+    const table = await createTable({ points: [9, 0, 0] });
+    table.deal(['7♠ 8♥ 9♥ J♥', '7♦ 8♦ 9♦ 10♦', '10♠ 9♠ 8♠ A♠']);
+    assert.equal(table.phase(), 'armoede');
+
+    table.run([[1, 'foldToArmoede'], [0, 'acceptArmoede'], [2, 'acceptArmoede']]);
+    assert.deepEqual(table.points(), [9, 1, 0]);
+    assert.deepEqual(table.state().playersInRound, [0, 2]);
+    assert.ok(table.hasEvent('armoedeResponsesComplete'));
+
+    table.run([
+      ['timeout'],
+      ...trick([[0, 'playCard', '7♠'], [2, 'playCard', '10♠']]),
+      ...trick([[2, 'playCard', '9♠'], [0, 'playCard', '8♥']]),
+      ...trick([[2, 'playCard', '8♠'], [0, 'playCard', '9♥']]),
+      ...trick([[2, 'playCard', 'A♠'], [0, 'playCard', 'J♥']])
+    ]);
+    assert.deepEqual(table.points(), [11, 1, 0]);
+    assert.deepEqual(table.state().playersInRound, [1, 2]);
+  });
+
+  test(`laundry claims queue up, each gets its own inspection and swapped hands are discarded (${tableName})`, async () => {
+    const table = await createTable();
+    table.deal(['J♠ Q♠ K♠ 7♠', '8♥ 9♥ 10♥ J♥', '7♦ 8♦ 9♦ 10♦'], 'A♠ A♥ A♦ A♣ 7♥ 8♣ 9♣ 10♣');
+    table.run([[0, 'submitLaundry', 'vuile'], [1, 'submitLaundry', 'witte']]);
+
+    assert.equal(table.state().pendingLaundry.playerIndex, 0);
+    assert.deepEqual(table.state().laundryQueue.map(claim => claim.playerIndex), [1]);
+    assert.equal(table.act([1, 'submitLaundry', 'witte']).errorCode, 'ALREADY_CLAIMED');
+
+    // Seat 0's claim was real; seat 1's bluff is up next and nobody checks it
+    table.run([[2, 'inspectLaundry']]);
+    assert.deepEqual(table.points(), [0, 0, 1]);
+    assert.equal(table.state().pendingLaundry.playerIndex, 1);
+    table.run([['timeout']]);
+
+    const state = table.state();
+    assert.equal(state.pendingLaundry, null);
+    assert.equal(table.phase(), 'laundry');
+    assert.deepEqual(sortedNames(state.players[0].hand), sortedNames(cards('A♠ A♥ A♦ A♣')));
+    assert.deepEqual(sortedNames(state.players[1].hand), sortedNames(cards('7♥ 8♣ 9♣ 10♣')));
+    assert.deepEqual(sortedNames(state.discardPile), sortedNames(cards('J♠ Q♠ K♠ 7♠ 8♥ 9♥ 10♥ J♥')));
+    // Every card is still somewhere
+    const everywhere = [...state.deck, ...state.discardPile, ...state.players.flatMap(player => player.hand)];
+    assert.equal(new Set(sortedNames(everywhere)).size, 32);
+  });
+
+  test(`the laundry phase ends as soon as everyone in the round has passed (${tableName})`, async () => {
+    const table = await createTable();
+    table.deal(SPADES_WIN);
+    table.run([[0, 'passLaundry'], [1, 'passLaundry']]);
+    assert.equal(table.act([1, 'passLaundry']).errorCode, 'ALREADY_RESPONDED');
+
+    // A claim keeps the phase open until it is settled and the claimer passes too
+    table.run([[2, 'submitLaundry', 'witte'], [0, 'inspectLaundry']]);
+    assert.equal(table.phase(), 'laundry');
+    assert.deepEqual(table.points(), [0, 0, 1]);
+    table.run([[2, 'passLaundry']]);
+    assert.equal(table.phase(), 'playing');
+  });
+
+  test(`a turn that runs out plays the lowest card the player may play (${tableName})`, async () => {
+    const table = await createTable({ houseRules: TURN_CLOCK });
+    table.deal(['10♠ 9♠ 8♠ J♠', 'J♥ Q♥ K♥ 7♠', '7♦ 8♦ 9♦ 10♦']);
+    table.run([['timeout'], ['timeout'], ['timeout'], [2, 'playCard', '7♦']]);
+
+    // Seat 1's jack of hearts is lower, but they have to follow suit
+    assert.deepEqual(table.state().currentTrick.map(play => `${play.card.rank}${play.card.suit}`), ['J♠', '7♠', '7♦']);
+    assert.deepEqual(table.state().missedTurns, [1, 1, 0]);
+    assert.equal(table.events.filter(event => event.type === 'turnTimeout').length, 2);
+  });
+
+  test(`missing turns in a row folds a player, and a move of their own starts the count over (${tableName})`, async () => {
+    const table = await createTable({ houseRules: TURN_CLOCK });
+    table.deal(['10♠ 9♠ 8♠ J♠', 'J♥ Q♥ K♥ 7♠', '7♦ 8♦ 9♦ 10♦']);
+    table.run([
+      ['timeout'],
+      ...trick([['timeout'], ['timeout'], [2, 'playCard', '7♦']]),
+      [1, 'playCard', 'J♥'], ['timeout']
+    ]);
+    assert.deepEqual(table.state().missedTurns, [1, 0, 1]);
+
+    table.run([['timeout']]);
+    assert.deepEqual(table.state().playersInRound, [1, 2]);
+    assert.deepEqual(table.points(), [1, 0, 0]);
+    assert.deepEqual(table.state().missedTurns, [2, 0, 1]);
+  });
+
+  test(`the fold count starts over with each deal, the count in a row doesn't (${tableName})`, async () => {
+    const table = await createTable({ houseRules: TURN_CLOCK });
+    table.deal(SPADES_WIN);
+    table.run([
+      ['timeout'],
+      ...trick([[0, 'playCard', '10♠'], [1, 'playCard', '7♥'], [2, 'playCard', '7♦']]),
+      ...trick([[0, 'playCard', '9♠'], [1, 'playCard', '8♥'], [2, 'playCard', '8♦']]),
+      ...trick([[0, 'playCard', '8♠'], [1, 'playCard', '9♥'], [2, 'playCard', '9♦']]),
+      ...trick([[0, 'playCard', 'J♠'], [1, 'playCard', '10♥'], ['timeout']])
+    ]);
+    assert.deepEqual(table.state().missedTurns, [0, 0, 1]);
+
+    // Seat 0 won the round and leads; seat 2's next miss is the first of the new round
+    table.deal(SPADES_WIN);
+    table.run([['timeout'], [0, 'playCard', '10♠'], [1, 'playCard', '7♥'], ['timeout']]);
+    assert.deepEqual(table.state().missedTurns, [0, 0, 2]);
+    assert.deepEqual(table.state().missedTurnsThisRound, [0, 0, 1]);
+    assert.deepEqual(table.state().playersInRound, [0, 1, 2]);
+  });
+});
+
+test('there is no turn clock unless the room switched it on', () => {
+  const table = createRulesTable({ houseRules: { turnTime: 0 } });
+  table.deal(SPADES_WIN);
+  table.run([['timeout']]);
+  assert.equal(table.phase(), 'playing');
+  assert.equal(getPendingTimeout(table.state()), null);
+
+  // Rooms saved before turn clocks, and rooms that never picked one, get none
+  assert.equal(normalizeHouseRules(undefined).turnTime, 0);
+  assert.equal(normalizeHouseRules({ targetScore: 15 }).turnTime, 0);
+  assert.equal(normalizeHouseRules({ turnTime: 5 }).turnTime, 0);
+  assert.equal(normalizeHouseRules({ turnTime: '30' }).turnTime, 30);
+});
+
+test('only a player still in the round can inspect a claim, and a claim left alone has no result', () => {
+  const table = createRulesTable();
+  table.deal(SPADES_WIN);
+  table.run([[2, 'forfeitSeat'], [1, 'submitLaundry', 'vuile']]);
+  assert.equal(table.act([2, 'inspectLaundry']).errorCode, 'NOT_IN_ROUND');
+  assert.deepEqual(table.points(), [0, 0, 1]);
+
+  // Seat 0 catches the bluff; nobody inspects seat 0's own claim after it
+  table.run([[0, 'inspectLaundry'], [0, 'submitLaundry', 'vuile']]);
+  assert.equal(table.state().laundryResult.type, 'invalidClaim');
+  table.run([['timeout']]);
+  assert.equal(table.state().laundryResult, null);
+  assert.ok(table.hasEvent('laundryTimeout'));
+
+  table.run([[0, 'passLaundry'], [1, 'passLaundry']]);
+  assert.equal(table.act([1, 'inspectLaundry']).errorCode, 'WRONG_PHASE');
+});
+
+test('a bot standing in is a change to the state, not a move of the player\'s', () => {
+  const table = createRulesTable({ houseRules: TURN_CLOCK });
+  table.deal(SPADES_WIN);
+  table.run([['timeout'], ['timeout']]);
+  assert.deepEqual(table.state().missedTurns, [1, 0, 0]);
+
+  const { state, events } = applyAction(table.state(), { type: 'setBotStandIn', playerIndex: 0, active: true });
+  assert.equal(state.players[0].isBot, true);
+  assert.deepEqual(events, [{ type: 'botStandIn', playerIndex: 0, active: true }]);
+  assert.deepEqual(state.missedTurns, [1, 0, 0]);
+  assert.equal(applyAction(state, { type: 'setBotStandIn', playerIndex: 0, active: false }).state.players[0].isBot, false);
+
+  // A seat given up has nobody to stand in for
+  const forfeited = applyAction(state, { type: 'forfeitSeat', playerIndex: 2 }).state;
+  assert.equal(applyAction(forfeited, { type: 'setBotStandIn', playerIndex: 2, active: true }).errorCode, 'SEAT_FORFEITED');
+});
+
+test('the engine reports a refused move to its UI', async () => {
+  const table = await createEngineTable();
+  table.deal(SPADES_WIN);
+  table.run([['timeout']]);
+  table.act([2, 'toep']);
+
+  const error = table.events.find(event => event.type === 'error');
+  assert.equal(error.code, 'NOT_YOUR_TURN');
+  assert.equal(error.playerIndex, 2);
+});
@@ -0,0 +1,182 @@
+// Scripted games for the rules tests: stack the deck, play a script of actions seat by
+// seat, then look at points, phases and the events along the way. The same script runs
+// on two tables:
+//   rules    the shared rules the way the server drives them (applyAction, with the
+//            timed transitions from getPendingTimeout dispatched by the script)
+//   engine   the offline js/GameEngine.js, with its own timers stopped after each step
+// Both tables have the same interface, so a test can run on each and expect the same
+// outcome (see TABLES).
+const {
+  applyAction,
+  createDeck,
+  createGameState,
+  getPendingTimeout,
+  normalizeHouseRules
+} = require('../shared/rules');
+
+// A card from its name, e.g. '10♥' or 'J♠'
+function card(name) {
+  const found = createDeck().find(c => `${c.rank}${c.suit}` === name);
+  if (!found) {
+    throw new Error(`Unknown card: ${name}`);
+  }
+  return found;
+}
+
+function cards(names) {
+  return names.split(/\s+/).filter(Boolean).map(card);
+}
+
+// A deck in dealing order: each seat gets its hand (a string of card names), then
+// `rest` comes up next (laundry replacements), then every other card in deck order
+function stackDeck(hands, rest = '') {
+  const stacked = [...hands.map(cards).flat(), ...cards(rest)];
+  const names = new Set(stacked.map(c => `${c.rank}${c.suit}`));
+  if (names.size !== stacked.length) {
+    throw new Error('A card was stacked twice');
+  }
+  return [...stacked, ...createDeck().filter(c => !names.has(`${c.rank}${c.suit}`))];
+}
+
+function createSeats(count) {
+  return Array.from({ length: count }, (_, index) => ({ id: `seat-${index}`, name: `Player ${index + 1}` }));
+}
+
+// The game before the first deal: given house rules and starting points
+function createStartState({ players = 3, houseRules, points } = {}) {
+  const state = createGameState(createSeats(players), 1, normalizeHouseRules(houseRules));
+  if (points) {
+    state.players.forEach((player, index) => {
+      player.points = points[index];
+    });
+  }
+  return state;
+}
+
+// The script steps a table understands:
+//   [seat, 'playCard', '10♥']   play a card by name
+//   [seat, type]                any other player action (toep, acceptToep, fold, ...)
+//   [seat, 'submitLaundry', 'vuile']
+//   ['timeout']                 let the pending timed transition happen
+// plus table.deal(hands, rest) for every deal, the first one included.
+function toAction(state, step) {
+  if (step[0] === 'timeout') {
+    const pending = getPendingTimeout(state);
+    if (!pending) {
+      throw new Error(`Nothing is waiting on a timer in phase ${state.gamePhase}`);
+    }
+    return pending.action;
+  }
+
+  const [playerIndex, type, argument] = step;
+  if (type === 'playCard') {
+    const hand = state.players[playerIndex].hand;
+    const cardIndex = hand.findIndex(c => `${c.rank}${c.suit}` === argument);
+    if (cardIndex === -1) {
+      throw new Error(`Seat ${playerIndex} doesn't hold ${argument}`);
+    }
+    return { type, playerIndex, cardIndex };
+  }
+  if (type === 'submitLaundry') {
+    return { type, playerIndex, laundryType: argument };
+  }
+  return { type, playerIndex };
+}
+
+// Shared by both tables: run steps, failing loudly on any refused action
+function createTable(table) {
+  return {
+    ...table,
+    run(steps) {
+      steps.forEach(step => {
+        const result = table.act(step);
+        if (result.error) {
+          throw new Error(`${JSON.stringify(step)} was refused in phase ${table.state().gamePhase}: ${result.errorCode}`);
+        }
+      });
+      return this;
+    },
+    points() {
+      return table.state().players.map(player => player.points);
+    },
+    phase() {
+      return table.state().gamePhase;
+    },
+    hasEvent(type) {
+      return table.events.some(event => event.type === type);
+    }
+  };
+}
+
+// The rules as the server runs them. events are the rules events the server broadcasts.
+function createRulesTable(options) {
+  let state = createStartState(options);
+  const events = [];
+
+  function dispatch(action) {
+    const result = applyAction(state, action);
+    if (!result.error) {
+      state = result.state;
+      events.push(...result.events);
+    }
+    return result;
+  }
+
+  return createTable({
+    name: 'rules',
+    events,
+    state: () => state,
+    deal: (hands, rest) => dispatch({ type: 'startRound', deck: stackDeck(hands, rest) }),
+    act: step => dispatch(toAction(state, step))
+  });
+}
+
+// The offline engine. Every seat is scripted, so none of them is left to the bots.
+// events are what the engine emits to its UI ({ type, ...data }).
+async function createEngineTable(options) {
+  const { GameEngine } = await import('../js/GameEngine.js');
+  const engine = new GameEngine();
+  const events = [];
+  let lastError = null;
+
+  const emit = engine.emit.bind(engine);
+  engine.emit = (type, data = {}) => {
+    events.push({ type, ...data });
+    if (type === 'error') {
+      lastError = data;
+    }
+    return emit(type, data);
+  };
+
+  const start = createStartState(options);
+  engine.initializeGame(start.players.map(player => player.name));
+  engine.setState({ ...start, players: start.players.map(player => ({ ...player, isBot: false })) });
+
+  function dispatch(action) {
+    lastError = null;
+    const accepted = engine.dispatch(action);
+    engine.stopTimers();
+    return accepted ? {} : { error: lastError.message, errorCode: lastError.code };
+  }
+
+  return createTable({
+    name: 'engine',
+    engine,
+    events,
+    state: () => engine.state,
+    deal: (hands, rest) => dispatch({ type: 'startRound', deck: stackDeck(hands, rest) }),
+    act: step => dispatch(toAction(engine.state, step))
+  });
+}
+
+// Both tables, for tests that should pass on each: for (const createTable of TABLES) ...
+const TABLES = [createRulesTable, createEngineTable];
+
+module.exports = {
+  card,
+  cards,
+  stackDeck,
+  createRulesTable,
+  createEngineTable,
+  TABLES
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeSeriesLength,
+  createSeries,
+  recordSeriesGame,
+  isSeriesDecided,
+  getSeriesLeaders,
+  votePlayAgain,
+  getPublicSeries
+} = require('../server/series');
+
+const SEATS = [{ name: 'Anna' }, { name: 'Bob' }, { name: 'Carol' }];
+
+// Just enough of a finished game for the standings: its event log and final points
+function finishedGame(endEvent, points, boertoeps = []) {
+  return {
+    record: {
+      events: [
+        ...boertoeps.map(playerIndex => ({ type: 'boertoep', playerIndex })),
+        { type: 'roundEnded', winners: endEvent.winners },
+        endEvent
+      ]
+    },
+    state: { players: points.map(playerPoints => ({ points: playerPoints })) }
+  };
+}
+
+function record(series, game) {
+  recordSeriesGame(series, game.record, game.state);
+}
+
+test('series lengths are odd and a single game unless the host picks another', () => {
+  assert.equal(normalizeSeriesLength(5), 5);
+  assert.equal(normalizeSeriesLength('3'), 3);
+  assert.equal(normalizeSeriesLength(4), 1);
+  assert.equal(normalizeSeriesLength(undefined), 1);
+  assert.equal(createSeries(SEATS, 9).bestOf, 1);
+});
+
+test('standings add up every game, Boertoeps and Vijfkruizen wins included', () => {
+  const series = createSeries(SEATS, 3);
+  record(series, finishedGame({ type: 'gameEnded', winners: [1] }, [10, 4, 11], [1, 1]));
+  assert.equal(isSeriesDecided(series), false);
+  record(series, finishedGame({ type: 'vijfkruizenVictory', winners: [0] }, [0, 5, 3], [0]));
+
+  assert.deepEqual(series.standings, [
+    { name: 'Anna', gamesWon: 1, penaltyPoints: 10, boertoeps: 1, vijfkruizenWins: 1 },
+    { name: 'Bob', gamesWon: 1, penaltyPoints: 9, boertoeps: 2, vijfkruizenWins: 0 },
+    { name: 'Carol', gamesWon: 0, penaltyPoints: 14, boertoeps: 0, vijfkruizenWins: 0 }
+  ]);
+  assert.deepEqual(series.games[1], { winners: [0], points: [0, 5, 3], vijfkruizen: true });
+  // Level on games won, Bob leads on penalty points
+  assert.deepEqual(getSeriesLeaders(series), [1]);
+  assert.equal(isSeriesDecided(series), false);
+
+  record(series, finishedGame({ type: 'gameEnded', winners: [0] }, [2, 10, 10]));
+  assert.equal(isSeriesDecided(series), true);
+  assert.deepEqual(getSeriesLeaders(series), [0]);
+});
+
+test('a series is decided as soon as nobody can catch up, and votes are counted once', () => {
+  const series = createSeries(SEATS, 5);
+  record(series, finishedGame({ type: 'gameEnded', winners: [2] }, [10, 10, 3]));
+  record(series, finishedGame({ type: 'gameEnded', winners: [2] }, [10, 10, 3]));
+  assert.equal(isSeriesDecided(series), false);
+
+  assert.equal(votePlayAgain(series, 2), true);
+  assert.equal(votePlayAgain(series, 0), true);
+  assert.equal(votePlayAgain(series, 2), false);
+  assert.deepEqual(getPublicSeries(series, true).playAgainVotes, [0, 2]);
+
+  record(series, finishedGame({ type: 'gameEnded', winners: [2] }, [10, 10, 1]));
+  assert.deepEqual(series.playAgainVotes, []);
+  const finished = getPublicSeries(series, true);
+  assert.equal(finished.over, true);
+  assert.equal(finished.winsNeeded, 3);
+  assert.deepEqual(finished.leaders, [2]);
+
+  // Someone leaving ends a series early
+  const short = createSeries(SEATS, 7);
+  record(short, finishedGame({ type: 'gameEnded', winners: [0] }, [4, 10, 10]));
+  assert.equal(getPublicSeries(short, true).over, false);
+  assert.equal(getPublicSeries(short, false).over, true);
+});
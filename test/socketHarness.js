@@ -0,0 +1,217 @@
+// Socket.IO games end to end without browsers: server.js on an ephemeral port with its
+// rooms in memory, and socket.io-client connections as the players. Room timers run on
+// a fake clock: Date is mocked (t.mock.timers) and the room timers only fire when the
+// test moves the clock on (advance), so phase timeouts, bot turns and held seats happen
+// exactly when a test says so. Socket.IO's own heartbeat runs on real timers and is
+// stretched, so moving the clock never makes a connection look dead.
+const { io: connectClient } = require('socket.io-client');
+const { createServer } = require('../server');
+const { createMemoryRoomStore } = require('../server/roomStore');
+const { createMemoryExternalStore } = require('../server/externalRoomStore');
+const { createMemoryAccountStore } = require('../server/accounts');
+const { createDeferredScheduler } = require('../server/scheduler');
+const { applyPatch } = require('../shared/statePatch');
+
+// Longer than any clock move in a test, the idle room window included
+const HEARTBEAT_MS = 2 * 60 * 60 * 1000;
+
+// How long a client waits for an event before the test fails
+const EVENT_TIMEOUT_MS = 2000;
+
+// Tests whose clock is already mocked: a test that restarts the server keeps its clock
+const mockedTests = new WeakSet();
+
+// One player's connection. Every event it receives is kept in order; waitFor hands
+// them out one at a time, so a test can expect the same event twice in a row. Game
+// state updates are applied as they come in, patches included:
+//   gameState     the state as this client sees it now
+//   lastActions   every lastAction it was sent, in order
+function createTestClient(socket, name) {
+  const received = []; // { event, payload, taken }
+  const waiters = []; // { event, predicate, resolve }
+  const client = {
+    name,
+    socket,
+    gameState: null,
+    lastActions: [],
+    playerIndex: null,
+    sessionToken: null,
+    roomCode: null,
+    waitFor,
+    waitForState,
+    received: event => received.filter(entry => entry.event === event).map(entry => entry.payload),
+    emit: (event, payload) => socket.emit(event, payload),
+    act
+  };
+  let nextActionId = 1;
+
+  function track(event, payload) {
+    if (['roomCreated', 'roomJoined', 'roomRejoined'].includes(event)) {
+      client.roomCode = payload.roomCode;
+      client.playerIndex = payload.playerIndex;
+      client.sessionToken = payload.sessionToken || client.sessionToken;
+    }
+    if (event === 'gameStarted' || (['roomRejoined', 'spectatingRoom'].includes(event) && payload.gameState)) {
+      client.gameState = payload.gameState;
+    }
+    if (event === 'gameStateUpdate') {
+      if (payload.patch) {
+        if (!client.gameState || client.gameState.version !== payload.baseVersion) {
+          throw new Error(`${name} got a patch for version ${payload.baseVersion} while holding ${client.gameState && client.gameState.version}`);
+        }
+        client.gameState = applyPatch(client.gameState, payload.patch);
+      } else {
+        client.gameState = payload.gameState;
+      }
+      if (payload.lastAction) {
+        client.lastActions.push(payload.lastAction);
+      }
+    }
+  }
+
+  socket.onAny((event, payload) => {
+    track(event, payload);
+    const entry = { event, payload, taken: false };
+    received.push(entry);
+    const waiter = waiters.find(w => w.event === event && w.predicate(payload));
+    if (waiter) {
+      entry.taken = true;
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(payload);
+    }
+  });
+
+  // The next event of this name (matching predicate) that no earlier waitFor took
+  function waitFor(event, predicate = () => true) {
+    const entry = received.find(e => !e.taken && e.event === event && predicate(e.payload));
+    if (entry) {
+      entry.taken = true;
+      return Promise.resolve(entry.payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { event, predicate, resolve: payload => { clearTimeout(timer); resolve(payload); } };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`${name} did not receive ${event} within ${EVENT_TIMEOUT_MS}ms`));
+      }, EVENT_TIMEOUT_MS);
+      waiters.push(waiter);
+    });
+  }
+
+  // This client's game state once it matches predicate (right away if it already does)
+  function waitForState(predicate) {
+    if (client.gameState && predicate(client.gameState)) {
+      return Promise.resolve(client.gameState);
+    }
+    return waitFor('gameStateUpdate', () => predicate(client.gameState)).then(() => client.gameState);
+  }
+
+  // Send a game action the way the clients do, with an action id and the version it was
+  // made on
+  function act(type, fields = {}) {
+    const action = {
+      type,
+      ...fields,
+      actionId: `${name}-${nextActionId++}`,
+      expectedVersion: client.gameState.version
+    };
+    socket.emit('gameAction', action);
+    return action;
+  }
+
+  return client;
+}
+
+// Start a server for one test; it is shut down when the test ends. options go to
+// createServer (e.g. { quickMatchBots: true }, or the roomStore of a server that went
+// down, to start its successor).
+async function startTestServer(t, options = {}) {
+  if (!mockedTests.has(t)) {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+    mockedTests.add(t);
+  }
+  const scheduler = createDeferredScheduler();
+  const roomStore = options.roomStore || createMemoryRoomStore();
+  const { server, io, gameServer } = createServer({
+    roomStore,
+    accountStore: createMemoryAccountStore(),
+    externalStore: createMemoryExternalStore(),
+    scheduler,
+    socketOptions: { pingInterval: HEARTBEAT_MS, pingTimeout: HEARTBEAT_MS },
+    ...options
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const clients = [];
+
+  async function connect(name) {
+    const socket = connectClient(url, { transports: ['websocket'], reconnection: false, forceNew: true });
+    const client = createTestClient(socket, name);
+    clients.push(client);
+    await new Promise((resolve, reject) => {
+      socket.once('connect', resolve);
+      socket.once('connect_error', reject);
+    });
+    return client;
+  }
+
+  // Move the fake clock on and run the room timers that came due; returns how many ran
+  function advance(ms) {
+    t.mock.timers.tick(ms);
+    return scheduler.runDue();
+  }
+
+  // A room with a host and the others joined, everyone having seen the last one arrive
+  async function createRoom(names) {
+    const [host, ...guests] = await Promise.all(names.map(connect));
+    host.emit('createRoom', host.name);
+    const { roomCode } = await host.waitFor('roomCreated');
+    for (const guest of guests) {
+      guest.emit('joinRoom', { roomCode, playerName: guest.name });
+      await guest.waitFor('roomJoined');
+    }
+    const players = [host, ...guests];
+    await Promise.all(players.map(player => player.waitFor('playerJoined', update => update.players.length === players.length)));
+    return players;
+  }
+
+  let closed = false;
+  async function close() {
+    if (closed) return;
+    closed = true;
+    clients.forEach(client => client.socket.disconnect());
+    await new Promise(resolve => io.close(() => resolve()));
+  }
+  t.after(close);
+
+  return {
+    url,
+    gameServer,
+    scheduler,
+    roomStore,
+    connect,
+    createRoom,
+    advance,
+    close
+  };
+}
+
+// Everyone's next state update (e.g. after an action or a timer), in seat order
+function nextUpdates(players, predicate) {
+  return Promise.all(players.map(player => player.waitFor('gameStateUpdate', predicate)));
+}
+
+// The index of a card this player may play now: one of the lead suit if they have it
+function playableCard(client) {
+  const { gameState } = client;
+  const hand = gameState.players[client.playerIndex].hand;
+  const followIndex = hand.findIndex(card => card.suit === gameState.leadSuit);
+  return gameState.currentTrick.length > 0 && followIndex !== -1 ? followIndex : 0;
+}
+
+module.exports = {
+  startTestServer,
+  nextUpdates,
+  playableCard
+};
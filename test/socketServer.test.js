@@ -0,0 +1,815 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PHASE_TIMEOUT_MS } = require('../server/gameServer');
+const { SEAT_GRACE_PERIOD_MS } = require('../server/sessions');
+const { QUICK_MATCH_COUNTDOWN_MS } = require('../server/matchmaking');
+const { ROOM_IDLE_TIMEOUT_MS } = require('../server/roomRegistry');
+const { OMNISCIENT_DELAY_MIN_MS } = require('../server/spectators');
+const { ROOM_CODE_PATTERN } = require('../shared/roomCodes');
+const { createMemoryRoomStore } = require('../server/roomStore');
+const { startTestServer, nextUpdates, playableCard } = require('./socketHarness');
+
+const isHidden = card => card.suit === 'hidden';
+const cardName = card => `${card.rank}${card.suit}`;
+
+// Wait until every player has been sent a state update for an action of this type
+function everyoneSees(players, type) {
+  return nextUpdates(players, update => Boolean(update.lastAction) && update.lastAction.type === type);
+}
+
+// Start a game without Armoede, so every deal opens with the laundry window
+async function startGame(players, houseRules = {}) {
+  const [host] = players;
+  host.emit('setHouseRules', { armoede: false, ...houseRules });
+  await Promise.all(players.map(player => player.waitFor('houseRulesUpdated')));
+  host.emit('startGame');
+  await Promise.all(players.map(player => player.waitFor('gameStarted')));
+}
+
+async function endLaundryWindow(harness, players) {
+  harness.advance(PHASE_TIMEOUT_MS.laundryWindow);
+  await everyoneSees(players, 'laundryPhaseEnd');
+}
+
+function currentPlayer(players) {
+  return players.find(player => player.playerIndex === player.gameState.currentPlayer);
+}
+
+// Play a game out with one player folding every round as soon as the cards are dealt
+async function foldEveryRound(harness, players, loser) {
+  while (loser.gameState.gamePhase !== 'gameEnd') {
+    loser.act('fold');
+    await Promise.all(players.map(player => player.waitForState(state => ['roundEnd', 'gameEnd'].includes(state.gamePhase))));
+    if (loser.gameState.gamePhase === 'roundEnd') {
+      harness.advance(PHASE_TIMEOUT_MS.nextRound);
+      await everyoneSees(players, 'newRound');
+    }
+  }
+}
+
+test('each client only gets its own cards and every client sees the same actions', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob', 'Carol']);
+  await startGame(players);
+
+  players.forEach(player => {
+    const hands = player.gameState.players.map(seat => seat.hand);
+    assert.equal(hands[player.playerIndex].length, 4);
+    assert.ok(!hands[player.playerIndex].some(isHidden));
+    hands.forEach((hand, index) => {
+      if (index !== player.playerIndex) {
+        assert.ok(hand.every(isHidden), `${player.name} can see seat ${index}'s cards`);
+      }
+    });
+  });
+  const dealt = players.flatMap(player => player.gameState.players[player.playerIndex].hand.map(cardName));
+  assert.equal(new Set(dealt).size, 12);
+
+  await endLaundryWindow(harness, players);
+  assert.ok(players.every(player => player.gameState.gamePhase === 'playing'));
+
+  // A move out of turn only comes back to the one who made it
+  const waiting = players.find(player => player !== currentPlayer(players));
+  const outOfTurn = waiting.act('playCard', { cardIndex: 0 });
+  const rejected = await waiting.waitFor('actionRejected');
+  assert.equal(rejected.code, 'NOT_YOUR_TURN');
+  assert.equal(rejected.actionId, outOfTurn.actionId);
+
+  const played = [];
+  for (let play = 0; play < 3; play++) {
+    const player = currentPlayer(players);
+    const card = player.gameState.players[player.playerIndex].hand[playableCard(player)];
+    played.push({ playerIndex: player.playerIndex, card: cardName(card) });
+    player.act('playCard', { cardIndex: playableCard(player) });
+    await everyoneSees(players, 'playCard');
+  }
+  harness.advance(PHASE_TIMEOUT_MS.trickComplete);
+  await everyoneSees(players, 'trickComplete');
+
+  players.forEach(player => {
+    assert.deepEqual(player.lastActions.map(action => action.type),
+      ['laundryPhaseEnd', 'playCard', 'playCard', 'playCard', 'trickComplete']);
+    assert.deepEqual(player.lastActions, players[0].lastActions);
+    assert.equal(player.received('actionRejected').length, player === waiting ? 1 : 0);
+  });
+  assert.deepEqual(players[0].lastActions.slice(1, 4).map(action => ({ playerIndex: action.playerIndex, card: cardName(action.card) })), played);
+  assert.ok(players.every(player => player.gameState.tricksPlayed === 1));
+});
+
+test('phase timers only fire once their time is up', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob']);
+  await startGame(players);
+
+  assert.equal(harness.advance(PHASE_TIMEOUT_MS.laundryWindow - 1), 0);
+  assert.equal(players[0].gameState.gamePhase, 'laundry');
+  await endLaundryWindow(harness, players);
+
+  currentPlayer(players).act('toep');
+  await everyoneSees(players, 'toep');
+  assert.ok(players.every(player => player.gameState.gamePhase === 'toepResponse'));
+  assert.equal(players[0].gameState.phaseTimer.remainingMs, PHASE_TIMEOUT_MS.toepResponse);
+
+  // Nobody answers: the toep is accepted for them when the time runs out
+  assert.equal(harness.advance(PHASE_TIMEOUT_MS.toepResponse - 1), 0);
+  assert.equal(harness.advance(1), 1);
+  await everyoneSees(players, 'autoToepResponse');
+  players.forEach(player => {
+    assert.equal(player.gameState.gamePhase, 'playing');
+    assert.equal(player.gameState.stakes, 2);
+  });
+});
+
+test('play starts without waiting out the laundry window once everyone has passed', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob', 'Carol']);
+  await startGame(players);
+
+  players[0].act('passLaundry');
+  await everyoneSees(players, 'passLaundry');
+  assert.deepEqual(players[2].gameState.laundryReady, [true, false, false]);
+  players[1].act('passLaundry');
+  await everyoneSees(players, 'passLaundry');
+  players[2].act('passLaundry');
+  await everyoneSees(players, 'laundryPhaseEnd');
+  assert.ok(players.every(player => player.gameState.gamePhase === 'playing'));
+});
+
+test('a move is only stale once the table it was made on has changed', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob', 'Carol']);
+  await startGame(players);
+
+  // Everyone passes on the same state: each pass bumps the version before the next one
+  // arrives, but none of them is turned down for it
+  players.forEach(player => player.act('passLaundry'));
+  await everyoneSees(players, 'laundryPhaseEnd');
+  assert.ok(players.every(player => player.received('actionRejected').length === 0));
+
+  // A card played on a state from before the turn came round is refused
+  const first = currentPlayer(players);
+  const before = first.gameState.version;
+  first.act('playCard', { cardIndex: playableCard(first) });
+  await everyoneSees(players, 'playCard');
+  const next = currentPlayer(players);
+  next.socket.emit('gameAction', { type: 'playCard', cardIndex: playableCard(next), actionId: 'late', expectedVersion: before });
+  assert.equal((await next.waitFor('actionRejected')).code, 'STALE_ACTION');
+});
+
+test('the host leaving the lobby hands the room to the next player', async (t) => {
+  const harness = await startTestServer(t);
+  const [alice, bob, carol] = await harness.createRoom(['Alice', 'Bob', 'Carol']);
+
+  alice.socket.disconnect();
+  const [left] = await Promise.all([bob.waitFor('playerLeft'), carol.waitFor('playerLeft')]);
+  assert.equal(left.playerName, 'Alice');
+  assert.equal(left.newHost, bob.socket.id);
+  assert.deepEqual(left.players.map(player => player.name), ['Bob', 'Carol']);
+
+  carol.emit('startGame');
+  assert.equal(await carol.waitFor('error'), 'Not authorized to start game');
+  bob.emit('startGame');
+  await Promise.all([bob.waitFor('gameStarted'), carol.waitFor('gameStarted')]);
+});
+
+test('a dropped host keeps their seat for the grace period, then forfeits it', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob', 'Carol']);
+  const [alice, bob, carol] = players;
+  await startGame(players);
+
+  alice.socket.disconnect();
+  const [dropped] = await Promise.all([bob.waitFor('playerDisconnected'), carol.waitFor('playerDisconnected')]);
+  assert.equal(dropped.playerIndex, 0);
+  assert.equal(dropped.gracePeriodMs, SEAT_GRACE_PERIOD_MS);
+  assert.equal(dropped.newHost, bob.socket.id);
+
+  // The laundry window runs out along the way; the seat is still held
+  harness.advance(SEAT_GRACE_PERIOD_MS - 1);
+  await everyoneSees([bob, carol], 'laundryPhaseEnd');
+  assert.equal(bob.received('playerLeft').length, 0);
+
+  harness.advance(1);
+  const [left] = await Promise.all([bob.waitFor('playerLeft'), carol.waitFor('playerLeft')]);
+  assert.equal(left.forfeited, true);
+  assert.equal(left.playerIndex, 0);
+  await everyoneSees([bob, carol], 'seatForfeited');
+  assert.equal(bob.gameState.players[0].forfeited, true);
+  assert.ok(!bob.gameState.playersInRound.includes(0));
+});
+
+test('a player who reconnects within the grace period gets their seat and cards back', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob']);
+  const [alice, bob] = players;
+  await startGame(players);
+  const hand = bob.gameState.players[bob.playerIndex].hand;
+
+  bob.socket.disconnect();
+  await alice.waitFor('playerDisconnected');
+  harness.advance(SEAT_GRACE_PERIOD_MS / 2);
+
+  const returned = await harness.connect('Bob');
+  returned.emit('rejoinRoom', { roomCode: bob.roomCode, sessionToken: bob.sessionToken });
+  const rejoined = await returned.waitFor('roomRejoined');
+  assert.equal(rejoined.playerIndex, 1);
+  assert.deepEqual(rejoined.gameState.players[1].hand, hand);
+  const reconnected = await alice.waitFor('playerReconnected');
+  assert.equal(reconnected.playerName, 'Bob');
+
+  // The forfeit was called off
+  harness.advance(SEAT_GRACE_PERIOD_MS);
+  const room = harness.gameServer.gameRooms.get(bob.roomCode);
+  assert.equal(room.players[1].forfeited, undefined);
+  assert.equal(room.players[1].connected, true);
+});
+
+test('a game saved mid-trick carries on after a restart, timers included', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob']);
+  await startGame(players, { turnTime: 30 });
+  await endLaundryWindow(harness, players);
+  const leader = currentPlayer(players);
+  leader.act('playCard', { cardIndex: playableCard(leader) });
+  await everyoneSees(players, 'playCard');
+  harness.advance(10 * 1000);
+
+  // The server goes down with the room as it was last saved
+  const saved = createMemoryRoomStore();
+  harness.roomStore.loadRooms().forEach(room => saved.saveRoom(room));
+  const before = players.map(player => player.gameState);
+  await harness.close();
+
+  const restarted = await startTestServer(t, { roomStore: saved });
+  const returned = await Promise.all(players.map(async player => {
+    const client = await restarted.connect(player.name);
+    client.emit('rejoinRoom', { roomCode: player.roomCode, sessionToken: player.sessionToken });
+    const rejoined = await client.waitFor('roomRejoined');
+    assert.equal(rejoined.playerIndex, player.playerIndex);
+    return client;
+  }));
+  // The same game, bar new socket ids and who had made it back when
+  const withoutConnections = ({ phaseTimer, ...state }) => ({
+    ...state,
+    players: state.players.map(({ id, connected, ...seat }) => seat)
+  });
+  returned.forEach((client, index) => {
+    const { phaseTimer } = client.gameState;
+    const timerBefore = before[index].phaseTimer;
+    assert.deepEqual(withoutConnections(client.gameState), withoutConnections(before[index]));
+    assert.equal(phaseTimer.kind, 'turn');
+    assert.equal(phaseTimer.deadline, timerBefore.deadline);
+    assert.equal(phaseTimer.remainingMs, 20 * 1000);
+  });
+
+  // The turn clock runs out when it would have before the restart
+  assert.equal(restarted.advance(20 * 1000 - 1), 0);
+  restarted.advance(1);
+  await everyoneSees(returned, 'turnTimeout');
+  assert.ok(returned.every(client => client.gameState.currentTrick.length === 2));
+});
+
+test('a player who keeps running out of time gets a bot standing in until they move again', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob']);
+  const [alice, bob] = players;
+  await startGame(players, { turnTime: 15 });
+
+  // Bob plays whenever it's his turn; Alice never does, so every timer is left to run out
+  for (let step = 0; step < 60 && alice.received('botStandIn').length === 0; step++) {
+    const { version, phaseTimer, currentPlayer } = bob.gameState;
+    if (phaseTimer.kind === 'turn' && currentPlayer === bob.playerIndex) {
+      bob.act('playCard', { cardIndex: playableCard(bob) });
+    } else {
+      harness.advance(phaseTimer.remainingMs);
+    }
+    await bob.waitForState(state => state.version > version);
+  }
+
+  // Her second miss folds her out of the first round; the third, in the next round, only
+  // plays her lowest card, and the bot takes over from there: she pays for one fold
+  const timeouts = bob.lastActions.filter(action => action.type === 'turnTimeout');
+  assert.deepEqual(timeouts.map(action => [action.playerIndex, action.missedTurns, action.folded]),
+    [[0, 1, false], [0, 2, true], [0, 3, false]]);
+  const [standIn] = await Promise.all([alice.waitFor('botStandIn'), bob.waitFor('botStandIn')]);
+  assert.deepEqual([standIn.playerIndex, standIn.active], [0, true]);
+  assert.equal(standIn.players[0].isBot, true);
+  const room = harness.gameServer.gameRooms.get(alice.roomCode);
+  assert.equal(room.gameState.players[0].isBot, true);
+  assert.equal(room.gameState.round, 2);
+  assert.deepEqual(room.gameState.players.map(player => player.points), [1, 0]);
+
+  // The table gets the stand-in as a versioned state update, like any move
+  await everyoneSees(players, 'botStandIn');
+  assert.ok(players.every(player => player.gameState.players[0].isBot && player.gameState.version === room.stateVersion));
+
+  // Any move of her own gives Alice her seat back
+  alice.act('fold');
+  const [back] = await Promise.all([alice.waitFor('botStandIn'), bob.waitFor('botStandIn')]);
+  assert.equal(back.active, false);
+  assert.equal(room.players[0].isBot, false);
+  assert.equal(room.players[0].botStandIn, undefined);
+  await everyoneSees(players, 'fold');
+  assert.ok(players.every(player => !player.gameState.players[0].isBot));
+});
+
+test('the omniscient spectator view shows every hand, but only once the delay has passed', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob']);
+  const [alice] = players;
+  alice.emit('setOmniscientDelay', OMNISCIENT_DELAY_MIN_MS);
+  assert.equal((await alice.waitFor('spectatorsUpdated')).omniscientDelayMs, OMNISCIENT_DELAY_MIN_MS);
+
+  const watcher = await harness.connect('Watcher');
+  watcher.emit('spectateRoom', { roomCode: alice.roomCode, playerName: 'Watcher', omniscient: true });
+  assert.equal((await watcher.waitFor('spectatingRoom')).gameState, null);
+  await startGame(players);
+  const hands = players.map(player => player.gameState.players[player.playerIndex].hand);
+
+  // The table moves on, the watcher is still waiting for the deal
+  await endLaundryWindow(harness, players);
+  assert.equal(harness.advance(OMNISCIENT_DELAY_MIN_MS - PHASE_TIMEOUT_MS.laundryWindow - 1), 0);
+  assert.equal(watcher.received('gameStateUpdate').length, 0);
+
+  harness.advance(1);
+  const dealt = await watcher.waitFor('gameStateUpdate');
+  assert.equal(dealt.gameState.gamePhase, 'laundry');
+  assert.deepEqual(dealt.gameState.players.map(player => player.hand), hands);
+  assert.equal(dealt.gameState.phaseTimer, null);
+
+  // Each later state follows its own delay
+  assert.equal(watcher.received('gameStateUpdate').length, 1);
+  harness.advance(PHASE_TIMEOUT_MS.laundryWindow);
+  await watcher.waitFor('gameStateUpdate');
+  assert.equal(watcher.gameState.gamePhase, 'playing');
+  assert.deepEqual(watcher.gameState.players.map(player => player.hand), hands);
+  assert.deepEqual(watcher.lastActions.map(action => action.type), ['laundryPhaseEnd']);
+});
+
+test('a spectator joining mid-game leaves the others watching on the same updates', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob']);
+  const [alice] = players;
+  const first = await harness.connect('First');
+  first.emit('spectateRoom', { roomCode: alice.roomCode, playerName: 'First' });
+  await first.waitFor('spectatingRoom');
+  await startGame(players);
+  await first.waitFor('gameStateUpdate');
+
+  harness.advance(4000);
+  const second = await harness.connect('Second');
+  second.emit('spectateRoom', { roomCode: alice.roomCode, playerName: 'Second' });
+  const joined = await second.waitFor('spectatingRoom');
+  assert.equal(joined.gameState.version, first.gameState.version);
+  assert.equal(joined.gameState.phaseTimer.remainingMs, PHASE_TIMEOUT_MS.laundryWindow - 4000);
+
+  // The laundry clock runs on: both get a patch from the state they hold
+  alice.act('passLaundry');
+  const spectators = [first, second];
+  await everyoneSees([...players, ...spectators], 'passLaundry');
+  assert.deepEqual(first.gameState, second.gameState);
+  assert.equal(first.gameState.phaseTimer.remainingMs, PHASE_TIMEOUT_MS.laundryWindow - 4000);
+  assert.ok(spectators.every(spectator => spectator.received('gameStateUpdate').slice(-1)[0].patch));
+});
+
+test('names must be allowed and unique within a room, whatever their case', async (t) => {
+  const harness = await startTestServer(t);
+  const alice = await harness.connect('Alice');
+  alice.emit('createRoom', 'Alice');
+  await alice.waitFor('roomCreated');
+
+  const mallory = await harness.connect('Mallory');
+  mallory.emit('createRoom', '<script>');
+  assert.match(await mallory.waitFor('joinError'), /Names/);
+  mallory.emit('joinRoom', { roomCode: alice.roomCode, playerName: ' ALICE ' });
+  assert.match(await mallory.waitFor('joinError'), /taken/);
+  mallory.emit('spectateRoom', { roomCode: alice.roomCode, playerName: 'alice' });
+  assert.match(await mallory.waitFor('joinError'), /taken/);
+
+  mallory.emit('joinRoom', { roomCode: alice.roomCode, playerName: '  Mal   lory ' });
+  await mallory.waitFor('roomJoined');
+  const joined = await alice.waitFor('playerJoined');
+  assert.deepEqual(joined.players.map(player => player.name), ['Alice', 'Mal lory']);
+});
+
+test('a signed-in player keeps their name, settings and games on every device', async (t) => {
+  const harness = await startTestServer(t);
+  const laptop = await harness.connect('Laptop');
+  laptop.emit('register', { username: 'anna', password: 'correct horse', displayName: 'Anna' });
+  const { deviceToken } = await laptop.waitFor('signedIn');
+  assert.ok(deviceToken);
+
+  // The account's name wins over whatever was typed
+  laptop.emit('createRoom', 'Something Else');
+  const created = await laptop.waitFor('roomCreated');
+  const bob = await harness.connect('Bob');
+  bob.emit('joinRoom', { roomCode: created.roomCode, playerName: 'Bob' });
+  await bob.waitFor('roomJoined');
+  const joined = await laptop.waitFor('playerJoined');
+  assert.deepEqual(joined.players.map(player => player.name), ['Anna', 'Bob']);
+  await startGame([laptop, bob]);
+
+  // The laptop drops; the phone signs in and opens the room code, and gets the seat back
+  // mid-game without the seat's session token
+  laptop.socket.disconnect();
+  await bob.waitFor('playerDisconnected');
+  const phone = await harness.connect('Phone');
+  phone.emit('signIn', { username: 'anna', password: 'correct horse' });
+  const signedIn = await phone.waitFor('signedIn');
+  assert.notEqual(signedIn.deviceToken, deviceToken);
+  assert.equal(signedIn.account.settings.houseRules.armoede, false);
+  phone.emit('joinRoom', { roomCode: created.roomCode, playerName: 'Anna' });
+  const rejoined = await phone.waitFor('roomRejoined');
+  assert.equal(rejoined.playerIndex, 0);
+  assert.equal(rejoined.sessionToken, laptop.sessionToken);
+  assert.equal(rejoined.gameState.players[0].hand.length, 4);
+
+  // The game ends when Bob walks out, and goes into Anna's history
+  bob.emit('leaveRoom');
+  await phone.waitForState(state => state.gamePhase === 'gameEnd');
+  phone.emit('getAccountHistory');
+  const { history } = await phone.waitFor('accountHistory');
+  assert.equal(history.length, 1);
+  assert.equal(history[0].roomCode, created.roomCode);
+  assert.equal(history[0].won, true);
+  assert.deepEqual(history[0].players.map(player => player.name), ['Anna', 'Bob']);
+
+  // Back on the laptop, the device token alone signs it in again
+  const again = await harness.connect('Laptop again');
+  again.emit('resumeSession', { deviceToken });
+  assert.equal((await again.waitFor('signedIn')).account.displayName, 'Anna');
+  again.emit('resumeSession', { deviceToken: 'not a token' });
+  await again.waitFor('signedOut');
+});
+
+test('the room chat reaches everyone, and newcomers get the history', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob']);
+  const [alice, bob] = players;
+
+  alice.emit('chatMessage', { text: '<b>Wie</b>   wast er?' });
+  const [sent] = await Promise.all(players.map(player => player.waitFor('chatMessage')));
+  assert.equal(sent.name, 'Alice');
+  // Kept as plain text; the clients escape it when they show it
+  assert.equal(sent.text, '<b>Wie</b> wast er?');
+  bob.emit('chatMessage', { reaction: 'pass' });
+  assert.equal((await alice.waitFor('chatMessage')).text, 'Ik pas');
+
+  await startGame(players);
+  const watcher = await harness.connect('Watcher');
+  watcher.emit('spectateRoom', { roomCode: alice.roomCode, playerName: 'Watcher' });
+  const { chat } = await watcher.waitFor('spectatingRoom');
+  assert.deepEqual(chat.messages.map(message => message.text), ['<b>Wie</b> wast er?', 'Ik pas']);
+  watcher.emit('chatMessage', { text: 'Ik zie niks' });
+  const fromWatcher = await bob.waitFor('chatMessage', message => message.name === 'Watcher');
+  assert.equal(fromWatcher.spectator, true);
+
+  // Messages past the rate limit are refused
+  for (let message = 0; message < 6; message++) {
+    bob.emit('chatMessage', { text: `spam ${message}` });
+  }
+  assert.match(await bob.waitFor('chatError'), /Slow down/);
+  const room = harness.gameServer.gameRooms.get(alice.roomCode);
+  assert.equal(room.chat.messages.filter(message => message.name === 'Bob').length, 5);
+});
+
+test('the host can mute someone in the chat and remove them from the room', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob', 'Carol']);
+  const [alice, bob, carol] = players;
+
+  bob.emit('muteChat', { name: 'Carol', muted: true });
+  assert.match(await bob.waitFor('chatError'), /host/);
+  alice.emit('muteChat', { name: 'carol', muted: true });
+  const muted = await carol.waitFor('chatMuted');
+  assert.deepEqual(muted.mutedNames, ['Carol']);
+  carol.emit('chatMessage', { text: 'hallo?' });
+  assert.match(await carol.waitFor('chatError'), /muted/);
+
+  await startGame(players);
+  alice.emit('kickFromRoom', { name: 'Carol' });
+  await carol.waitFor('kicked');
+  const [kicked] = await Promise.all([alice.waitFor('playerKicked'), bob.waitFor('playerKicked')]);
+  assert.equal(kicked.name, 'Carol');
+  await everyoneSees([alice, bob], 'seatForfeited');
+  assert.equal(alice.gameState.players[2].forfeited, true);
+
+  // The kicked player can't take the seat back
+  carol.emit('rejoinRoom', { roomCode: alice.roomCode, sessionToken: carol.sessionToken });
+  assert.match(await carol.waitFor('rejoinError'), /forfeited/);
+});
+
+test('the host can order the seats, lock the room and hand it over', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob', 'Carol']);
+  const [alice, bob, carol] = players;
+  const seatNames = update => update.players.map(player => player.name);
+
+  bob.emit('reorderSeats', { order: [2, 1, 0] });
+  assert.match(await bob.waitFor('error'), /host/);
+  alice.emit('reorderSeats', { order: [0, 0, 1] });
+  assert.match(await alice.waitFor('error'), /order/);
+  alice.emit('reorderSeats', { order: [2, 0, 1] });
+  const [reordered] = await Promise.all(players.map(player => player.waitFor('lobbyUpdate')));
+  assert.deepEqual(seatNames(reordered), ['Carol', 'Alice', 'Bob']);
+  assert.equal(reordered.change.type, 'seatsReordered');
+
+  alice.emit('setRoomLocked', { locked: true });
+  assert.equal((await carol.waitFor('lobbyUpdate')).locked, true);
+  const dave = await harness.connect('Dave');
+  dave.emit('joinRoom', { roomCode: alice.roomCode, playerName: 'Dave' });
+  assert.match(await dave.waitFor('joinError'), /locked/);
+  dave.emit('spectateRoom', { roomCode: alice.roomCode, playerName: 'Dave' });
+  assert.match(await dave.waitFor('joinError'), /locked/);
+
+  alice.emit('transferHost', { playerIndex: 2 });
+  const handedOver = await bob.waitFor('lobbyUpdate', update => update.change.type === 'hostTransferred');
+  assert.equal(handedOver.host, bob.socket.id);
+  assert.deepEqual(handedOver.players.map(player => player.isHost), [false, false, true]);
+  alice.emit('setRoomLocked', { locked: false });
+  assert.match(await alice.waitFor('error'), /host/);
+
+  // The new host starts the game with the seats in their new order
+  await startGame([bob, alice, carol]);
+  assert.deepEqual(bob.gameState.players.map(player => player.name), ['Carol', 'Alice', 'Bob']);
+  assert.equal(bob.gameState.players.findIndex(player => player.id === bob.socket.id), 2);
+});
+
+test('a banned player is kept out of the room under any name once signed in', async (t) => {
+  const harness = await startTestServer(t);
+  const alice = await harness.connect('Alice');
+  alice.emit('createRoom', 'Alice');
+  const { roomCode } = await alice.waitFor('roomCreated');
+
+  const mallory = await harness.connect('Mallory');
+  mallory.emit('register', { displayName: 'Mallory' });
+  await mallory.waitFor('signedIn');
+  mallory.emit('joinRoom', { roomCode, playerName: 'Mallory' });
+  await mallory.waitFor('roomJoined');
+
+  alice.emit('kickFromRoom', { name: 'Mallory', ban: true });
+  assert.equal((await mallory.waitFor('kicked')).banned, true);
+  const update = await alice.waitFor('lobbyUpdate');
+  assert.deepEqual(update.players.map(player => player.name), ['Alice']);
+  assert.deepEqual(update.change, { type: 'playerKicked', playerName: 'Mallory', banned: true });
+
+  // Renaming the account doesn't help, and neither does watching
+  mallory.emit('updateProfile', { displayName: 'Not Mallory' });
+  await mallory.waitFor('accountUpdated');
+  mallory.emit('joinRoom', { roomCode, playerName: 'Not Mallory' });
+  assert.match(await mallory.waitFor('joinError'), /banned/);
+  mallory.emit('spectateRoom', { roomCode, playerName: 'Not Mallory' });
+  assert.match(await mallory.waitFor('joinError'), /banned/);
+
+  // Someone else under the banned name is turned away too
+  const other = await harness.connect('Other');
+  other.emit('joinRoom', { roomCode, playerName: 'mallory' });
+  assert.match(await other.waitFor('joinError'), /banned/);
+});
+
+test('the host can ban a player a bot stands in for, and the ban keeps their seat from them', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob', 'Carol']);
+  const [alice, bob, carol] = players;
+  await startGame(players, { turnTime: 15 });
+
+  // Bob never plays, so his timer runs out until a bot takes his seat over
+  for (let step = 0; step < 90 && alice.received('botStandIn').length === 0; step++) {
+    const { version, phaseTimer, currentPlayer } = alice.gameState;
+    const onTurn = [alice, carol].find(player => player.playerIndex === currentPlayer);
+    if (phaseTimer.kind === 'turn' && onTurn) {
+      onTurn.act('playCard', { cardIndex: playableCard(onTurn) });
+    } else {
+      harness.advance(phaseTimer.remainingMs);
+    }
+    await Promise.all(players.map(player => player.waitForState(state => state.version > version)));
+  }
+  assert.equal((await alice.waitFor('botStandIn')).playerIndex, bob.playerIndex);
+
+  // The bot only stands in: the seat is still Bob's to lose
+  alice.emit('kickFromRoom', { name: 'Bob', ban: true });
+  assert.equal((await bob.waitFor('kicked')).banned, true);
+  assert.deepEqual(await alice.waitFor('playerKicked'), { name: 'Bob', banned: true });
+
+  const returned = await harness.connect('Bob');
+  returned.emit('rejoinRoom', { roomCode: bob.roomCode, sessionToken: bob.sessionToken });
+  assert.match(await returned.waitFor('rejoinError'), /banned/);
+  const room = harness.gameServer.gameRooms.get(alice.roomCode);
+  assert.equal(room.players[bob.playerIndex].forfeited, true);
+});
+
+test('public rooms show in the room list while someone could still join them', async (t) => {
+  const harness = await startTestServer(t);
+  const browser = await harness.connect('Browser');
+  browser.emit('watchRoomList');
+  assert.deepEqual((await browser.waitFor('roomList')).rooms, []);
+  // The list only goes out when it changes, so each step below sends exactly one
+  const nextList = async () => (await browser.waitFor('roomList')).rooms;
+
+  const alice = await harness.connect('Alice');
+  alice.emit('createRoom', 'Alice');
+  const { roomCode, houseRules } = await alice.waitFor('roomCreated');
+  alice.emit('setRoomVisibility', { isPublic: true, title: '<b>toep</b>' });
+  assert.match(await alice.waitFor('error'), /titles/);
+  alice.emit('setRoomVisibility', { isPublic: true, title: 'Vrijdag avond' });
+  const update = await alice.waitFor('lobbyUpdate');
+  assert.deepEqual(update.change, { type: 'visibilityChanged', isPublic: true, title: 'Vrijdag avond' });
+  assert.deepEqual(await nextList(), [{
+    roomCode,
+    title: 'Vrijdag avond',
+    hostName: 'Alice',
+    players: 1,
+    bots: 0,
+    maxPlayers: 4,
+    houseRules
+  }]);
+
+  const bob = await harness.connect('Bob');
+  bob.emit('joinRoom', { roomCode, playerName: 'Bob' });
+  assert.equal((await nextList())[0].players, 2);
+  alice.emit('setRoomLocked', { locked: true });
+  assert.deepEqual(await nextList(), []);
+  alice.emit('setRoomLocked', { locked: false });
+  assert.equal((await nextList()).length, 1);
+  alice.emit('setRoomVisibility', { isPublic: false });
+  assert.deepEqual(await nextList(), []);
+  alice.emit('setRoomVisibility', { isPublic: true });
+  assert.equal((await nextList())[0].title, 'Alice\'s table');
+
+  // Full rooms drop out, and so do rooms whose game has started
+  alice.emit('addBot');
+  assert.equal((await nextList())[0].bots, 1);
+  alice.emit('addBot');
+  assert.deepEqual(await nextList(), []);
+  alice.emit('removeBot', 3);
+  assert.equal((await nextList())[0].players, 3);
+  await startGame([alice, bob]);
+  assert.equal((await nextList())[0].houseRules.armoede, false);
+  assert.deepEqual(await nextList(), []);
+
+  browser.emit('unwatchRoomList');
+  const carol = await harness.connect('Carol');
+  carol.emit('createRoom', 'Carol');
+  await carol.waitFor('roomCreated');
+  carol.emit('setRoomVisibility', { isPublic: true });
+  await carol.waitFor('lobbyUpdate');
+  assert.equal(browser.received('roomList').length, 12);
+});
+
+test('quick match seats waiting players after a countdown, or at once for a full table', async (t) => {
+  const harness = await startTestServer(t);
+  const [anna, anna2, carol] = await Promise.all(['Anna', 'anna', 'Carol'].map(harness.connect));
+  anna.emit('joinQuickMatch', { playerName: 'Anna' });
+  assert.deepEqual(await anna.waitFor('quickMatchStatus'), { queued: true, waiting: 1, startsInMs: null, bots: false });
+  anna2.emit('joinQuickMatch', { playerName: 'anna' });
+  assert.equal((await anna.waitFor('quickMatchStatus')).startsInMs, QUICK_MATCH_COUNTDOWN_MS);
+
+  // Creating a room of your own takes you out of the queue
+  const dave = await harness.connect('Dave');
+  dave.emit('joinQuickMatch', { playerName: 'Dave' });
+  assert.equal((await dave.waitFor('quickMatchStatus')).waiting, 3);
+  dave.emit('createRoom', 'Dave');
+  assert.deepEqual(await dave.waitFor('quickMatchStatus'), { queued: false });
+  await anna.waitFor('quickMatchStatus', status => status.waiting === 2);
+
+  carol.emit('joinQuickMatch', { playerName: 'Carol' });
+  assert.equal((await carol.waitFor('quickMatchStatus')).waiting, 3);
+
+  harness.advance(QUICK_MATCH_COUNTDOWN_MS);
+  const players = [anna, anna2, carol];
+  const found = await Promise.all(players.map(player => player.waitFor('quickMatchFound')));
+  const joined = await Promise.all(players.map(player => player.waitFor('roomJoined')));
+  await Promise.all(players.map(player => player.waitFor('gameStarted')));
+  assert.ok(found.every(match => match.roomCode === found[0].roomCode));
+  assert.deepEqual(joined.map(room => room.isHost), [true, false, false]);
+  assert.deepEqual(anna.gameState.players.map(player => player.name), ['Anna', 'anna 2', 'Carol']);
+  assert.deepEqual(players.map(player => player.playerIndex), [0, 1, 2]);
+
+  // Four waiting is a full table: no countdown
+  const four = await Promise.all(['Erik', 'Fem', 'Gijs', 'Hanna'].map(harness.connect));
+  four.forEach(player => player.emit('joinQuickMatch', { playerName: player.name }));
+  await Promise.all(four.map(player => player.waitFor('gameStarted')));
+  assert.equal(four[0].gameState.players.length, 4);
+});
+
+test('with bots on, quick match fills the table so one player gets a game', async (t) => {
+  const harness = await startTestServer(t, { quickMatchBots: true });
+  const solo = await harness.connect('Solo');
+  solo.emit('joinQuickMatch', { playerName: 'Solo' });
+  const status = await solo.waitFor('quickMatchStatus');
+  assert.deepEqual(status, { queued: true, waiting: 1, startsInMs: QUICK_MATCH_COUNTDOWN_MS, bots: true });
+
+  harness.advance(QUICK_MATCH_COUNTDOWN_MS);
+  await solo.waitFor('gameStarted');
+  assert.deepEqual(solo.gameState.players.map(player => player.name), ['Solo', 'Bot 1', 'Bot 2', 'Bot 3']);
+});
+
+test('only the page and its scripts are served, however the path is spelled', async (t) => {
+  const harness = await startTestServer(t);
+  const status = async (urlPath) => (await fetch(`${harness.url}${urlPath}`)).status;
+
+  assert.equal(await status('/shared/rules.js'), 200);
+  assert.equal(await status('/js/constants.js'), 200);
+  assert.equal(await status('/toepen.html'), 200);
+
+  // The server's own files, and the data directory next to them, stay out of reach
+  for (const urlPath of ['/server.js', '/%73erver.js', '//server.js', '/package.json', '/server/accounts.js',
+    '/data/accounts.json', '/%64ata/accounts.json', '//data/accounts.json', '/%64ata/rooms/', '//data/rooms/']) {
+    assert.equal(await status(urlPath), 404, urlPath);
+  }
+});
+
+test('rooms have readable codes, open from invite links and close when left idle', async (t) => {
+  const harness = await startTestServer(t);
+  const alice = await harness.connect('Alice');
+  alice.emit('createRoom', 'Alice');
+  const { roomCode } = await alice.waitFor('roomCreated');
+  assert.match(roomCode, ROOM_CODE_PATTERN);
+
+  const invite = await fetch(`${harness.url}/join/${roomCode}`);
+  assert.equal(invite.status, 200);
+  assert.match(await invite.text(), /TOEPEN/);
+
+  // Typed in lower case with a dash, the code still finds the room
+  const bob = await harness.connect('Bob');
+  const typed = `${roomCode.slice(0, 3)}-${roomCode.slice(3)}`.toLowerCase();
+  bob.emit('joinRoom', { roomCode: typed, playerName: 'Bob' });
+  assert.equal((await bob.waitFor('roomJoined')).roomCode, roomCode);
+
+  // Saying something keeps the room open for another full window
+  harness.advance(ROOM_IDLE_TIMEOUT_MS - 1000);
+  bob.emit('chatMessage', { text: 'Nog iemand?' });
+  await alice.waitFor('chatMessage');
+  harness.advance(ROOM_IDLE_TIMEOUT_MS - 1000);
+  assert.equal(alice.received('roomExpired').length, 0);
+
+  harness.advance(1000);
+  const expired = await Promise.all([alice, bob].map(player => player.waitFor('roomExpired')));
+  assert.deepEqual(expired[0], { roomCode, idleMs: ROOM_IDLE_TIMEOUT_MS });
+  const carol = await harness.connect('Carol');
+  carol.emit('joinRoom', { roomCode, playerName: 'Carol' });
+  assert.match(await carol.waitFor('joinError'), /not found/);
+
+  // A room that has gone never comes back on its own
+  alice.emit('chatMessage', { text: 'Hallo?' });
+  assert.match(await alice.waitFor('chatError'), /Join a room/);
+});
+
+
+test('a room plays a series: everyone votes to play again and the lead moves on', async (t) => {
+  const harness = await startTestServer(t);
+  const players = await harness.createRoom(['Alice', 'Bob']);
+  const [alice, bob] = players;
+  alice.emit('setSeriesLength', { bestOf: 3 });
+  const lobby = await bob.waitFor('lobbyUpdate');
+  assert.deepEqual(lobby.change, { type: 'seriesLengthChanged', bestOf: 3 });
+  await startGame(players, { targetScore: 5 });
+  assert.equal(alice.gameState.currentPlayer, 0);
+
+  // Five folds in a row: Bob is out and Alice wins with the Vijfkruizenregel
+  await foldEveryRound(harness, players, bob);
+  let [{ series }] = await Promise.all(players.map(player => player.waitFor('seriesUpdated')));
+  assert.equal(series.gamesPlayed, 1);
+  assert.equal(series.over, false);
+  assert.deepEqual(series.standings, [
+    { name: 'Alice', gamesWon: 1, penaltyPoints: 0, boertoeps: 0, vijfkruizenWins: 1 },
+    { name: 'Bob', gamesWon: 0, penaltyPoints: 5, boertoeps: 0, vijfkruizenWins: 0 }
+  ]);
+
+  // Only once both have voted does the next game start, with Bob leading
+  bob.emit('playAgain');
+  const [voted] = await Promise.all(players.map(player => player.waitFor('seriesUpdated')));
+  assert.deepEqual(voted.series.playAgainVotes, [1]);
+  assert.equal(alice.received('gameStarted').length, 1);
+  alice.emit('playAgain');
+  const [started] = await Promise.all(players.map(player => player.waitFor('gameStarted')));
+  assert.equal(started.series.gamesPlayed, 1);
+  assert.equal(alice.gameState.currentPlayer, 1);
+  assert.deepEqual(alice.gameState.players.map(player => player.points), [0, 0]);
+
+  // Alice takes the second game too, which decides a best of three
+  await foldEveryRound(harness, players, bob);
+  [{ series }] = await Promise.all(players.map(player => player.waitFor('seriesUpdated')));
+  assert.equal(series.over, true);
+  assert.deepEqual(series.leaders, [0]);
+  assert.deepEqual(series.standings.map(standing => standing.gamesWon), [2, 0]);
+
+  // Playing again after that starts a new series, the lead moving on once more
+  players.forEach(player => player.emit('playAgain'));
+  await Promise.all(players.map(player => player.waitFor('seriesUpdated', update => update.series.playAgainVotes.length === 1)));
+  const [restarted] = await Promise.all(players.map(player => player.waitFor('gameStarted')));
+  assert.equal(restarted.series.gamesPlayed, 0);
+  assert.equal(restarted.series.bestOf, 3);
+  assert.equal(bob.gameState.currentPlayer, 0);
+
+  // Nobody plays again once someone has left the table
+  await foldEveryRound(harness, players, alice);
+  await Promise.all(players.map(player => player.waitFor('seriesUpdated')));
+  alice.emit('leaveRoom');
+  ({ series } = await bob.waitFor('seriesUpdated'));
+  assert.equal(series.over, true);
+  assert.equal(series.canPlayAgain, false);
+  bob.emit('playAgain');
+  assert.match(await bob.waitFor('error'), /Not everyone/);
+});
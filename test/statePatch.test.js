@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  applyAction,
+  createGameState,
+  createRandom,
+  getLaundryType,
+  getPendingTimeout
+} = require('../shared/rules');
+const { createPlayerView, getStrategy } = require('../shared/botStrategies');
+const { diffState, applyPatch } = require('../shared/statePatch');
+const { seatViewer, SPECTATOR_VIEWER, projectGameState } = require('../server/projection');
+const { FULL_SNAPSHOT_INTERVAL, createStateSync, getSeatView } = require('../server/stateSync');
+
+function createSeats(count) {
+  return Array.from({ length: count }, (_, index) => ({ id: `socket-${index}`, name: `Player ${index + 1}` }));
+}
+
+// Every state of a seeded bot game, one per accepted action
+function collectStates(seed, playerCount) {
+  const random = createRandom(seed);
+  let state = applyAction(createGameState(createSeats(playerCount), seed), { type: 'startRound' }).state;
+  const states = [state];
+
+  for (let step = 0; step < 3000 && state.gamePhase !== 'gameEnd'; step++) {
+    let result = null;
+    for (let playerIndex = 0; playerIndex < playerCount && !result; playerIndex++) {
+      const strategy = getStrategy(playerIndex % 2 === 0 ? 'random' : 'heuristic');
+      const action = strategy.decide(createPlayerView(state, playerIndex, { getLaundryType }), random);
+      const attempt = action && applyAction(state, { ...action, playerIndex });
+      result = attempt && !attempt.error ? attempt : null;
+    }
+    result = result || applyAction(state, getPendingTimeout(state).action);
+    state = result.state;
+    states.push(state);
+  }
+  return states;
+}
+
+test('a patch turns each projected state into the next', () => {
+  const states = [...collectStates(42, 3), ...collectStates(43, 4)];
+  assert.ok(states.length > 100);
+
+  [seatViewer(0), seatViewer(2), SPECTATOR_VIEWER].forEach(viewer => {
+    let clientState = projectGameState(states[0], viewer);
+    states.slice(1).forEach(state => {
+      const next = projectGameState(state, viewer);
+      clientState = applyPatch(clientState, diffState(clientState, next));
+      assert.deepEqual(clientState, next);
+    });
+  });
+});
+
+test('patches only carry what changed', () => {
+  const state = { stakes: 1, players: [{ hand: [1, 2], points: 0 }, { hand: [3, 4], points: 2 }], pendingLaundry: null };
+
+  assert.deepEqual(diffState(state, state), []);
+  assert.deepEqual(diffState(state, { ...state, stakes: 2 }), [{ op: 'set', path: ['stakes'], value: 2 }]);
+  assert.deepEqual(
+    diffState(state, { ...state, players: [state.players[0], { hand: [3], points: 2 }] }),
+    [{ op: 'set', path: ['players', 1, 'hand'], value: [3] }]
+  );
+  assert.deepEqual(diffState(state, { players: state.players, pendingLaundry: null }), [{ op: 'remove', path: ['stakes'] }]);
+});
+
+test('applying a patch leaves the old state alone', () => {
+  const state = { players: [{ points: 1 }, { points: 2 }], round: 1 };
+  const next = applyPatch(state, [{ op: 'set', path: ['players', 1, 'points'], value: 5 }]);
+
+  assert.deepEqual(state, { players: [{ points: 1 }, { points: 2 }], round: 1 });
+  assert.equal(next.players[1].points, 5);
+  assert.equal(next.players[0], state.players[0]);
+});
+
+test('patches that do not fit the state are refused', () => {
+  const state = { players: [{ points: 1 }] };
+
+  assert.throws(() => applyPatch(state, [{ op: 'set', path: ['pendingLaundry', 'type'], value: 'vuile' }]));
+  assert.throws(() => applyPatch(state, [{ op: 'move', path: ['players'] }]));
+  assert.throws(() => applyPatch(state, [{ op: 'remove', path: [] }]));
+  assert.throws(() => applyPatch(state, { op: 'set', path: [], value: 1 }));
+});
+
+test('each view gets a full snapshot first and again every interval', () => {
+  const stateSync = createStateSync();
+  const view = getSeatView(0);
+  const updates = [];
+  for (let version = 1; version <= FULL_SNAPSHOT_INTERVAL + 2; version++) {
+    updates.push(stateSync.createUpdate('ROOM', view, { version, stakes: version }, null));
+  }
+
+  assert.ok(updates[0].gameState);
+  assert.deepEqual(updates[1], { patch: [{ op: 'set', path: ['version'], value: 2 }, { op: 'set', path: ['stakes'], value: 2 }], baseVersion: 1, version: 2, lastAction: null });
+  assert.ok(updates[FULL_SNAPSHOT_INTERVAL + 1].gameState);
+  assert.ok(updates.slice(2, FULL_SNAPSHOT_INTERVAL + 1).every(update => update.patch));
+
+  // A state sent outside the stream becomes the base; a forgotten room starts over
+  stateSync.setBase('ROOM', view, { version: 40, stakes: 1 });
+  assert.equal(stateSync.createUpdate('ROOM', view, { version: 41, stakes: 1 }, null).baseVersion, 40);
+  stateSync.forgetRoom('ROOM');
+  assert.ok(stateSync.createUpdate('ROOM', view, { version: 42, stakes: 1 }, null).gameState);
+});
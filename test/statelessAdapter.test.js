@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { createMemoryExternalStore } = require('../server/externalRoomStore');
+const { CLIENT_TIMEOUT_MS, parseGameRequest, handleGameRequest } = require('../server/statelessAdapter');
+const { connect } = require('../shared/pollingSocket');
+
+// Polling sockets that talk to the stateless adapter directly instead of over HTTP
+function createClient(store) {
+  const fetch = async (url, init) => {
+    const response = await handleGameRequest(store, parseGameRequest(JSON.parse(init.body)));
+    return { ok: true, json: async () => response };
+  };
+  return connect('/api/game', { fetch, pollIntervalMs: 10 });
+}
+
+function nextEvent(socket, event) {
+  return new Promise(resolve => socket.once(event, resolve));
+}
+
+const secret = digit => digit.repeat(32);
+
+test('polling clients play through the same game server as socket clients', async () => {
+  const store = createMemoryExternalStore();
+  const alice = createClient(store);
+  const bob = createClient(store);
+  try {
+    await Promise.all([nextEvent(alice, 'connect'), nextEvent(bob, 'connect')]);
+
+    alice.emit('createRoom', 'Alice');
+    const created = await nextEvent(alice, 'roomCreated');
+    bob.emit('joinRoom', { roomCode: created.roomCode, playerName: 'Bob' });
+    const joined = await nextEvent(alice, 'playerJoined');
+    assert.deepEqual(joined.players.map(p => p.name), ['Alice', 'Bob']);
+
+    alice.emit('startGame');
+    const [aliceStart, bobStart] = await Promise.all([nextEvent(alice, 'gameStarted'), nextEvent(bob, 'gameStarted')]);
+    assert.equal(aliceStart.gameState.players[0].hand.length, 4);
+    assert.ok(aliceStart.gameState.players[1].hand.every(card => card.suit === 'hidden'));
+    assert.ok(bobStart.gameState.players[0].hand.every(card => card.suit === 'hidden'));
+
+    bob.emit('gameAction', { type: 'playCard', cardIndex: 'a', actionId: 'b1' });
+    const rejected = await nextEvent(bob, 'actionRejected');
+    assert.equal(rejected.code, 'INVALID_ACTION');
+    assert.equal(rejected.actionId, 'b1');
+
+    bob.disconnect();
+    const dropped = await nextEvent(alice, 'playerDisconnected');
+    assert.equal(dropped.playerName, 'Bob');
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+  }
+});
+
+test('clients that stop polling leave their room', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  const store = createMemoryExternalStore();
+
+  const created = await handleGameRequest(store, { secret: secret('a'), roomCode: null, event: 'createRoom', payload: 'Alice' });
+  const roomCode = created.roomCode;
+  await handleGameRequest(store, { secret: secret('b'), roomCode: null, event: 'joinRoom', payload: { roomCode, playerName: 'Bob' } });
+
+  t.mock.timers.tick(CLIENT_TIMEOUT_MS + 1);
+  const poll = await handleGameRequest(store, { secret: secret('b'), roomCode, event: null });
+  const left = poll.events.find(([event]) => event === 'playerLeft');
+  assert.equal(left[1].playerName, 'Alice');
+  assert.deepEqual(left[1].players.map(p => p.name), ['Bob']);
+  assert.equal(poll.roomCode, roomCode);
+
+  // The last one out closes the room, and its record goes with it
+  await handleGameRequest(store, { secret: secret('b'), roomCode, event: 'leaveRoom' });
+  assert.equal(await store.load(roomCode), null);
+});
+
+test('malformed requests are refused', () => {
+  assert.ok(parseGameRequest(null).error);
+  assert.ok(parseGameRequest({ secret: 'short' }).error);
+  assert.ok(parseGameRequest({ secret: secret('c'), event: 5 }).error);
+  assert.deepEqual(parseGameRequest({ secret: secret('c') }), { secret: secret('c'), roomCode: null, event: null, payload: undefined });
+});
+
+test('a save only goes through on the revision it was loaded at', async () => {
+  const store = createMemoryExternalStore();
+
+  assert.equal(await store.save('ROOM', { room: 1 }, 0), true);
+  assert.equal(await store.save('ROOM', { room: 2 }, 0), false);
+  const loaded = await store.load('ROOM');
+  assert.deepEqual(loaded, { record: { room: 1 }, revision: 1 });
+  assert.equal(await store.save('ROOM', { room: 3 }, 1), true);
+  assert.equal(await store.remove('ROOM', 1), false);
+  assert.equal(await store.remove('ROOM', 2), true);
+});
+
+test('a new room never takes the code of a room saved by another request', async (t) => {
+  const store = createMemoryExternalStore();
+  await store.save('000000', { room: null, clients: {}, mailboxes: {} }, 0);
+
+  // Every code comes out as 000000 until that one has been tried
+  let rolls = 0;
+  t.mock.method(crypto, 'randomInt', () => (rolls++ < 6 ? 0 : 1));
+  const created = await handleGameRequest(store, { secret: secret('a'), roomCode: null, event: 'createRoom', payload: 'Alice' });
+  assert.equal(created.roomCode, '111111');
+  assert.deepEqual((await store.load('000000')).record.room, null);
+
+  // Codes typed with the look-alike letters find the room too
+  const joined = await handleGameRequest(store, { secret: secret('b'), roomCode: null, event: 'joinRoom', payload: { roomCode: 'iLi-1l1', playerName: 'Bob' } });
+  assert.equal(joined.roomCode, '111111');
+});